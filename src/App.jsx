@@ -2,12 +2,19 @@ import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { initGoogleApi, initTokenClient, requestAccessToken, revokeAccessToken } from './utils/googleApi';
 import { logger } from './utils/security';
+import { getStorageQuota } from './utils/storageAnalyzer';
+import { clearLabelCache } from './utils/gmailApi';
 import SignIn from './components/SignIn';
 import GoogleDrive from './components/GoogleDrive';
 import Gmail from './components/Gmail';
+import StorageAnalyzer from './components/StorageAnalyzer';
+import DuplicateFinder from './components/DuplicateFinder';
 import LoadingScreen from './components/LoadingScreen';
 import ErrorScreen from './components/ErrorScreen';
 import Sidebar from './components/ui/Sidebar';
+import UploadPanel from './components/UploadPanel';
+import useUploadQueue from './hooks/useUploadQueue';
+import useSavedSearches from './hooks/useSavedSearches';
 import { ToastProvider } from './components/ui/Toast';
 import { CONFIG } from './config';
 
@@ -25,6 +32,12 @@ function App() {
   const [storageInfo, setStorageInfo] = useState({ used: 0, total: 0 });
   const timeoutRef = useRef(null);
   const timerRef = useRef(null);
+  const uploadQueue = useUploadQueue();
+  const savedSearches = useSavedSearches(userEmail, activeTab);
+  // The saved search whose results are showing; openedAt makes reopening it start fresh
+  const [openSearch, setOpenSearch] = useState(null);
+  // A folder opened from outside My Drive browsing, for the Drive view to start in
+  const [openFolder, setOpenFolder] = useState(null);
 
   useEffect(() => {
     // Start timer to track loading time
@@ -132,6 +145,8 @@ function App() {
           return;
         }
         logger.debug('[App] ✓ User authenticated successfully');
+        // A new token may belong to a different account
+        clearLabelCache();
         setIsSignedIn(true);
         getUserEmail();
         getStorageInfo();
@@ -260,19 +275,45 @@ function App() {
 
   const getStorageInfo = async () => {
     try {
-      const response = await window.gapi.client.drive.about.get({
-        fields: 'storageQuota'
-      });
-      const quota = response.result.storageQuota;
-      setStorageInfo({
-        used: parseInt(quota.usage) || 0,
-        total: parseInt(quota.limit) || 15 * 1024 * 1024 * 1024 // 15GB default
-      });
+      setStorageInfo(await getStorageQuota());
     } catch (error) {
       logger.error('[App] Error getting storage info', error);
     }
   };
 
+  const handleTabChange = (tab) => {
+    setOpenSearch(null);
+    setOpenFolder(null);
+    setActiveTab(tab);
+  };
+
+  const handleSectionChange = (section) => {
+    setOpenSearch(null);
+    setOpenFolder(null);
+    setActiveSection(section);
+  };
+
+  const handleOpenFolder = (folder) => {
+    setOpenSearch(null);
+    setActiveSection('all');
+    setOpenFolder(folder);
+  };
+
+  const handleOpenSearch = (search) => {
+    setOpenFolder(null);
+    setActiveTab(search.tab);
+    setActiveSection(search.section);
+    setOpenSearch({ ...search, openedAt: Date.now() });
+  };
+
+  const handleDeleteSearch = (id) => {
+    if (openSearch?.id === id) setOpenSearch(null);
+    savedSearches.deleteSearch(id);
+  };
+
+  const tabSearches = savedSearches.searches.filter(search => search.tab === activeTab);
+  const pageKey = openSearch ? `${openSearch.id}-${openSearch.openedAt}` : activeTab;
+
   const handleSignIn = () => {
     logger.debug('[App] User clicked Sign In');
     requestAccessToken();
@@ -281,6 +322,7 @@ function App() {
   const handleSignOut = () => {
     logger.debug('[App] User signing out');
     revokeAccessToken();
+    clearLabelCache();
     setIsSignedIn(false);
     setUserEmail('');
   };
@@ -339,17 +381,21 @@ function App() {
         {/* Sidebar */}
         <Sidebar
           activeTab={activeTab}
-          setActiveTab={setActiveTab}
-          activeSection={activeSection}
-          setActiveSection={setActiveSection}
+          setActiveTab={handleTabChange}
+          activeSection={openSearch ? null : activeSection}
+          setActiveSection={handleSectionChange}
           collapsed={sidebarCollapsed}
           setCollapsed={setSidebarCollapsed}
           darkMode={darkMode}
           setDarkMode={setDarkMode}
           onSignOut={handleSignOut}
           userEmail={userEmail}
-          storageUsed={storageInfo.used}
-          storageTotal={storageInfo.total}
+          storage={storageInfo}
+          savedSearches={tabSearches}
+          savedSearchCounts={savedSearches.counts}
+          activeSearchId={openSearch?.id}
+          onOpenSearch={handleOpenSearch}
+          onDeleteSearch={handleDeleteSearch}
         />
 
         {/* Main Content */}
@@ -366,19 +412,40 @@ function App() {
               transition={{ duration: 0.2 }}
               className="min-h-screen"
             >
-              {activeTab === 'drive' ? (
+              {activeTab === 'drive' && activeSection === 'storage' ? (
+                <StorageAnalyzer
+                  storageInfo={storageInfo}
+                  onRefreshQuota={getStorageInfo}
+                />
+              ) : activeTab === 'drive' && activeSection === 'duplicates' ? (
+                <DuplicateFinder onRefreshQuota={getStorageInfo} />
+              ) : activeTab === 'drive' ? (
                 <GoogleDrive
+                  key={pageKey}
                   activeSection={activeSection}
                   storageInfo={storageInfo}
+                  uploadQueue={uploadQueue}
+                  initialSearch={openSearch}
+                  initialFolder={openFolder}
+                  savedSearches={tabSearches}
+                  onSaveSearch={savedSearches.addSearch}
+                  onOpenFolder={handleOpenFolder}
                 />
               ) : (
                 <Gmail
+                  key={pageKey}
                   activeSection={activeSection}
+                  initialSearch={openSearch}
+                  savedSearches={tabSearches}
+                  onSaveSearch={savedSearches.addSearch}
                 />
               )}
             </motion.div>
           </AnimatePresence>
         </main>
+
+        {/* Upload Queue */}
+        <UploadPanel queue={uploadQueue} />
       </div>
     </ToastProvider>
   );
@@ -0,0 +1,171 @@
+import { useState, useMemo, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowRight, AlertTriangle } from 'lucide-react';
+import { planBatchRename } from '../utils/rulesEngine';
+import { renameFiles } from '../utils/driveApi';
+
+const TEMPLATE_TOKENS = ['{name}', '{n}', '{date}', '{year}', '{month}', '{day}', '{ext}'];
+const PRESETS = ['{date}-{name}', '{name} {n}', 'Scan {date} {n}'];
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
+export default function BatchRenameDialog({ files, onClose, onComplete }) {
+  const [template, setTemplate] = useState('{date}-{name}');
+  const [start, setStart] = useState(1);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+  }, [files]);
+
+  const plan = useMemo(
+    () => (files ? planBatchRename(files, template, Math.max(0, parseInt(start, 10) || 0)) : []),
+    [files, template, start]
+  );
+  const changes = plan.filter(entry => entry.changed);
+  const hasConflicts = plan.some(entry => entry.conflict);
+
+  const handleRename = async () => {
+    setRunning(true);
+    setError(null);
+    setProgress({ completed: 0, total: changes.length });
+    try {
+      const renames = changes.map(({ file, name }) => ({ id: file.id, name }));
+      const result = await renameFiles(renames, setProgress);
+      onComplete(result, renames);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {files && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={() => !running && onClose()}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-6"
+          >
+            <h3 className="text-xl font-bold text-gray-900 mb-4">Rename {files.length} Files</h3>
+
+            <div className="grid grid-cols-1 sm:grid-cols-[1fr_8rem] gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name template</label>
+                <input
+                  type="text"
+                  autoFocus
+                  value={template}
+                  onChange={(e) => setTemplate(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Start {'{n}'} at</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={start}
+                  onChange={(e) => setStart(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5 mt-3">
+              {TEMPLATE_TOKENS.map(token => (
+                <button
+                  key={token}
+                  type="button"
+                  onClick={() => setTemplate(template + token)}
+                  className="px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200 text-xs font-mono text-gray-700"
+                >
+                  {token}
+                </button>
+              ))}
+              <span className="mx-1 text-gray-300">|</span>
+              {PRESETS.map(preset => (
+                <button
+                  key={preset}
+                  type="button"
+                  onClick={() => setTemplate(preset)}
+                  className="px-2 py-1 rounded-md text-xs text-blue-600 hover:bg-blue-50"
+                >
+                  {preset}
+                </button>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+              {'{date}'} is the last modified date. The extension is kept unless the template uses {'{ext}'}.
+            </p>
+
+            {/* Preview */}
+            <ul className="mt-4 max-h-72 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-xl">
+              {plan.map(({ file, name, changed, conflict }) => (
+                <li key={file.id} className="flex items-center gap-3 px-4 py-2.5 text-sm">
+                  <span className="flex-1 min-w-0 truncate text-gray-500" title={file.name}>{file.name}</span>
+                  <ArrowRight className="w-4 h-4 text-gray-300 flex-shrink-0" />
+                  <span
+                    className={`flex-1 min-w-0 truncate ${
+                      conflict ? 'text-amber-600' : changed ? 'text-gray-900 font-medium' : 'text-gray-400'
+                    }`}
+                    title={name}
+                  >
+                    {name || '(invalid name)'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            {hasConflicts && (
+              <p className="flex items-center gap-2 mt-3 text-sm text-amber-600">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                Some files would get the same name. Add {'{n}'} to the template to number them.
+              </p>
+            )}
+            {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+            {running && (
+              <div className="mt-4 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <motion.div
+                  initial={false}
+                  animate={{ width: `${progress.total ? (progress.completed / progress.total) * 100 : 0}%` }}
+                  className="h-full bg-blue-500 rounded-full"
+                />
+              </div>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={onClose}
+                disabled={running}
+                className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRename}
+                disabled={changes.length === 0 || plan.some(entry => !entry.name) || running}
+                className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+              >
+                {running ? 'Renaming...' : `Rename ${changes.length} File${changes.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,310 @@
+import { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Eraser, Loader2, AlertCircle, ChevronLeft } from 'lucide-react';
+import { findCleanupCandidates, trashFilesInChunks, CLEANUP_FILE_TYPES } from '../utils/driveApi';
+import { formatFileSize, formatDate } from '../utils/theme';
+import VirtualList from './ui/VirtualList';
+
+const DEFAULT_FILTERS = {
+  olderThanDays: 365,
+  notViewedDays: 0,
+  minSizeMB: 0,
+  type: '',
+  ownedByMe: true,
+};
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
+export default function CleanupWizard({ isOpen, onClose, onComplete }) {
+  const [step, setStep] = useState('filters');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [candidates, setCandidates] = useState({ files: [], totalBytes: 0, truncated: false });
+  const [excluded, setExcluded] = useState(new Set());
+  const [searching, setSearching] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [error, setError] = useState(null);
+
+  const selected = useMemo(
+    () => candidates.files.filter(file => !excluded.has(file.id)),
+    [candidates.files, excluded]
+  );
+  const selectedBytes = useMemo(() => selected.reduce((sum, file) => sum + file.bytes, 0), [selected]);
+
+  const handleClose = () => {
+    if (running) return;
+    setStep('filters');
+    setError(null);
+    onClose();
+  };
+
+  const handleSearch = async () => {
+    setSearching(true);
+    setError(null);
+    try {
+      const result = await findCleanupCandidates(filters);
+      setCandidates(result);
+      setExcluded(new Set());
+      setStep('review');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const toggleFile = (fileId) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (next.has(fileId)) {
+        next.delete(fileId);
+      } else {
+        next.add(fileId);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setExcluded(excluded.size === 0 ? new Set(candidates.files.map(file => file.id)) : new Set());
+  };
+
+  const handleTrash = async () => {
+    setRunning(true);
+    setProgress({ completed: 0, total: selected.length });
+    try {
+      const result = await trashFilesInChunks(selected.map(file => file.id), setProgress);
+      const trashedIds = new Set(result.trashedIds);
+      const reclaimed = selected.filter(file => trashedIds.has(file.id)).reduce((sum, file) => sum + file.bytes, 0);
+
+      setStep('filters');
+      onComplete({ ...result, reclaimed });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-6"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              {step === 'review' && !running && (
+                <button
+                  onClick={() => setStep('filters')}
+                  className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+              )}
+              <div className="p-2 rounded-xl bg-blue-50">
+                <Eraser className="w-5 h-5 text-blue-500" />
+              </div>
+              <h3 className="text-xl font-bold text-gray-900">Clean Up Old Files</h3>
+            </div>
+
+            {error && (
+              <div className="flex items-start gap-2 p-3 mb-4 rounded-xl bg-red-50 text-sm text-red-700">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {step === 'filters' && (
+              <>
+                <p className="text-gray-500 mb-6">
+                  Find files you no longer need. You can review the list before anything is moved to the trash.
+                </p>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Not modified for (days)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="3650"
+                      value={filters.olderThanDays}
+                      onChange={(e) => setFilters({ ...filters, olderThanDays: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Not opened for (days, 0 = any)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="3650"
+                      value={filters.notViewedDays}
+                      onChange={(e) => setFilters({ ...filters, notViewedDays: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Minimum size (MB)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={filters.minSizeMB}
+                      onChange={(e) => setFilters({ ...filters, minSizeMB: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      File type
+                    </label>
+                    <select
+                      value={filters.type}
+                      onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value="">All types</option>
+                      {Object.entries(CLEANUP_FILE_TYPES).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={filters.ownedByMe}
+                    onChange={(e) => setFilters({ ...filters, ownedByMe: e.target.checked })}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-500"
+                  />
+                  Only files I own (files shared with you don't use your storage)
+                </label>
+
+                <div className="flex gap-3 mt-6">
+                  <button
+                    onClick={handleClose}
+                    className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSearch}
+                    disabled={searching}
+                    className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                  >
+                    {searching && <Loader2 className="w-4 h-4 animate-spin" />}
+                    {searching ? 'Searching...' : 'Find Files'}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {step === 'review' && (
+              <>
+                {candidates.files.length === 0 ? (
+                  <p className="py-8 text-center text-gray-500">No files match these filters.</p>
+                ) : (
+                  <>
+                    <div className="flex items-center justify-between mb-3">
+                      <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={excluded.size === 0}
+                          onChange={toggleAll}
+                          className="w-4 h-4 rounded border-gray-300 text-blue-500"
+                        />
+                        {selected.length} of {candidates.files.length} selected
+                      </label>
+                      <span className="text-sm font-semibold text-gray-900">
+                        {formatFileSize(selectedBytes)} to reclaim
+                      </span>
+                    </div>
+
+                    {candidates.truncated && (
+                      <p className="mb-3 text-xs text-amber-600">
+                        Showing the first {candidates.files.length} matches. Run the cleanup again to find more.
+                      </p>
+                    )}
+
+                    <VirtualList
+                      items={candidates.files}
+                      estimatedItemHeight={56}
+                      maxHeight="50vh"
+                      className="border border-gray-100 rounded-xl"
+                      renderItem={(file) => (
+                        <label className="flex items-center gap-3 px-4 py-2.5 border-b border-gray-50 cursor-pointer hover:bg-gray-50">
+                          <input
+                            type="checkbox"
+                            checked={!excluded.has(file.id)}
+                            onChange={() => toggleFile(file.id)}
+                            className="w-4 h-4 rounded border-gray-300 text-blue-500"
+                          />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate" title={file.name}>
+                              {file.name}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              Modified {formatDate(file.modifiedTime)}
+                              {' • '}
+                              {file.viewedByMeTime ? `opened ${formatDate(file.viewedByMeTime)}` : 'never opened'}
+                            </p>
+                          </div>
+                          <span className="text-sm text-gray-500 flex-shrink-0">{formatFileSize(file.bytes)}</span>
+                        </label>
+                      )}
+                    />
+                  </>
+                )}
+
+                {running && (
+                  <div className="mt-4 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <motion.div
+                      initial={false}
+                      animate={{ width: `${progress.total ? (progress.completed / progress.total) * 100 : 0}%` }}
+                      className="h-full bg-blue-500 rounded-full"
+                    />
+                  </div>
+                )}
+
+                <div className="flex gap-3 mt-6">
+                  <button
+                    onClick={() => setStep('filters')}
+                    disabled={running}
+                    className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                  >
+                    Back
+                  </button>
+                  <button
+                    onClick={handleTrash}
+                    disabled={selected.length === 0 || running}
+                    className="flex-1 px-4 py-3 bg-red-500 hover:bg-red-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                  >
+                    {running ? 'Moving to trash...' : `Move ${selected.length} to Trash`}
+                  </button>
+                </div>
+              </>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,324 @@
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Copy, Loader2, AlertCircle, X, ExternalLink } from 'lucide-react';
+import { findDuplicates, planDuplicateResolution, DUPLICATE_STRATEGIES } from '../utils/duplicateFinder';
+import { trashFilesInChunks } from '../utils/driveApi';
+import { formatFileSize, formatDate } from '../utils/theme';
+import { useToast } from './ui/Toast';
+import VirtualList from './ui/VirtualList';
+import ConfirmDialog from './ConfirmDialog';
+
+const selectClass = 'px-4 py-2.5 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
+export default function DuplicateFinder({ onRefreshQuota }) {
+  const toast = useToast();
+  const [report, setReport] = useState(null);
+  const [ownedByMe, setOwnedByMe] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [strategy, setStrategy] = useState('keep-newest');
+  const [folderId, setFolderId] = useState('');
+  const [skippedGroups, setSkippedGroups] = useState(new Set());
+  const [showConfirm, setShowConfirm] = useState(false);
+  const [trashing, setTrashing] = useState(false);
+  const abortRef = useRef(null);
+
+  // Stop scanning when the view is closed
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleScan = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const result = await findDuplicates({ ownedByMe, onProgress: setProgress, signal: controller.signal });
+      setReport(result);
+      // Name matches don't prove the content is the same, so they start unselected
+      setSkippedGroups(new Set(result.groups.filter(group => group.matchedBy === 'name').map(group => group.key)));
+      setFolderId('');
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    } finally {
+      setRunning(false);
+      abortRef.current = null;
+    }
+  };
+
+  const getFolderName = (file) => report?.folders[file.parents?.[0]] || (file.ownedByMe ? 'Unknown folder' : 'Shared with me');
+
+  // Folders that hold at least one duplicate, most common first
+  const folderOptions = useMemo(() => {
+    if (!report) return [];
+    const counts = {};
+    report.groups.forEach(group => group.files.forEach((file) => {
+      const parentId = file.parents?.[0];
+      if (parentId && report.folders[parentId]) {
+        counts[parentId] = (counts[parentId] || 0) + 1;
+      }
+    }));
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, count]) => ({ id, name: report.folders[id], count }));
+  }, [report]);
+
+  const plan = useMemo(
+    () => (report ? planDuplicateResolution(report.groups, strategy, folderId) : []),
+    [report, strategy, folderId]
+  );
+
+  const selectedPlan = useMemo(
+    () => plan.filter(entry => !skippedGroups.has(entry.group.key)),
+    [plan, skippedGroups]
+  );
+  const toTrash = useMemo(() => selectedPlan.flatMap(entry => entry.trash), [selectedPlan]);
+  const nameOnlyGroups = selectedPlan.filter(entry => entry.group.matchedBy === 'name' && entry.trash.length > 0).length;
+  // Only files the user owns count against their quota
+  const reclaimBytes = toTrash.filter(file => file.ownedByMe).reduce((sum, file) => sum + file.bytes, 0);
+
+  const toggleGroup = (key) => {
+    setSkippedGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const confirmTrash = async () => {
+    setTrashing(true);
+    try {
+      const result = await trashFilesInChunks(toTrash.map(file => file.id));
+      const trashedIds = new Set(result.trashedIds);
+
+      // Drop trashed copies and any group that no longer has duplicates
+      const groups = report.groups
+        .map(group => ({ ...group, files: group.files.filter(file => !trashedIds.has(file.id)) }))
+        .filter(group => group.files.length > 1)
+        .map(group => ({ ...group, wastedBytes: group.copyBytes * (group.files.length - 1) }));
+      setReport({ ...report, groups, wastedBytes: groups.reduce((sum, group) => sum + group.wastedBytes, 0) });
+
+      if (result.errors > 0) {
+        toast.warning('Partially cleaned up', `${result.trashed} duplicate(s) moved to trash, ${result.errors} failed`);
+      } else {
+        toast.success('Duplicates removed', `${result.trashed} duplicate(s) moved to trash`);
+      }
+      onRefreshQuota?.();
+    } catch (err) {
+      toast.error('Failed to remove duplicates', err.message);
+    } finally {
+      setTrashing(false);
+      setShowConfirm(false);
+    }
+  };
+
+  return (
+    <div className="p-6 lg:p-8">
+      {/* Header */}
+      <div className="mb-8">
+        <motion.h1
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-2xl font-bold text-gray-900 mb-2"
+        >
+          Duplicates
+        </motion.h1>
+        <p className="text-gray-500">Find copies of the same file and keep just one</p>
+      </div>
+
+      {!running && (
+        <div className="bg-white rounded-2xl border border-gray-100 p-6 mb-6 flex flex-wrap items-center gap-4">
+          <div className="p-2 rounded-xl bg-blue-50">
+            <Copy className="w-5 h-5 text-blue-500" />
+          </div>
+          <p className="flex-1 min-w-[12rem] text-sm text-gray-600">
+            Files are matched by content. Google Docs, Sheets and Slides are matched by name and size.
+          </p>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={ownedByMe}
+              onChange={(e) => setOwnedByMe(e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300 text-blue-500"
+            />
+            Only files I own
+          </label>
+          <button
+            onClick={handleScan}
+            className="px-5 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors"
+          >
+            {report ? 'Scan Again' : 'Find Duplicates'}
+          </button>
+        </div>
+      )}
+
+      {running && (
+        <div className="bg-white rounded-2xl border border-gray-100 p-8 flex items-center justify-center gap-3 text-gray-600">
+          <Loader2 className="w-5 h-5 animate-spin text-blue-500" />
+          <span>
+            {progress
+              ? `Scanning ${progress.phase}... ${progress.scanned.toLocaleString()} found`
+              : 'Starting scan...'}
+          </span>
+          <button
+            onClick={() => abortRef.current?.abort()}
+            title="Cancel"
+            className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-2 p-4 mb-6 rounded-xl bg-red-50 text-sm text-red-700">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {report && !running && (
+        report.groups.length === 0 ? (
+          <div className="bg-white rounded-2xl border border-gray-100 p-8 text-center text-gray-500">
+            No duplicates found in {report.scanned.toLocaleString()} files.
+          </div>
+        ) : (
+          <>
+            {/* Resolution */}
+            <div className="bg-white rounded-2xl border border-gray-100 p-6 mb-6">
+              <p className="text-sm text-gray-500 mb-4">
+                {report.groups.length} group(s) of duplicates in {report.scanned.toLocaleString()} files
+                {' • '}{formatFileSize(report.wastedBytes)} in extra copies
+                {report.truncated && ' • scan stopped early, results are partial'}
+              </p>
+              <div className="flex flex-wrap items-center gap-3">
+                <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className={selectClass}>
+                  {DUPLICATE_STRATEGIES.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                {strategy === 'keep-in-folder' && (
+                  <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className={selectClass}>
+                    <option value="">Choose a folder...</option>
+                    {folderOptions.map(folder => (
+                      <option key={folder.id} value={folder.id}>{folder.name} ({folder.count})</option>
+                    ))}
+                  </select>
+                )}
+                <div className="flex-1" />
+                <span className="text-sm text-gray-600">
+                  {toTrash.length} cop{toTrash.length === 1 ? 'y' : 'ies'} • {formatFileSize(reclaimBytes)} reclaimed
+                </span>
+                <button
+                  onClick={() => setShowConfirm(true)}
+                  disabled={toTrash.length === 0}
+                  className="px-5 py-2.5 bg-red-500 hover:bg-red-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                >
+                  Move to Trash
+                </button>
+              </div>
+            </div>
+
+            {/* Groups */}
+            <VirtualList
+              items={plan}
+              getKey={entry => entry.group.key}
+              estimatedItemHeight={180}
+              renderItem={({ group, keep, trash }) => {
+                const skipped = skippedGroups.has(group.key);
+                const trashIds = new Set(trash.map(file => file.id));
+
+                return (
+                  <div className="pb-4">
+                    <div className={`bg-white rounded-2xl border border-gray-100 p-4 ${skipped ? 'opacity-60' : ''}`}>
+                      <div className="flex items-center gap-3 mb-3">
+                        <input
+                          type="checkbox"
+                          checked={!skipped}
+                          onChange={() => toggleGroup(group.key)}
+                          className="w-4 h-4 rounded border-gray-300 text-blue-500"
+                        />
+                        <p className="flex-1 min-w-0 font-medium text-gray-900 truncate" title={group.name}>{group.name}</p>
+                        <span className="px-2 py-0.5 rounded-md bg-gray-100 text-xs text-gray-600">
+                          {group.matchedBy === 'checksum' ? 'Same content' : 'Same name only'}
+                        </span>
+                        <span className="text-sm text-gray-500">
+                          {group.files.length} copies • {formatFileSize(group.copyBytes)} each
+                        </span>
+                      </div>
+                      <ul className="divide-y divide-gray-50">
+                        {group.files.map((file) => {
+                          let badge = { label: 'Keep', className: 'bg-green-50 text-green-700' };
+                          if (trashIds.has(file.id) && !skipped) {
+                            badge = { label: 'Trash', className: 'bg-red-50 text-red-700' };
+                          } else if (!keep || skipped) {
+                            badge = { label: 'Unchanged', className: 'bg-gray-100 text-gray-600' };
+                          } else if (file.id !== keep.id) {
+                            badge = { label: "Can't trash", className: 'bg-amber-50 text-amber-700' };
+                          }
+
+                          return (
+                            <li key={file.id} className="flex items-center gap-3 py-2 pl-7">
+                              <span className={`w-20 text-center px-2 py-0.5 rounded-md text-xs font-medium ${badge.className}`}>
+                                {badge.label}
+                              </span>
+                              <div className="flex-1 min-w-0">
+                                <p className="text-sm text-gray-900 truncate">{getFolderName(file)}</p>
+                                <p className="text-xs text-gray-500 truncate">
+                                  {file.owners?.[0]?.displayName || file.owners?.[0]?.emailAddress || 'Unknown owner'}
+                                  {' • '}Modified {formatDate(file.modifiedTime)}
+                                </p>
+                              </div>
+                              {file.webViewLink && (
+                                <a
+                                  href={file.webViewLink}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  title="Open in Drive"
+                                  className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                                >
+                                  <ExternalLink className="w-4 h-4" />
+                                </a>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                      {group.matchedBy === 'name' && (
+                        <p className="mt-2 pl-7 text-xs text-gray-500">Google Docs, Sheets and Slides can't be compared by content. Open them to check before selecting this group.</p>
+                      )}
+                      {!keep && strategy === 'keep-in-folder' && folderId && (
+                        <p className="mt-2 pl-7 text-xs text-gray-500">No copy is in the chosen folder, so this group is left as is.</p>
+                      )}
+                    </div>
+                  </div>
+                );
+              }}
+            />
+          </>
+        )
+      )}
+
+      <ConfirmDialog
+        isOpen={showConfirm}
+        onClose={() => setShowConfirm(false)}
+        onConfirm={confirmTrash}
+        title="Move Duplicates to Trash"
+        message={`Move ${toTrash.length} duplicate(s) to the trash? One file of each group is kept, and you can restore the others from Trash for 30 days.${
+          nameOnlyGroups > 0 ? ` ${nameOnlyGroups} selected group(s) only share a name, so their contents may differ.` : ''
+        }`}
+        confirmText="Move to Trash"
+        type="warning"
+        loading={trashing}
+      />
+    </div>
+  );
+}
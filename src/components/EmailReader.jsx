@@ -0,0 +1,295 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  X,
+  Loader2,
+  AlertCircle,
+  Archive,
+  Trash2,
+  ExternalLink,
+  Paperclip,
+  ImageOff,
+  MoreHorizontal,
+} from 'lucide-react';
+import { getThread } from '../utils/gmailApi';
+import { prepareEmailHtml, buildEmailDocument, splitQuotedText } from '../utils/emailContent';
+import { sanitizeEmailId } from '../utils/security';
+import { getInitials, getAvatarColor, formatFileSize } from '../utils/theme';
+
+const formatDateTime = (value) => (
+  value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : ''
+);
+
+const formatAddresses = (addresses) => addresses.map(address => address.name || address.email).join(', ');
+
+const describeAddresses = (addresses) => addresses.map(address => address.email).join(', ');
+
+function QuoteToggle({ expanded, onToggle }) {
+  return (
+    <button
+      onClick={onToggle}
+      title={expanded ? 'Hide quoted text' : 'Show quoted text'}
+      className="mt-2 px-2 py-0.5 rounded-md bg-gray-100 hover:bg-gray-200 text-gray-500 transition-colors"
+    >
+      <MoreHorizontal className="w-4 h-4" />
+    </button>
+  );
+}
+
+// A unique origin with no scripts, so mail can't reach the app or its token.
+// That also means its height can't be read, so long messages scroll inside the frame.
+// Links were limited to http(s) and mailto when the HTML was cleaned, so they may open normally.
+function EmailFrame({ html, title }) {
+  return (
+    <iframe
+      title={title}
+      srcDoc={html}
+      sandbox="allow-popups allow-popups-to-escape-sandbox"
+      className="w-full h-[60vh] border border-gray-100 rounded-xl"
+    />
+  );
+}
+
+function ThreadMessage({ message, expanded, onToggle }) {
+  const [showImages, setShowImages] = useState(false);
+  const [showQuoted, setShowQuoted] = useState(false);
+  const sender = message.from;
+
+  const prepared = useMemo(
+    () => (message.html ? prepareEmailHtml(message.html, { showImages, showQuoted }) : null),
+    [message.html, showImages, showQuoted]
+  );
+  const plain = useMemo(() => splitQuotedText(message.text), [message.text]);
+
+  return (
+    <div className="border-b border-gray-100 last:border-b-0">
+      {/* Header */}
+      <button onClick={onToggle} className="w-full flex items-start gap-3 px-6 py-4 text-left hover:bg-gray-50 transition-colors">
+        <div
+          className="w-9 h-9 rounded-full flex items-center justify-center flex-shrink-0 text-white font-semibold text-sm"
+          style={{ backgroundColor: getAvatarColor(sender.email) }}
+        >
+          {getInitials(sender.name)}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-baseline gap-2">
+            <span className="font-semibold text-gray-900 truncate">{sender.name || sender.email || 'Unknown'}</span>
+            {expanded && sender.email && <span className="text-sm text-gray-500 truncate">&lt;{sender.email}&gt;</span>}
+          </div>
+          {expanded ? (
+            <div className="text-sm text-gray-500">
+              <p className="truncate" title={describeAddresses(message.to)}>To: {formatAddresses(message.to) || '—'}</p>
+              {message.cc.length > 0 && (
+                <p className="truncate" title={describeAddresses(message.cc)}>Cc: {formatAddresses(message.cc)}</p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 truncate">{message.snippet}</p>
+          )}
+        </div>
+        <span className="flex items-center gap-1.5 text-sm text-gray-500 flex-shrink-0">
+          {!expanded && message.attachments.length > 0 && <Paperclip className="w-4 h-4 text-gray-400" />}
+          {formatDateTime(message.date)}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="pr-6 pb-6 pl-[4.5rem]">
+          {prepared?.blockedImages > 0 && !showImages && (
+            <div className="flex items-center justify-between gap-3 mb-3 px-3 py-2 rounded-xl bg-gray-50 text-sm text-gray-600">
+              <span className="flex items-center gap-2">
+                <ImageOff className="w-4 h-4 flex-shrink-0" />
+                Remote images are hidden to protect your privacy.
+              </span>
+              <button
+                onClick={() => setShowImages(true)}
+                className="font-medium text-blue-600 hover:text-blue-700 flex-shrink-0"
+              >
+                Show images
+              </button>
+            </div>
+          )}
+
+          {/* Body */}
+          {prepared ? (
+            <>
+              <EmailFrame html={buildEmailDocument(prepared.html, showImages)} title={message.subject} />
+              {prepared.hasQuoted && <QuoteToggle expanded={showQuoted} onToggle={() => setShowQuoted(!showQuoted)} />}
+            </>
+          ) : message.text ? (
+            <>
+              <pre className="whitespace-pre-wrap break-words font-sans text-sm text-gray-900">{plain.body}</pre>
+              {plain.quoted && (
+                <>
+                  <QuoteToggle expanded={showQuoted} onToggle={() => setShowQuoted(!showQuoted)} />
+                  {showQuoted && (
+                    <pre className="mt-2 whitespace-pre-wrap break-words font-sans text-sm text-gray-500">{plain.quoted}</pre>
+                  )}
+                </>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-400 italic">This message has no text</p>
+          )}
+
+          {/* Attachments */}
+          {message.attachments.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-4">
+              {message.attachments.map(attachment => (
+                <span
+                  key={attachment.partId || attachment.id}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-50 border border-gray-100 text-sm text-gray-700"
+                >
+                  <Paperclip className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  <span className="max-w-[14rem] truncate" title={attachment.filename}>{attachment.filename}</span>
+                  <span className="text-gray-400">{formatFileSize(attachment.size)}</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ThreadView({ email }) {
+  const [thread, setThread] = useState(null);
+  const [error, setError] = useState(null);
+  const [expandedIds, setExpandedIds] = useState(new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const result = await getThread(email.threadId || email.id);
+        if (cancelled) return;
+        setThread(result);
+        // Like Gmail: the opened message, the latest one and anything unread start expanded
+        const last = result.messages[result.messages.length - 1];
+        setExpandedIds(new Set(result.messages
+          .filter(m => m.id === email.id || m === last || m.labelIds.includes('UNREAD'))
+          .map(m => m.id)));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [email]);
+
+  const toggleMessage = (id) => {
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  if (error) {
+    return (
+      <div className="px-6 py-4">
+        <div className="flex items-start gap-2 p-3 rounded-xl bg-red-50 text-sm text-red-700">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (!thread) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-12 text-gray-500">
+        <Loader2 className="w-5 h-5 animate-spin" />
+        Loading conversation...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 overflow-y-auto">
+      {thread.messages.length > 1 && (
+        <p className="px-6 pt-4 text-sm text-gray-500">{thread.messages.length} messages</p>
+      )}
+      {thread.messages.map(message => (
+        <ThreadMessage
+          key={message.id}
+          message={message}
+          expanded={expandedIds.has(message.id)}
+          onToggle={() => toggleMessage(message.id)}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function EmailReader({ email, onClose, onArchive, onDelete }) {
+  const handleOpenInGmail = () => {
+    const threadId = sanitizeEmailId(email.threadId || email.id);
+    if (threadId) {
+      window.open(`https://mail.google.com/mail/u/0/#all/${threadId}`, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {email && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/20 z-40"
+            onClick={onClose}
+          />
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.25, ease: 'easeOut' }}
+            className="fixed top-0 right-0 h-screen w-full max-w-3xl bg-white shadow-2xl z-50 flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center gap-2 px-6 h-16 border-b border-gray-100">
+              <h3 className="flex-1 min-w-0 font-semibold text-gray-900 truncate" title={email.subject}>
+                {email.subject || '(No Subject)'}
+              </h3>
+              <button
+                onClick={() => onArchive(email)}
+                title="Archive"
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+              >
+                <Archive className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => onDelete(email)}
+                title="Delete"
+                className="p-2 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600 transition-colors"
+              >
+                <Trash2 className="w-5 h-5" />
+              </button>
+              <button
+                onClick={handleOpenInGmail}
+                title="Open in Gmail"
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+              >
+                <ExternalLink className="w-5 h-5" />
+              </button>
+              <button
+                onClick={onClose}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <ThreadView key={email.id} email={email} />
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
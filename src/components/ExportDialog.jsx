@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download } from 'lucide-react';
+import { getExportFormats } from '../utils/driveApi';
+
+export default function ExportDialog({ file, onClose, onDownload }) {
+  const formats = file ? getExportFormats(file.mimeType) : [];
+  const [selected, setSelected] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    setSelected(file ? getExportFormats(file.mimeType)[0]?.mimeType : null);
+  }, [file]);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await onDownload(file, selected);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={() => !downloading && onClose()}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6"
+          >
+            <h3 className="text-xl font-bold text-gray-900 mb-4">Download As</h3>
+            <p className="text-gray-500 mb-6 truncate" title={file.name}>
+              Choose a format for {file.name}
+            </p>
+
+            <div className="space-y-2">
+              {formats.map(format => (
+                <label
+                  key={format.mimeType}
+                  className={`flex items-center gap-3 px-4 py-3 border rounded-xl cursor-pointer transition-colors ${
+                    selected === format.mimeType
+                      ? 'border-blue-500 bg-blue-50'
+                      : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={format.mimeType}
+                    checked={selected === format.mimeType}
+                    onChange={() => setSelected(format.mimeType)}
+                    className="text-blue-500"
+                  />
+                  <span className="flex-1 text-sm font-medium text-gray-900">{format.label}</span>
+                  <span className="text-xs text-gray-500">.{format.extension}</span>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={onClose}
+                disabled={downloading}
+                className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDownload}
+                disabled={!selected || downloading}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                {downloading ? 'Downloading...' : 'Download'}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
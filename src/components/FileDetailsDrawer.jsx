@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Loader2, AlertCircle, Download, History, Users, ExternalLink } from 'lucide-react';
+import {
+  getFileDetails,
+  updateFileDescription,
+  listRevisions,
+  downloadRevision,
+  restoreRevision,
+  isGoogleWorkspaceFile,
+  FOLDER_MIME_TYPE,
+} from '../utils/driveApi';
+import { formatFileSize, getFileTypeConfig } from '../utils/theme';
+import { isValidGoogleUrl } from '../utils/security';
+import { useToast } from './ui/Toast';
+
+const formatDateTime = (value) => (
+  value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—'
+);
+
+const describeUser = (user) => user?.displayName || user?.emailAddress || 'Unknown';
+
+function DetailRow({ label, children }) {
+  return (
+    <div className="flex gap-4 py-2 text-sm">
+      <dt className="w-28 flex-shrink-0 text-gray-500">{label}</dt>
+      <dd className="flex-1 min-w-0 text-gray-900 break-words">{children}</dd>
+    </div>
+  );
+}
+
+export default function FileDetailsDrawer({ file, onClose, onManageAccess, onUpdated }) {
+  const toast = useToast();
+  const [details, setDetails] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [description, setDescription] = useState('');
+  const [savingDescription, setSavingDescription] = useState(false);
+  const [busyRevision, setBusyRevision] = useState(null);
+
+  useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      setDetails(null);
+      setRevisions([]);
+      try {
+        const result = await getFileDetails(file.id);
+        if (cancelled) return;
+        setDetails(result);
+        setDescription(result.description || '');
+
+        if (result.mimeType !== FOLDER_MIME_TYPE && result.capabilities?.canReadRevisions) {
+          const revisionList = await listRevisions(file.id);
+          if (!cancelled) setRevisions(revisionList);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const handleSaveDescription = async () => {
+    setSavingDescription(true);
+    try {
+      const saved = await updateFileDescription(details.id, description);
+      setDetails({ ...details, description: saved });
+      setDescription(saved);
+      toast.success('Saved', 'Description updated');
+    } catch (err) {
+      toast.error('Error', err.message);
+    } finally {
+      setSavingDescription(false);
+    }
+  };
+
+  const handleDownloadRevision = async (revision) => {
+    setBusyRevision(revision.id);
+    try {
+      const fileName = await downloadRevision(details, revision);
+      toast.success('Downloaded', `${fileName} downloaded successfully`);
+    } catch (err) {
+      toast.error('Error', err.message);
+    } finally {
+      setBusyRevision(null);
+    }
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    setBusyRevision(revision.id);
+    try {
+      const updated = await restoreRevision(details, revision);
+      setDetails({ ...details, ...updated });
+      setRevisions(await listRevisions(details.id));
+      toast.success('Restored', `Version from ${formatDateTime(revision.modifiedTime)} is now the current version`);
+      onUpdated?.();
+    } catch (err) {
+      toast.error('Error', err.message);
+    } finally {
+      setBusyRevision(null);
+    }
+  };
+
+  const typeConfig = getFileTypeConfig(file?.mimeType);
+  const canEdit = Boolean(details?.capabilities?.canEdit);
+  // Revisions of native Google files can only be fetched from Drive itself
+  const canDownloadRevisions = details && !isGoogleWorkspaceFile(details.mimeType);
+  const canRestore = canEdit && canDownloadRevisions;
+  const descriptionChanged = details && description !== (details.description || '');
+
+  return (
+    <AnimatePresence>
+      {file && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/20 z-40"
+            onClick={onClose}
+          />
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.25, ease: 'easeOut' }}
+            className="fixed top-0 right-0 h-screen w-full max-w-md bg-white shadow-2xl z-50 flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center gap-3 px-6 h-16 border-b border-gray-100">
+              <span
+                className="px-2 py-0.5 rounded-md text-xs font-medium flex-shrink-0"
+                style={{ color: typeConfig.color, backgroundColor: typeConfig.bg }}
+              >
+                {typeConfig.label}
+              </span>
+              <h3 className="flex-1 min-w-0 font-semibold text-gray-900 truncate" title={file.name}>
+                {details?.name || file.name}
+              </h3>
+              <button
+                onClick={onClose}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+              {loading && (
+                <div className="flex items-center justify-center gap-2 py-12 text-gray-500">
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  Loading details...
+                </div>
+              )}
+
+              {error && (
+                <div className="flex items-start gap-2 p-3 rounded-xl bg-red-50 text-sm text-red-700">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+
+              {details && (
+                <>
+                  {/* Metadata */}
+                  <section>
+                    <h4 className="text-sm font-semibold text-gray-900 mb-2">Details</h4>
+                    <dl className="divide-y divide-gray-50">
+                      <DetailRow label="Location">
+                        {details.path.length > 0 ? details.path.map(folder => folder.name).join(' / ') : 'Shared with me'}
+                      </DetailRow>
+                      <DetailRow label="Owner">
+                        {(details.owners || []).map(describeUser).join(', ') || '—'}
+                      </DetailRow>
+                      {details.mimeType !== FOLDER_MIME_TYPE && (
+                        <DetailRow label="Size">
+                          {details.size ? formatFileSize(Number(details.size)) : '—'}
+                          {Number(details.quotaBytesUsed) > 0 && details.quotaBytesUsed !== details.size && (
+                            <span className="text-gray-500"> ({formatFileSize(Number(details.quotaBytesUsed))} of storage)</span>
+                          )}
+                        </DetailRow>
+                      )}
+                      <DetailRow label="Created">{formatDateTime(details.createdTime)}</DetailRow>
+                      <DetailRow label="Modified">
+                        {formatDateTime(details.modifiedTime)}
+                        {details.lastModifyingUser && (
+                          <span className="text-gray-500"> by {describeUser(details.lastModifyingUser)}</span>
+                        )}
+                      </DetailRow>
+                      <DetailRow label="Opened by me">{formatDateTime(details.viewedByMeTime)}</DetailRow>
+                    </dl>
+                  </section>
+
+                  {/* Sharing */}
+                  <section>
+                    <h4 className="text-sm font-semibold text-gray-900 mb-2">Sharing</h4>
+                    <div className="flex items-center justify-between gap-3 p-3 rounded-xl bg-gray-50">
+                      <span className="text-sm text-gray-700">
+                        {details.shared ? 'Shared with others' : 'Only people with direct access'}
+                      </span>
+                      {details.capabilities?.canShare && onManageAccess && (
+                        <button
+                          onClick={() => onManageAccess(details)}
+                          className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-gray-200 text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors"
+                        >
+                          <Users className="w-4 h-4" />
+                          Manage access
+                        </button>
+                      )}
+                    </div>
+                  </section>
+
+                  {/* Description */}
+                  <section>
+                    <h4 className="text-sm font-semibold text-gray-900 mb-2">Description</h4>
+                    {canEdit ? (
+                      <>
+                        <textarea
+                          value={description}
+                          onChange={(e) => setDescription(e.target.value)}
+                          rows={3}
+                          maxLength={4000}
+                          placeholder="Add a description"
+                          className="w-full px-4 py-3 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+                        />
+                        {descriptionChanged && (
+                          <div className="flex justify-end gap-2 mt-2">
+                            <button
+                              onClick={() => setDescription(details.description || '')}
+                              disabled={savingDescription}
+                              className="px-3 py-1.5 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-100"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={handleSaveDescription}
+                              disabled={savingDescription}
+                              className="px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium disabled:opacity-50"
+                            >
+                              {savingDescription ? 'Saving...' : 'Save'}
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <p className="text-sm text-gray-500">{details.description || 'No description'}</p>
+                    )}
+                  </section>
+
+                  {/* Version history */}
+                  {details.mimeType !== FOLDER_MIME_TYPE && (
+                    <section>
+                      <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-2">
+                        <History className="w-4 h-4" />
+                        Version history
+                      </h4>
+                      {revisions.length === 0 ? (
+                        <p className="text-sm text-gray-500">No earlier versions available</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                          {revisions.map((revision, index) => (
+                            <li key={revision.id} className="flex items-center gap-3 px-4 py-2.5">
+                              <div className="flex-1 min-w-0">
+                                <p className="text-sm font-medium text-gray-900">
+                                  {formatDateTime(revision.modifiedTime)}
+                                  {index === 0 && <span className="ml-2 text-xs font-normal text-green-600">Current</span>}
+                                </p>
+                                <p className="text-xs text-gray-500 truncate">
+                                  {describeUser(revision.lastModifyingUser)}
+                                  {revision.size && ` • ${formatFileSize(Number(revision.size))}`}
+                                </p>
+                              </div>
+                              {busyRevision === revision.id ? (
+                                <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+                              ) : (
+                                <>
+                                  {canDownloadRevisions && (
+                                    <button
+                                      onClick={() => handleDownloadRevision(revision)}
+                                      disabled={Boolean(busyRevision)}
+                                      title="Download this version"
+                                      className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+                                    >
+                                      <Download className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                  {canRestore && index > 0 && (
+                                    <button
+                                      onClick={() => handleRestoreRevision(revision)}
+                                      disabled={Boolean(busyRevision)}
+                                      className="px-2 py-1 rounded-lg text-xs font-medium text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                                    >
+                                      Restore
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {isGoogleWorkspaceFile(details.mimeType) && details.webViewLink && isValidGoogleUrl(details.webViewLink) && (
+                        <a
+                          href={details.webViewLink}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center gap-1 mt-2 text-xs text-blue-600 hover:underline"
+                        >
+                          Download or restore versions of Google files in Drive
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      )}
+                    </section>
+                  )}
+                </>
+              )}
+            </div>
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   RefreshCw,
@@ -11,97 +11,161 @@ import {
   Mail,
   MailOpen,
   Search,
+  AlertTriangle,
+  BookmarkPlus,
 } from 'lucide-react';
 import {
-  searchEmails,
+  searchEmailsPage,
   listLabels,
   createLabel,
   deleteLabel,
   deleteSpamEmails,
   deleteOldEmails,
+  archiveEmails,
+  trashEmails,
+  modifyEmails,
 } from '../utils/gmailApi';
-import { sanitizeEmailId } from '../utils/security';
+import { sanitizeEmailId, parseGmailQuery } from '../utils/security';
+import { removeQueryToken, buildSectionQuery } from '../utils/gmailQuery';
 import { useToast } from './ui/Toast';
 import SearchBar from './ui/SearchBar';
 import StatsCards from './ui/StatsCards';
 import EmailCard from './ui/EmailCard';
 import EmptyState from './ui/EmptyState';
+import LoadMore from './ui/LoadMore';
+import VirtualList from './ui/VirtualList';
 import { EmailListSkeleton } from './ui/Skeleton';
 import ConfirmDialog from './ConfirmDialog';
+import GmailSearchPanel from './GmailSearchPanel';
+import SaveSearchDialog from './SaveSearchDialog';
+import EmailReader from './EmailReader';
 
-export default function Gmail({ activeSection }) {
+export default function Gmail({ activeSection, initialSearch, savedSearches = [], onSaveSearch }) {
   const toast = useToast();
   const [emails, setEmails] = useState([]);
   const [labels, setLabels] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(initialSearch?.query || '');
+  const [saveSearchDraft, setSaveSearchDraft] = useState(null);
+  const [readingEmail, setReadingEmail] = useState(null);
   const [selectedEmails, setSelectedEmails] = useState([]);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [showLabelDialog, setShowLabelDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [newLabelName, setNewLabelName] = useState('');
-  const [stats, setStats] = useState({
-    totalEmails: 0,
-    unread: 0,
-    starred: 0,
-    labels: 0,
-  });
-
-  // Fetch emails
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const listQueryRef = useRef('');
+  const loadingMoreRef = useRef(false);
+  const abortRef = useRef(null);
+
+  // Build the Gmail query for the current section
+  const buildQuery = useCallback((query = '') => buildSectionQuery(activeSection, query), [activeSection]);
+
+  // Append streamed emails, skipping ids already listed
+  const appendEmails = useCallback((loaded) => {
+    setEmails(prev => {
+      const seen = new Set(prev.map(e => e.id));
+      return [...prev, ...loaded.filter(e => !seen.has(e.id))];
+    });
+  }, []);
+
+  // Fetch the first page of emails, rendering details as they arrive
   const fetchEmails = useCallback(async (query = '') => {
-    setLoading(true);
-    try {
-      let searchQ = query;
-
-      // Apply section filter
-      if (activeSection === 'inbox') {
-        searchQ = searchQ ? `${searchQ} in:inbox` : 'in:inbox';
-      } else if (activeSection === 'sent') {
-        searchQ = searchQ ? `${searchQ} in:sent` : 'in:sent';
-      } else if (activeSection === 'starred') {
-        searchQ = searchQ ? `${searchQ} is:starred` : 'is:starred';
-      } else if (activeSection === 'archive') {
-        searchQ = searchQ ? `${searchQ} -in:inbox -in:trash` : '-in:inbox -in:trash';
-      } else if (activeSection === 'trash') {
-        searchQ = searchQ ? `${searchQ} in:trash` : 'in:trash';
-      }
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-      const result = await searchEmails(searchQ || 'in:inbox');
-      setEmails(result);
+    const searchQ = buildQuery(query);
+    listQueryRef.current = searchQ;
 
-      // Calculate stats
-      const unreadCount = result.filter(e => e.labelIds?.includes('UNREAD')).length;
-      const starredCount = result.filter(e => e.labelIds?.includes('STARRED')).length;
+    setLoading(true);
+    setStreaming(true);
+    setEmails([]);
+    // A failed search must not keep paging through the previous query
+    setNextPageToken(null);
+    try {
+      const result = await searchEmailsPage({
+        query: searchQ,
+        signal: controller.signal,
+        onEmails: (loaded) => {
+          if (controller.signal.aborted) return;
+          appendEmails(loaded);
+          setLoading(false);
+        }
+      });
 
-      setStats(prev => ({
-        ...prev,
-        totalEmails: result.length,
-        unread: unreadCount,
-        starred: starredCount,
-      }));
+      if (controller.signal.aborted) return;
+      setNextPageToken(result.nextPageToken);
 
+      // Drop selections that are no longer part of the listing
+      const ids = new Set(result.emails.map(e => e.id));
+      setSelectedEmails(prev => prev.filter(e => ids.has(e.id)));
     } catch (error) {
+      if (controller.signal.aborted) return;
       toast.error('Error', 'Failed to load emails');
       console.error('Error fetching emails:', error);
     } finally {
-      setLoading(false);
+      if (!controller.signal.aborted) {
+        setLoading(false);
+        setStreaming(false);
+      }
+    }
+  }, [buildQuery, appendEmails, toast]);
+
+  // Load the next page of emails
+  const loadMoreEmails = useCallback(async () => {
+    // Scroll events can fire several times before state updates land
+    if (!nextPageToken || loadingMoreRef.current || streaming) return;
+
+    const controller = abortRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    setStreaming(true);
+    try {
+      const result = await searchEmailsPage({
+        query: listQueryRef.current,
+        pageToken: nextPageToken,
+        signal: controller?.signal,
+        onEmails: (loaded) => {
+          if (!controller?.signal.aborted) appendEmails(loaded);
+        }
+      });
+      if (controller?.signal.aborted) return;
+      setNextPageToken(result.nextPageToken);
+    } catch (error) {
+      toast.error('Error', 'Failed to load more emails');
+      console.error('Error fetching more emails:', error);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+      if (!controller?.signal.aborted) setStreaming(false);
     }
-  }, [activeSection, toast]);
+  }, [nextPageToken, streaming, appendEmails, toast]);
+
+  // Stop streaming details when leaving the view
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   // Fetch labels
   const fetchLabels = useCallback(async () => {
     try {
       const result = await listLabels();
       setLabels(result);
-      setStats(prev => ({
-        ...prev,
-        labels: result.filter(l => l.type === 'user').length,
-      }));
     } catch (error) {
       console.error('Error fetching labels:', error);
     }
   }, []);
 
+  // Stats cover every page loaded so far
+  const stats = useMemo(() => ({
+    totalEmails: emails.length,
+    hasMore: Boolean(nextPageToken),
+    unread: emails.filter(e => e.labelIds?.includes('UNREAD')).length,
+    starred: emails.filter(e => e.labelIds?.includes('STARRED')).length,
+    labels: labels.filter(l => l.type === 'user').length,
+  }), [emails, nextPageToken, labels]);
+
   useEffect(() => {
     fetchEmails(searchQuery);
     fetchLabels();
@@ -120,6 +184,18 @@ export default function Gmail({ activeSection }) {
     setSearchQuery(query);
   };
 
+  const handleSaveSearch = (search) => {
+    onSaveSearch(search);
+    setSaveSearchDraft(null);
+    toast.success('Saved', `"${search.name}" was added to the sidebar`);
+  };
+
+  // Operators in the query show as chips; tokens that fail validation are reported, not dropped silently
+  const parsedQuery = useMemo(() => parseGmailQuery(searchQuery), [searchQuery]);
+  const queryChips = parsedQuery.tokens
+    .map((token, index) => ({ ...token, index }))
+    .filter(token => token.valid && token.operator);
+
   // Select email
   const handleSelectEmail = (email, multiSelect) => {
     if (multiSelect) {
@@ -135,16 +211,34 @@ export default function Gmail({ activeSection }) {
     }
   };
 
-  // Open email (with ID validation for security)
-  const handleOpenEmail = (email) => {
-    const sanitizedId = sanitizeEmailId(email.id);
-    if (sanitizedId) {
-      window.open(`https://mail.google.com/mail/u/0/#inbox/${sanitizedId}`, '_blank', 'noopener,noreferrer');
-    } else {
+  // Open email in the reader (with ID validation for security)
+  const handleOpenEmail = async (email) => {
+    if (!sanitizeEmailId(email.id)) {
       toast.error('Error', 'Invalid email ID');
+      return;
+    }
+    setReadingEmail(email);
+
+    // Reading an email marks it read, as in Gmail
+    if (!email.labelIds?.includes('UNREAD')) return;
+    const { succeeded } = await modifyEmails([email.id], { removeLabelIds: ['UNREAD'] });
+    if (succeeded.length > 0) {
+      setEmails(prev => prev.map(e => (
+        e.id === email.id ? { ...e, labelIds: e.labelIds.filter(id => id !== 'UNREAD') } : e
+      )));
     }
   };
 
+  const handleReaderArchive = (email) => {
+    setReadingEmail(null);
+    handleArchiveEmail(email);
+  };
+
+  const handleReaderDelete = (email) => {
+    setReadingEmail(null);
+    handleDeleteEmail(email);
+  };
+
   // Archive email
   const handleArchiveEmail = async (email) => {
     try {
@@ -162,6 +256,17 @@ export default function Gmail({ activeSection }) {
     }
   };
 
+  // Summarize a bulk operation, including partial failures
+  const reportBulkResult = (title, verb, succeeded, failed) => {
+    if (failed.length === 0) {
+      toast.success(title, `${succeeded.length} email(s) ${verb}`);
+    } else if (succeeded.length > 0) {
+      toast.warning('Partially completed', `${succeeded.length} email(s) ${verb}, ${failed.length} failed`);
+    } else {
+      toast.error('Error', failed[0].error);
+    }
+  };
+
   // Delete email
   const handleDeleteEmail = (email) => {
     setSelectedEmails([email]);
@@ -170,17 +275,13 @@ export default function Gmail({ activeSection }) {
 
   const confirmDelete = async () => {
     try {
-      for (const email of selectedEmails) {
-        await window.gapi.client.gmail.users.messages.trash({
-          userId: 'me',
-          id: email.id
-        });
-      }
-      toast.success('Deleted', `${selectedEmails.length} email(s) deleted`);
+      const { succeeded, failed } = await trashEmails(selectedEmails.map(e => e.id));
+      reportBulkResult('Deleted', 'deleted', succeeded, failed);
       setShowDeleteDialog(false);
-      setSelectedEmails([]);
+      // Keep failed emails selected so they can be retried
+      setSelectedEmails(prev => prev.filter(e => failed.some(f => f.id === e.id)));
       fetchEmails(searchQuery);
-    } catch (error) {
+    } catch {
       toast.error('Error', 'Failed to delete emails');
     }
   };
@@ -243,7 +344,11 @@ export default function Gmail({ activeSection }) {
   const handleDeleteSpam = async () => {
     try {
       const result = await deleteSpamEmails();
-      toast.success('Deleted', `${result.deleted} spam emails deleted`);
+      if (result.errors > 0) {
+        toast.warning('Partially completed', `${result.deleted} spam emails deleted, ${result.errors} failed`);
+      } else {
+        toast.success('Deleted', `${result.deleted} spam emails deleted`);
+      }
       fetchEmails(searchQuery);
     } catch (error) {
       toast.error('Error', 'Failed to delete spam');
@@ -271,17 +376,11 @@ export default function Gmail({ activeSection }) {
     if (selectedEmails.length === 0) return;
 
     try {
-      for (const email of selectedEmails) {
-        await window.gapi.client.gmail.users.messages.modify({
-          userId: 'me',
-          id: email.id,
-          resource: { removeLabelIds: ['INBOX'] }
-        });
-      }
-      toast.success('Archived', `${selectedEmails.length} email(s) archived`);
-      setSelectedEmails([]);
+      const { succeeded, failed } = await archiveEmails(selectedEmails.map(e => e.id));
+      reportBulkResult('Archived', 'archived', succeeded, failed);
+      setSelectedEmails(prev => prev.filter(e => failed.some(f => f.id === e.id)));
       fetchEmails(searchQuery);
-    } catch (error) {
+    } catch {
       toast.error('Error', 'Failed to archive emails');
     }
   };
@@ -295,12 +394,16 @@ export default function Gmail({ activeSection }) {
           animate={{ opacity: 1, y: 0 }}
           className="text-2xl font-bold text-gray-900 mb-2"
         >
-          {activeSection === 'inbox' && 'Inbox'}
-          {activeSection === 'sent' && 'Sent'}
-          {activeSection === 'starred' && 'Starred'}
-          {activeSection === 'archive' && 'Archive'}
-          {activeSection === 'labels' && 'Labels'}
-          {activeSection === 'trash' && 'Trash'}
+          {initialSearch ? initialSearch.name : (
+            <>
+              {activeSection === 'inbox' && 'Inbox'}
+              {activeSection === 'sent' && 'Sent'}
+              {activeSection === 'starred' && 'Starred'}
+              {activeSection === 'archive' && 'Archive'}
+              {activeSection === 'labels' && 'Labels'}
+              {activeSection === 'trash' && 'Trash'}
+            </>
+          )}
         </motion.h1>
         <p className="text-gray-500">
           {activeSection === 'inbox' && 'Your incoming emails'}
@@ -383,11 +486,33 @@ export default function Gmail({ activeSection }) {
               onChange={setSearchQuery}
               onSearch={handleSearch}
               placeholder="Search emails..."
-              showFilters={false}
+              filterCount={queryChips.length}
+              renderFilters={(close) => (
+                <GmailSearchPanel
+                  query={searchQuery}
+                  labels={labels}
+                  onApply={(query) => {
+                    setSearchQuery(query);
+                    close();
+                  }}
+                />
+              )}
             />
 
             {/* Actions */}
             <div className="flex items-center gap-2">
+              {/* Save Search */}
+              {onSaveSearch && (
+                <button
+                  onClick={() => setSaveSearchDraft({ tab: 'gmail', section: activeSection, query: parsedQuery.query })}
+                  disabled={!parsedQuery.query}
+                  title="Save search"
+                  className="p-2.5 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
+                >
+                  <BookmarkPlus className="w-5 h-5" />
+                </button>
+              )}
+
               {/* Refresh */}
               <button
                 onClick={handleRefresh}
@@ -408,6 +533,35 @@ export default function Gmail({ activeSection }) {
             </div>
           </div>
 
+          {/* Query Chips */}
+          {(queryChips.length > 0 || parsedQuery.rejected.length > 0) && (
+            <div className="flex flex-wrap items-center gap-2 -mt-3 mb-6">
+              {queryChips.map(chip => (
+                <span
+                  key={`${chip.index}-${chip.raw}`}
+                  className="flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-blue-50 text-blue-700 text-sm"
+                >
+                  <span className="font-medium">{chip.negated ? `-${chip.operator}` : chip.operator}:</span>
+                  <span className="max-w-[12rem] truncate" title={chip.value}>{chip.value}</span>
+                  <button
+                    onClick={() => setSearchQuery(removeQueryToken(searchQuery, chip.index))}
+                    title="Remove"
+                    className="p-0.5 rounded-full hover:bg-blue-100 transition-colors"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </span>
+              ))}
+              {parsedQuery.rejected.length > 0 && (
+                <span className="flex items-center gap-1.5 text-sm text-amber-600">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  Not searched: {parsedQuery.rejected.map(token => `"${token}"`).join(', ')}.
+                  Use Gmail operators, plain words or "quoted phrases".
+                </span>
+              )}
+            </div>
+          )}
+
           {/* Bulk Actions Bar */}
           <AnimatePresence>
             {selectedEmails.length > 0 && (
@@ -463,27 +617,53 @@ export default function Gmail({ activeSection }) {
               onAction={() => searchQuery ? setSearchQuery('') : null}
             />
           ) : (
-            <div className="bg-white rounded-2xl border border-gray-100 overflow-hidden">
-              <AnimatePresence>
-                {emails.map((email) => (
-                  <EmailCard
-                    key={email.id}
-                    email={email}
-                    selected={selectedEmails.some(e => e.id === email.id)}
-                    onSelect={handleSelectEmail}
-                    onOpen={handleOpenEmail}
-                    onArchive={handleArchiveEmail}
-                    onDelete={handleDeleteEmail}
-                    onToggleStar={handleToggleStar}
-                    onToggleRead={handleToggleRead}
-                  />
-                ))}
-              </AnimatePresence>
-            </div>
+            <VirtualList
+              items={emails}
+              estimatedItemHeight={104}
+              onEndReached={loadMoreEmails}
+              className="bg-white rounded-2xl border border-gray-100"
+              renderItem={(email) => (
+                <EmailCard
+                  email={email}
+                  selected={selectedEmails.some(e => e.id === email.id)}
+                  onSelect={handleSelectEmail}
+                  onOpen={handleOpenEmail}
+                  onArchive={handleArchiveEmail}
+                  onDelete={handleDeleteEmail}
+                  onToggleStar={handleToggleStar}
+                  onToggleRead={handleToggleRead}
+                />
+              )}
+              footer={
+                <LoadMore
+                  hasMore={Boolean(nextPageToken) || streaming}
+                  loading={loadingMore || streaming}
+                  onLoadMore={loadMoreEmails}
+                  autoLoad={false}
+                  label="Load more emails"
+                />
+              }
+            />
           )}
         </>
       )}
 
+      {/* Email Reader */}
+      <EmailReader
+        email={readingEmail}
+        onClose={() => setReadingEmail(null)}
+        onArchive={handleReaderArchive}
+        onDelete={handleReaderDelete}
+      />
+
+      {/* Save Search */}
+      <SaveSearchDialog
+        draft={saveSearchDraft}
+        existing={savedSearches}
+        onClose={() => setSaveSearchDraft(null)}
+        onSave={handleSaveSearch}
+      />
+
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
         isOpen={showDeleteDialog}
@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Paperclip } from 'lucide-react';
+import { buildGmailQuery, parseSearchFields, SIZE_UNITS, EMPTY_SEARCH_FIELDS } from '../utils/gmailQuery';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
+function Field({ label, children }) {
+  return (
+    <div className="grid grid-cols-[5.5rem_1fr] items-center gap-3">
+      <label className="text-sm font-medium text-gray-700">{label}</label>
+      {children}
+    </div>
+  );
+}
+
+export default function GmailSearchPanel({ query, labels, onApply }) {
+  // Start from whatever the current query already says
+  const [{ fields: initialFields, rest }] = useState(() => parseSearchFields(query, labels));
+  const [fields, setFields] = useState(initialFields);
+
+  const update = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFields(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleApply = () => {
+    onApply([buildGmailQuery(fields), rest].filter(Boolean).join(' '));
+  };
+
+  const userLabels = labels.filter(label => label.type === 'user');
+
+  return (
+    <div
+      className="space-y-3"
+      onKeyDown={(e) => {
+        // Enter searches from the panel instead of submitting the raw text box
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          handleApply();
+        }
+      }}
+    >
+      <Field label="From">
+        <input type="text" value={fields.from} onChange={update('from')} className={inputClass} />
+      </Field>
+      <Field label="To">
+        <input type="text" value={fields.to} onChange={update('to')} className={inputClass} />
+      </Field>
+      <Field label="Subject">
+        <input type="text" value={fields.subject} onChange={update('subject')} className={inputClass} />
+      </Field>
+      <Field label="Has words">
+        <input type="text" value={fields.hasWords} onChange={update('hasWords')} className={inputClass} />
+      </Field>
+      <Field label="Date">
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="date"
+            aria-label="After"
+            value={fields.after}
+            max={fields.before || undefined}
+            onChange={update('after')}
+            className={inputClass}
+          />
+          <input
+            type="date"
+            aria-label="Before"
+            value={fields.before}
+            min={fields.after || undefined}
+            onChange={update('before')}
+            className={inputClass}
+          />
+        </div>
+      </Field>
+      <Field label="Size">
+        <div className="flex gap-2">
+          <select value={fields.sizeOperator} onChange={update('sizeOperator')} className={inputClass}>
+            <option value="larger">Larger than</option>
+            <option value="smaller">Smaller than</option>
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={fields.size}
+            onChange={update('size')}
+            className={`${inputClass} w-20`}
+          />
+          <select value={fields.sizeUnit} onChange={update('sizeUnit')} className={`${inputClass} w-20`}>
+            {SIZE_UNITS.map(unit => (
+              <option key={unit.value} value={unit.value}>{unit.label}</option>
+            ))}
+          </select>
+        </div>
+      </Field>
+      <Field label="Label">
+        <select value={fields.label} onChange={update('label')} className={inputClass}>
+          <option value="">Any label</option>
+          {userLabels.map(label => (
+            <option key={label.id} value={label.name}>{label.name}</option>
+          ))}
+        </select>
+      </Field>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={fields.hasAttachment}
+          onChange={update('hasAttachment')}
+          className="w-4 h-4 rounded border-gray-300 text-blue-500"
+        />
+        <Paperclip className="w-4 h-4 text-gray-400" />
+        Has attachment
+      </label>
+
+      {rest && (
+        <p className="text-xs text-gray-500">
+          Also keeps: <span className="font-mono">{rest}</span>
+        </p>
+      )}
+
+      <div className="flex gap-2 pt-1">
+        <button
+          type="button"
+          onClick={() => setFields(EMPTY_SEARCH_FIELDS)}
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          className="flex-1 px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium rounded-lg transition-colors"
+        >
+          Search
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Plus,
@@ -11,93 +11,464 @@ import {
   Share2,
   Trash2,
   X,
+  Info,
+  FolderTree,
+  Undo2,
+  Workflow,
+  Users,
+  RotateCcw,
+  Eraser,
+  Pencil,
+  CopyPlus,
+  BookmarkPlus,
 } from 'lucide-react';
-import { searchFiles, deleteFiles, shareFile, downloadFile } from '../utils/driveApi';
+import {
+  listFiles,
+  listAllFiles,
+  trashFiles,
+  restoreFiles,
+  deleteFilesPermanently,
+  emptyTrash,
+  createPermission,
+  downloadFile,
+  getExportFormats,
+  downloadAsZip,
+  createFolderPath,
+  undoOrganize,
+  renameFile,
+  copyFile,
+  FOLDER_MIME_TYPE,
+  ROOT_FOLDER_ID,
+} from '../utils/driveApi';
 import { validateEmail, sanitizeEmail, isValidGoogleUrl } from '../utils/security';
+import { getPreviewType } from '../utils/filePreview';
+import { buildFilterQuery, buildDriveSearchQuery, matchesSizeFilter } from '../utils/driveFilters';
+import {
+  RECENT_WINDOWS,
+  loadRecentWindow,
+  saveRecentWindow,
+  getRecentSince,
+  getRecencyTime,
+  groupByRecency,
+} from '../utils/recentFiles';
+import { shortcuts, matchesShortcut, formatFileSize } from '../utils/theme';
 import { useToast } from './ui/Toast';
 import SearchBar from './ui/SearchBar';
 import StatsCards from './ui/StatsCards';
 import FileCard from './ui/FileCard';
 import ContextMenu from './ui/ContextMenu';
 import EmptyState from './ui/EmptyState';
+import LoadMore from './ui/LoadMore';
+import Breadcrumbs from './ui/Breadcrumbs';
 import { FileGridSkeleton, FileListSkeletonGroup } from './ui/Skeleton';
 import ConfirmDialog from './ConfirmDialog';
+import OrganizeDialog from './OrganizeDialog';
+import RulesDialog from './RulesDialog';
+import PermissionsPanel from './PermissionsPanel';
+import ExportDialog from './ExportDialog';
+import ZipDownloadDialog from './ZipDownloadDialog';
+import CleanupWizard from './CleanupWizard';
+import RenameDialog from './RenameDialog';
+import BatchRenameDialog from './BatchRenameDialog';
+import FileDetailsDrawer from './FileDetailsDrawer';
+import PreviewModal from './PreviewModal';
+import SaveSearchDialog from './SaveSearchDialog';
+
+const ROOT_PATH = [{ id: ROOT_FOLDER_ID, name: 'My Drive' }];
 
-export default function GoogleDrive({ activeSection, storageInfo }) {
+export default function GoogleDrive({
+  activeSection,
+  storageInfo,
+  uploadQueue,
+  initialSearch,
+  initialFolder,
+  savedSearches = [],
+  onSaveSearch,
+  onOpenFolder,
+}) {
   const toast = useToast();
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({});
+  const [searchQuery, setSearchQuery] = useState(initialSearch?.query || '');
+  const [filters, setFilters] = useState(initialSearch?.filters || {});
+  const [saveSearchDraft, setSaveSearchDraft] = useState(null);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [viewMode, setViewMode] = useState('grid');
   const [contextMenu, setContextMenu] = useState({ isOpen: false, x: 0, y: 0, file: null });
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [showEmptyTrashDialog, setShowEmptyTrashDialog] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [showShareDialog, setShowShareDialog] = useState(false);
   const [shareEmail, setShareEmail] = useState('');
   const [shareRole, setShareRole] = useState('reader');
+  const [shareType, setShareType] = useState('user');
+  const [shareDomain, setShareDomain] = useState('');
+  const [permissionsFile, setPermissionsFile] = useState(null);
+  const [detailsFile, setDetailsFile] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [exportFile, setExportFile] = useState(null);
+  const [zipJob, setZipJob] = useState(null);
+  const [showCleanupWizard, setShowCleanupWizard] = useState(false);
+  const [renameTarget, setRenameTarget] = useState(null);
+  const [batchRenameFiles, setBatchRenameFiles] = useState(null);
+  const zipAbortRef = useRef(null);
+  const [showNewFolderDialog, setShowNewFolderDialog] = useState(false);
+  const [newFolderPath, setNewFolderPath] = useState('');
+  const [creatingFolder, setCreatingFolder] = useState(false);
+  const [showOrganizeDialog, setShowOrganizeDialog] = useState(false);
+  const [lastOrganize, setLastOrganize] = useState(null);
+  const [undoingOrganize, setUndoingOrganize] = useState(false);
+  const [rulesScope, setRulesScope] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [stats, setStats] = useState({
-    totalFiles: 0,
-    folders: 0,
-    storageUsed: 0,
-    storageTotal: 0,
-    recent: 0,
-  });
-
-  // Fetch files
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const listQueryRef = useRef({});
+  const [recentDays, setRecentDays] = useState(loadRecentWindow);
+  const loadingMoreRef = useRef(false);
+  const requestIdRef = useRef(0);
+  const [navigation, setNavigation] = useState(() => (
+    initialFolder
+      ? { entries: [ROOT_PATH, [...ROOT_PATH, initialFolder]], index: 1 }
+      : { entries: [ROOT_PATH], index: 0 }
+  ));
+  const [isDragging, setIsDragging] = useState(false);
+  const dragDepthRef = useRef(0);
+  const fileInputRef = useRef(null);
+  const uploadRefreshRef = useRef(null);
+
+  const folderPath = navigation.entries[navigation.index];
+  const currentFolder = folderPath[folderPath.length - 1];
+  const filterQuery = useMemo(() => buildFilterQuery(filters), [filters]);
+  // Folder browsing applies to My Drive when no search or filter is active
+  const hasFilters = Boolean(filterQuery || filters.size);
+  const isBrowsing = activeSection === 'all' && !searchQuery && !hasFilters;
+
+  // Navigate to a folder path, discarding any forward history
+  const navigateTo = useCallback((path) => {
+    setNavigation(prev => {
+      const current = prev.entries[prev.index];
+      if (current[current.length - 1].id === path[path.length - 1].id) return prev;
+      const entries = [...prev.entries.slice(0, prev.index + 1), path];
+      return { entries, index: entries.length - 1 };
+    });
+    setSelectedFiles([]);
+  }, []);
+
+  const goBack = useCallback(() => {
+    setNavigation(prev => (prev.index > 0 ? { ...prev, index: prev.index - 1 } : prev));
+    setSelectedFiles([]);
+  }, []);
+
+  const goForward = useCallback(() => {
+    setNavigation(prev => (
+      prev.index < prev.entries.length - 1 ? { ...prev, index: prev.index + 1 } : prev
+    ));
+    setSelectedFiles([]);
+  }, []);
+
+  // Folders opened from a search, filter or other section switch back to browsing My Drive
+  const enterFolder = (folder) => {
+    const entry = { id: folder.id, name: folder.name };
+    setSearchQuery('');
+    if (!isBrowsing) {
+      setFilters({});
+      onOpenFolder?.(entry);
+    }
+    navigateTo([...(isBrowsing ? folderPath : ROOT_PATH), entry]);
+  };
+
+  // Alt+Left / Alt+Right move through folder history
+  useEffect(() => {
+    if (activeSection !== 'all') return;
+
+    const handleKeyDown = (e) => {
+      if (!e.altKey) return;
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        goBack();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        goForward();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [activeSection, goBack, goForward]);
+
+  // Build the Drive query for the current section and filters
+  const buildQuery = useCallback((query = '') => buildDriveSearchQuery({
+    section: activeSection,
+    text: query,
+    filters,
+    recentDays
+  }), [activeSection, filters, recentDays]);
+
+  // Fetch the first page of files
   const fetchFiles = useCallback(async (query = '') => {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     try {
-      let searchQ = query;
+      const browsing = activeSection === 'all' && !query && !hasFilters;
+      const recent = activeSection === 'recent';
+      const options = {
+        query: browsing ? null : buildQuery(query),
+        parentId: browsing ? currentFolder.id : undefined,
+        orderBy: browsing ? 'folder,name' : recent ? 'recency desc' : undefined
+      };
+      const result = await listFiles(options);
 
-      // Apply section filter
-      if (activeSection === 'starred') {
-        searchQ = searchQ ? `${searchQ} and starred = true` : 'starred = true';
-      } else if (activeSection === 'trash') {
-        searchQ = 'trashed = true';
-      }
-
-      // Apply type filter
-      if (filters.type) {
-        searchQ = searchQ
-          ? `${searchQ} and mimeType contains '${filters.type}'`
-          : `mimeType contains '${filters.type}'`;
-      }
+      // A newer search started while this one was in flight
+      if (requestId !== requestIdRef.current) return;
 
-      const result = await searchFiles(searchQ);
-      setFiles(result);
-
-      // Calculate stats
-      const folders = result.filter(f => f.mimeType === 'application/vnd.google-apps.folder').length;
-      const totalSize = result.reduce((acc, f) => acc + (parseInt(f.size) || 0), 0);
-      const recentFiles = result.filter(f => {
-        const modified = new Date(f.modifiedTime);
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        return modified > weekAgo;
-      }).length;
-
-      setStats({
-        totalFiles: result.length,
-        folders,
-        storageUsed: storageInfo?.used || totalSize,
-        storageTotal: storageInfo?.total || 15 * 1024 * 1024 * 1024,
-        recent: recentFiles,
-      });
+      listQueryRef.current = options;
+      result.files = result.files.filter(f => matchesSizeFilter(f, filters.size));
+      setFiles(result.files);
+      setNextPageToken(result.nextPageToken);
 
+      // Drop selections that are no longer part of the listing
+      const ids = new Set(result.files.map(f => f.id));
+      setSelectedFiles(prev => prev.filter(f => ids.has(f.id)));
     } catch (error) {
+      if (requestId !== requestIdRef.current) return;
       toast.error('Error', 'Failed to load files');
       console.error('Error fetching files:', error);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
     }
-  }, [activeSection, filters, storageInfo, toast]);
+  }, [buildQuery, activeSection, hasFilters, filters.size, currentFolder.id, toast]);
+
+  // Append the next page of files to the listing
+  const loadMoreFiles = useCallback(async () => {
+    if (!nextPageToken || loadingMoreRef.current) return;
+
+    const requestId = requestIdRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      const result = await listFiles({ ...listQueryRef.current, pageToken: nextPageToken });
+      if (requestId !== requestIdRef.current) return;
+      result.files = result.files.filter(f => matchesSizeFilter(f, filters.size));
+
+      setFiles(prev => {
+        const seen = new Set(prev.map(f => f.id));
+        return [...prev, ...result.files.filter(f => !seen.has(f.id))];
+      });
+      setNextPageToken(result.nextPageToken);
+    } catch (error) {
+      toast.error('Error', 'Failed to load more files');
+      console.error('Error fetching more files:', error);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  }, [nextPageToken, filters.size, toast]);
+
+  // Stats cover every page loaded so far
+  const stats = useMemo(() => {
+    const folders = files.filter(f => f.mimeType === FOLDER_MIME_TYPE).length;
+    const totalSize = files.reduce((acc, f) => acc + (parseInt(f.size) || 0), 0);
+    // Same rule as the Recent section, so the count matches what it shows
+    const since = getRecentSince(recentDays).getTime();
+    const recentFiles = files.filter(f => f.mimeType !== FOLDER_MIME_TYPE && getRecencyTime(f) > since).length;
+
+    return {
+      totalFiles: files.length,
+      hasMore: Boolean(nextPageToken),
+      folders,
+      storageUsed: storageInfo?.used || totalSize,
+      storageTotal: storageInfo?.total || 15 * 1024 * 1024 * 1024,
+      recent: recentFiles,
+    };
+  }, [files, nextPageToken, storageInfo, recentDays]);
+
+  // The Recent section is grouped by day; other sections are one flat list
+  const fileGroups = useMemo(
+    () => (activeSection === 'recent' ? groupByRecency(files) : [{ id: 'all', label: null, files }]),
+    [files, activeSection]
+  );
+
+  const changeRecentWindow = (days) => {
+    saveRecentWindow(days);
+    setRecentDays(days);
+  };
 
   useEffect(() => {
     fetchFiles(searchQuery);
   }, [fetchFiles, searchQuery]);
 
+  // Refresh the listing when uploads land in the open folder (debounced for multi-file uploads)
+  useEffect(() => {
+    if (!uploadQueue) return;
+
+    const unsubscribe = uploadQueue.onUploaded((file, parentId) => {
+      if (!isBrowsing || parentId !== currentFolder.id) return;
+      clearTimeout(uploadRefreshRef.current);
+      uploadRefreshRef.current = setTimeout(() => fetchFiles(searchQuery), 1000);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(uploadRefreshRef.current);
+    };
+  }, [uploadQueue, isBrowsing, currentFolder.id, fetchFiles, searchQuery]);
+
+  // Upload into the open folder, or My Drive when not browsing a folder
+  const uploadTarget = isBrowsing ? currentFolder : ROOT_PATH[0];
+  const canUpload = Boolean(uploadQueue) && activeSection !== 'trash';
+
+  const handleUploadFiles = (fileList) => {
+    if (!canUpload || !fileList || fileList.length === 0) return;
+    uploadQueue.addFiles(fileList, uploadTarget.id);
+    toast.info('Uploading', `${fileList.length} file(s) to ${uploadTarget.name}`);
+  };
+
+  const openFilePicker = () => {
+    if (canUpload) fileInputRef.current?.click();
+  };
+
+  // New folders are created where uploads would land
+  const openNewFolderDialog = useCallback(() => {
+    if (activeSection === 'trash') return;
+    setNewFolderPath('');
+    setShowNewFolderDialog(true);
+  }, [activeSection]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!matchesShortcut(e, shortcuts.newFolder)) return;
+      e.preventDefault();
+      openNewFolderDialog();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [openNewFolderDialog]);
+
+  const confirmNewFolder = async () => {
+    if (!newFolderPath.trim() || creatingFolder) return;
+
+    setCreatingFolder(true);
+    try {
+      const { folder, created } = await createFolderPath(newFolderPath, uploadTarget.id);
+      setShowNewFolderDialog(false);
+      setNewFolderPath('');
+
+      if (created === 0) {
+        toast.info('Folder exists', `${folder.name} already exists in ${uploadTarget.name}`);
+      } else {
+        toast.success('Folder created', `${newFolderPath.trim()} created in ${uploadTarget.name}`);
+      }
+      fetchFiles(searchQuery);
+    } catch (error) {
+      toast.error('Error', error.message);
+    } finally {
+      setCreatingFolder(false);
+    }
+  };
+
+  // Drag and drop onto the file area
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!canUpload || !isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current++;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!canUpload || !isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!canUpload || !isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!canUpload || !isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    handleUploadFiles(e.dataTransfer.files);
+  };
+
+  // Organize by type runs against the folder uploads would land in
+  const handleOrganizeComplete = (result) => {
+    setShowOrganizeDialog(false);
+    if (result.moved > 0) {
+      setLastOrganize({ ...result, folderName: uploadTarget.name });
+    }
+
+    if (result.errors > 0) {
+      toast.warning('Partially organized', `${result.moved} moved, ${result.errors} failed`);
+    } else {
+      toast.success('Organized', `${result.moved} file(s) moved into type folders`);
+    }
+    fetchFiles(searchQuery);
+  };
+
+  const handleUndoOrganize = async () => {
+    if (!lastOrganize || undoingOrganize) return;
+
+    setUndoingOrganize(true);
+    try {
+      const { restored, errors } = await undoOrganize(lastOrganize.undo);
+      setLastOrganize(null);
+
+      if (errors > 0) {
+        toast.warning('Partially restored', `${restored} restored, ${errors} could not be moved back`);
+      } else {
+        toast.success('Undone', `${restored} file(s) moved back`);
+      }
+      fetchFiles(searchQuery);
+    } catch (error) {
+      toast.error('Error', error.message);
+    } finally {
+      setUndoingOrganize(false);
+    }
+  };
+
+  // Rules run on the current folder, or on the selection from the bulk bar
+  const rulesTarget = rulesScope === 'selection'
+    ? {
+      label: `${selectedFiles.length} selected file(s)`,
+      loadFiles: async () => selectedFiles.filter(file => file.mimeType !== FOLDER_MIME_TYPE)
+    }
+    : {
+      label: uploadTarget.name,
+      loadFiles: async () => {
+        const { files: folderFiles } = await listAllFiles({ parentId: uploadTarget.id });
+        return folderFiles.filter(file => file.mimeType !== FOLDER_MIME_TYPE);
+      }
+    };
+
+  const handleRulesApplied = ({ applied, errors }) => {
+    setRulesScope(null);
+    if (errors > 0) {
+      toast.warning('Rules partially applied', `${applied} file(s) updated, ${errors} failed`);
+    } else {
+      toast.success('Rules applied', `${applied} file(s) updated`);
+    }
+    fetchFiles(searchQuery);
+  };
+
+  const handleCleanupComplete = ({ trashed, errors, reclaimed }) => {
+    setShowCleanupWizard(false);
+    if (errors > 0) {
+      toast.warning('Partially cleaned up', `${trashed} file(s) moved to trash, ${errors} failed`);
+    } else {
+      toast.success('Cleaned up', `${trashed} file(s) moved to trash, ${formatFileSize(reclaimed)} reclaimed once the trash is emptied`);
+    }
+    fetchFiles(searchQuery);
+  };
+
   // Refresh files
   const handleRefresh = async () => {
     setIsRefreshing(true);
@@ -111,6 +482,12 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     setSearchQuery(query);
   };
 
+  const handleSaveSearch = (search) => {
+    onSaveSearch(search);
+    setSaveSearchDraft(null);
+    toast.success('Saved', `"${search.name}" was added to the sidebar`);
+  };
+
   // Select file
   const handleSelectFile = (file, multiSelect) => {
     if (multiSelect) {
@@ -126,8 +503,30 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     }
   };
 
-  // Open file (with URL validation for security)
+  // Files that can be previewed, in listing order, for next/previous navigation
+  const previewFiles = useMemo(
+    () => (activeSection === 'trash' ? [] : files.filter(file => getPreviewType(file))),
+    [files, activeSection]
+  );
+  const previewIndex = previewId ? previewFiles.findIndex(file => file.id === previewId) : -1;
+
+  // Open file: folders open in place, previewable files open in the viewer
   const handleOpenFile = (file) => {
+    if (file.mimeType === FOLDER_MIME_TYPE && activeSection !== 'trash') {
+      enterFolder(file);
+      return;
+    }
+
+    if (previewFiles.some(f => f.id === file.id)) {
+      setPreviewId(file.id);
+      return;
+    }
+
+    openInDrive(file);
+  };
+
+  // Open in Drive (with URL validation for security)
+  const openInDrive = (file) => {
     if (file.webViewLink && isValidGoogleUrl(file.webViewLink)) {
       window.open(file.webViewLink, '_blank', 'noopener,noreferrer');
     } else if (file.webViewLink) {
@@ -135,13 +534,65 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     }
   };
 
-  // Download file
-  const handleDownloadFile = async (file) => {
+  // Download file; native Google files with several export formats ask for one first
+  const startDownload = async (file, exportMimeType) => {
+    try {
+      const fileName = await downloadFile(file, { exportMimeType });
+      if (fileName) {
+        toast.success('Downloaded', `${fileName} downloaded successfully`);
+      }
+      setExportFile(null);
+    } catch (error) {
+      toast.error('Error', error.message);
+    }
+  };
+
+  // Several files or folders download as one ZIP archive
+  const downloadZip = async (items, archiveName) => {
+    const controller = new AbortController();
+    zipAbortRef.current = controller;
+    setZipJob({ name: archiveName, completed: 0, total: 0, current: null, failed: [], added: 0, running: true });
+
     try {
-      await downloadFile(file.id, file.name);
-      toast.success('Downloaded', `${file.name} downloaded successfully`);
+      const result = await downloadAsZip(items, {
+        archiveName,
+        signal: controller.signal,
+        onProgress: (progress) => setZipJob(prev => prev && { ...prev, ...progress })
+      });
+
+      if (result.cancelled) {
+        setZipJob(null);
+        toast.info('Cancelled', 'Download cancelled');
+      } else if (result.failed.length === 0) {
+        setZipJob(null);
+        toast.success('Downloaded', `${result.added} file(s) saved to ${result.fileName}`);
+      } else {
+        // Keep the dialog open to show what was skipped
+        setZipJob(prev => ({ ...prev, running: false, added: result.added, total: result.total, failed: result.failed }));
+      }
     } catch (error) {
-      toast.error('Error', 'Failed to download file');
+      setZipJob(null);
+      toast.error('Error', error.message);
+    } finally {
+      zipAbortRef.current = null;
+    }
+  };
+
+  const handleBulkDownload = () => {
+    if (selectedFiles.length === 1) {
+      handleDownloadFile(selectedFiles[0]);
+    } else if (selectedFiles.length > 1) {
+      downloadZip(selectedFiles, `${currentFolder.name}-${new Date().toISOString().slice(0, 10)}`);
+    }
+  };
+
+  const handleDownloadFile = (file) => {
+    if (file.mimeType === FOLDER_MIME_TYPE) {
+      downloadZip([file], file.name);
+    } else if (getExportFormats(file.mimeType).length > 1) {
+      setExportFile(file);
+    } else {
+      startDownload(file);
     }
   };
 
@@ -152,52 +603,131 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
   };
 
   const confirmShare = async () => {
-    if (!shareEmail) {
-      toast.warning('Warning', 'Please enter an email address');
-      return;
-    }
+    let permission = { type: shareType, role: shareRole };
 
-    // Validate email format
-    const emailValidation = validateEmail(shareEmail);
-    if (emailValidation === false) {
-      toast.error('Invalid Email', 'Please enter a valid email address');
-      return;
-    }
-    if (typeof emailValidation === 'object' && emailValidation.suggestion) {
-      toast.warning('Did you mean?', `Did you mean ${emailValidation.suggestion}?`);
-      return;
+    if (shareType === 'user') {
+      if (!shareEmail) {
+        toast.warning('Warning', 'Please enter an email address');
+        return;
+      }
+
+      // Validate email format
+      const emailValidation = validateEmail(shareEmail);
+      if (emailValidation === false) {
+        toast.error('Invalid Email', 'Please enter a valid email address');
+        return;
+      }
+      if (typeof emailValidation === 'object' && emailValidation.suggestion) {
+        toast.warning('Did you mean?', `Did you mean ${emailValidation.suggestion}?`);
+        return;
+      }
+
+      permission = { ...permission, emailAddress: sanitizeEmail(shareEmail) };
+    } else if (shareType === 'domain') {
+      if (!shareDomain.trim()) {
+        toast.warning('Warning', 'Please enter a domain');
+        return;
+      }
+      permission = { ...permission, domain: shareDomain.trim().replace(/^@/, '') };
     }
 
-    const sanitizedEmail = sanitizeEmail(shareEmail);
+    const audience = shareType === 'user'
+      ? permission.emailAddress
+      : shareType === 'domain'
+      ? `anyone at ${permission.domain}`
+      : 'anyone with the link';
 
-    try {
-      for (const file of selectedFiles) {
-        await shareFile(file.id, sanitizedEmail, shareRole);
+    let shared = 0;
+    let lastError = null;
+    for (const file of selectedFiles) {
+      try {
+        await createPermission(file.id, permission);
+        shared++;
+      } catch (error) {
+        lastError = error;
       }
-      toast.success('Shared', `Successfully shared with ${sanitizedEmail}`);
+    }
+
+    if (!lastError) {
+      toast.success('Shared', `Successfully shared with ${audience}`);
       setShowShareDialog(false);
       setShareEmail('');
-    } catch (error) {
-      toast.error('Error', 'Failed to share file');
+      setShareDomain('');
+    } else if (shared > 0) {
+      toast.warning('Partially shared', `${shared} of ${selectedFiles.length} item(s) shared with ${audience}`);
+    } else {
+      toast.error('Error', lastError.message);
     }
   };
 
-  // Delete files
+  // Delete files: moves to trash, or deletes forever from the Trash section
+  const inTrash = activeSection === 'trash';
+
   const handleDeleteFile = (file) => {
     setSelectedFiles([file]);
     setShowDeleteDialog(true);
   };
 
   const confirmDelete = async () => {
+    setDeleting(true);
     try {
       const fileIds = selectedFiles.map(f => f.id);
-      await deleteFiles(fileIds);
-      toast.success('Deleted', `${selectedFiles.length} item(s) deleted`);
+      const verb = inTrash ? 'deleted forever' : 'moved to trash';
+      const { failed, ...result } = inTrash
+        ? await deleteFilesPermanently(fileIds)
+        : await trashFiles(fileIds);
+      const done = inTrash ? result.deleted : result.trashed;
+
+      if (failed.length === 0) {
+        toast.success(inTrash ? 'Deleted' : 'Moved to trash', `${done} item(s) ${verb}`);
+      } else if (done > 0) {
+        toast.warning('Partially completed', `${done} item(s) ${verb}, ${failed.length} failed`);
+      } else {
+        toast.error('Error', failed[0].error);
+      }
+
       setShowDeleteDialog(false);
+      // Keep failed files selected so they can be retried
+      setSelectedFiles(prev => prev.filter(f => failed.some(item => item.id === f.id)));
+      fetchFiles(searchQuery);
+    } catch (error) {
+      toast.error('Error', error.message);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleRestoreFiles = async (filesToRestore) => {
+    try {
+      const { restored, failed } = await restoreFiles(filesToRestore.map(f => f.id));
+
+      if (failed.length === 0) {
+        toast.success('Restored', `${restored} item(s) restored`);
+      } else if (restored > 0) {
+        toast.warning('Partially completed', `${restored} item(s) restored, ${failed.length} failed`);
+      } else {
+        toast.error('Error', failed[0].error);
+      }
+
+      setSelectedFiles(prev => prev.filter(f => failed.some(item => item.id === f.id)));
+      fetchFiles(searchQuery);
+    } catch (error) {
+      toast.error('Error', error.message);
+    }
+  };
+
+  const confirmEmptyTrash = async () => {
+    setDeleting(true);
+    try {
+      await emptyTrash();
+      toast.success('Trash emptied', 'All items in the trash were deleted forever');
+      setShowEmptyTrashDialog(false);
       setSelectedFiles([]);
       fetchFiles(searchQuery);
     } catch (error) {
-      toast.error('Error', 'Failed to delete files');
+      toast.error('Error', error.message);
+    } finally {
+      setDeleting(false);
     }
   };
 
@@ -215,6 +745,65 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     }
   };
 
+  // Rename and copy
+  const applyNames = (names) => {
+    const rename = (list) => list.map(f => (names.has(f.id) ? { ...f, name: names.get(f.id) } : f));
+    setFiles(rename);
+    setSelectedFiles(rename);
+  };
+
+  const handleRename = async (file, name) => {
+    try {
+      const result = await renameFile(file.id, name);
+      applyNames(new Map([[file.id, result.name]]));
+      setRenameTarget(null);
+      toast.success('Renamed', `${file.name} renamed to ${result.name}`);
+    } catch (error) {
+      toast.error('Error', error.message);
+    }
+  };
+
+  const handleBatchRenameComplete = ({ renamed, errors, renamedIds }, renames) => {
+    const succeeded = new Set(renamedIds);
+    applyNames(new Map(renames.filter(({ id }) => succeeded.has(id)).map(({ id, name }) => [id, name])));
+    setBatchRenameFiles(null);
+
+    if (errors > 0) {
+      toast.warning('Partially renamed', `${renamed} renamed, ${errors} failed`);
+    } else {
+      toast.success('Renamed', `${renamed} file(s) renamed`);
+    }
+  };
+
+  const handleBulkRename = useCallback(() => {
+    if (selectedFiles.length === 1) {
+      setRenameTarget(selectedFiles[0]);
+    } else if (selectedFiles.length > 1) {
+      setBatchRenameFiles(selectedFiles);
+    }
+  }, [selectedFiles]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!matchesShortcut(e, shortcuts.rename) || inTrash || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      handleBulkRename();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleBulkRename, inTrash]);
+
+  const handleCopyFile = async (file) => {
+    try {
+      const copy = await copyFile(file);
+      toast.success('Copied', `${copy.name} created`);
+      fetchFiles(searchQuery);
+    } catch (error) {
+      toast.error('Error', error.message);
+    }
+  };
+
   // Context menu
   const handleContextMenu = (e, file) => {
     e.preventDefault();
@@ -226,12 +815,20 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     });
   };
 
-  const contextMenuItems = contextMenu.file ? [
+  const contextMenuItems = !contextMenu.file ? [] : inTrash ? [
+    { icon: RotateCcw, label: 'Restore', action: () => handleRestoreFiles([contextMenu.file]) },
+    { type: 'divider' },
+    { icon: Trash2, label: 'Delete forever', action: () => handleDeleteFile(contextMenu.file), danger: true },
+  ] : [
     { icon: Share2, label: 'Share', action: () => handleShareFile(contextMenu.file) },
+    { icon: Users, label: 'Manage access', action: () => setPermissionsFile(contextMenu.file) },
     { icon: Download, label: 'Download', action: () => handleDownloadFile(contextMenu.file) },
+    { icon: Pencil, label: 'Rename', action: () => setRenameTarget(contextMenu.file) },
+    { icon: Info, label: 'Details', action: () => setDetailsFile(contextMenu.file) },
+    contextMenu.file.mimeType !== FOLDER_MIME_TYPE && { icon: CopyPlus, label: 'Make a copy', action: () => handleCopyFile(contextMenu.file) },
     { type: 'divider' },
-    { icon: Trash2, label: 'Delete', action: () => handleDeleteFile(contextMenu.file), danger: true },
-  ] : [];
+    { icon: Trash2, label: 'Move to trash', action: () => handleDeleteFile(contextMenu.file), danger: true },
+  ].filter(Boolean);
 
   // Select all
   const handleSelectAll = () => {
@@ -255,6 +852,27 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
     }
   };
 
+  const renderFileCard = (file, mode) => (
+    <FileCard
+      key={file.id}
+      file={file}
+      selected={selectedFiles.some(f => f.id === file.id)}
+      onSelect={handleSelectFile}
+      onOpen={handleOpenFile}
+      onDownload={handleDownloadFile}
+      onShare={handleShareFile}
+      onManageAccess={setPermissionsFile}
+      onDelete={handleDeleteFile}
+      onRestore={inTrash ? (file) => handleRestoreFiles([file]) : undefined}
+      onToggleStar={handleToggleStar}
+      onRename={inTrash ? undefined : handleRename}
+      onCopy={inTrash ? undefined : handleCopyFile}
+      onDetails={setDetailsFile}
+      onContextMenu={handleContextMenu}
+      viewMode={mode}
+    />
+  );
+
   return (
     <div className="p-6 lg:p-8">
       {/* Header */}
@@ -264,14 +882,18 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
           animate={{ opacity: 1, y: 0 }}
           className="text-2xl font-bold text-gray-900 mb-2"
         >
-          {activeSection === 'all' && 'My Drive'}
-          {activeSection === 'recent' && 'Recent Files'}
-          {activeSection === 'starred' && 'Starred'}
-          {activeSection === 'trash' && 'Trash'}
+          {initialSearch ? initialSearch.name : (
+            <>
+              {activeSection === 'all' && (isBrowsing ? currentFolder.name : 'Search results')}
+              {activeSection === 'recent' && 'Recent Files'}
+              {activeSection === 'starred' && 'Starred'}
+              {activeSection === 'trash' && 'Trash'}
+            </>
+          )}
         </motion.h1>
         <p className="text-gray-500">
           {activeSection === 'all' && 'All your files and folders'}
-          {activeSection === 'recent' && 'Files you recently opened'}
+          {activeSection === 'recent' && `Files you opened or changed in the last ${recentDays} days`}
           {activeSection === 'starred' && 'Your important files'}
           {activeSection === 'trash' && 'Deleted files'}
         </p>
@@ -282,6 +904,18 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
         <StatsCards stats={stats} type="drive" />
       </div>
 
+      {/* Folder Navigation */}
+      {activeSection === 'all' && (
+        <Breadcrumbs
+          path={isBrowsing ? folderPath : [...folderPath, { id: 'search', name: searchQuery ? `Search: ${searchQuery}` : 'Filtered' }]}
+          onNavigate={(path) => { setSearchQuery(''); navigateTo(path); }}
+          onBack={goBack}
+          onForward={goForward}
+          canGoBack={navigation.index > 0}
+          canGoForward={navigation.index < navigation.entries.length - 1}
+        />
+      )}
+
       {/* Toolbar */}
       <div className="flex flex-col lg:flex-row gap-4 mb-6">
         {/* Search */}
@@ -296,6 +930,36 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
 
         {/* Actions */}
         <div className="flex items-center gap-2">
+          {/* Recent Window */}
+          {activeSection === 'recent' && (
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {RECENT_WINDOWS.map(days => (
+                <button
+                  key={days}
+                  onClick={() => changeRecentWindow(days)}
+                  title={`Last ${days} days`}
+                  className={`px-2.5 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                    recentDays === days ? 'bg-white shadow-sm text-blue-600' : 'text-gray-500'
+                  }`}
+                >
+                  {days}d
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Save Search */}
+          {onSaveSearch && (
+            <button
+              onClick={() => setSaveSearchDraft({ tab: 'drive', section: activeSection, query: searchQuery, filters })}
+              disabled={!searchQuery && !hasFilters}
+              title="Save search"
+              className="p-2.5 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
+            >
+              <BookmarkPlus className="w-5 h-5" />
+            </button>
+          )}
+
           {/* View Mode Toggle */}
           <div className="flex bg-gray-100 rounded-lg p-1">
             <button
@@ -316,6 +980,49 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
             </button>
           </div>
 
+          {/* Empty Trash */}
+          {inTrash && (
+            <button
+              onClick={() => setShowEmptyTrashDialog(true)}
+              disabled={files.length === 0}
+              className="flex items-center gap-2 px-4 py-2.5 bg-red-50 hover:bg-red-100 text-red-600 font-medium rounded-xl transition-colors disabled:opacity-50"
+            >
+              <Trash2 className="w-5 h-5" />
+              <span>Empty Trash</span>
+            </button>
+          )}
+
+          {/* Clean Up */}
+          {!inTrash && (
+            <button
+              onClick={() => setShowCleanupWizard(true)}
+              title="Clean up old files"
+              className="p-2.5 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors"
+            >
+              <Eraser className="w-5 h-5" />
+            </button>
+          )}
+
+          {/* Rules */}
+          <button
+            onClick={() => setRulesScope('folder')}
+            disabled={activeSection === 'trash'}
+            title="Rules"
+            className="p-2.5 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
+          >
+            <Workflow className="w-5 h-5" />
+          </button>
+
+          {/* Organize */}
+          <button
+            onClick={() => setShowOrganizeDialog(true)}
+            disabled={activeSection === 'trash'}
+            title="Organize by type"
+            className="p-2.5 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
+          >
+            <FolderTree className="w-5 h-5" />
+          </button>
+
           {/* Refresh */}
           <button
             onClick={handleRefresh}
@@ -333,19 +1040,71 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
             </button>
             {/* Dropdown */}
             <div className="absolute right-0 top-full mt-2 w-48 bg-white rounded-xl border border-gray-200 shadow-xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10 py-1">
-              <button className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50">
+              <button
+                onClick={openFilePicker}
+                disabled={!canUpload}
+                className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
                 <Upload className="w-4 h-4" />
                 Upload File
               </button>
-              <button className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50">
+              <button
+                onClick={openNewFolderDialog}
+                disabled={activeSection === 'trash'}
+                title={`New Folder (${shortcuts.newFolder.label})`}
+                className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
                 <FolderPlus className="w-4 h-4" />
                 New Folder
               </button>
             </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                handleUploadFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
           </div>
         </div>
       </div>
 
+      {/* Organize Undo Bar */}
+      <AnimatePresence>
+        {lastOrganize && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="mb-4 flex items-center justify-between px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl"
+          >
+            <span className="text-sm text-gray-700">
+              Moved {lastOrganize.moved} file(s) in {lastOrganize.folderName} into type folders
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleUndoOrganize}
+                disabled={undoingOrganize}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-gray-200 text-gray-700 hover:bg-gray-100 text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                <Undo2 className="w-4 h-4" />
+                {undoingOrganize ? 'Undoing...' : 'Undo'}
+              </button>
+              <button
+                onClick={() => setLastOrganize(null)}
+                disabled={undoingOrganize}
+                className="p-1.5 rounded-lg hover:bg-gray-200 text-gray-500"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Bulk Actions Bar */}
       <AnimatePresence>
         {selectedFiles.length > 0 && (
@@ -373,6 +1132,32 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
               </button>
             </div>
             <div className="flex items-center gap-2">
+              {activeSection !== 'trash' && (
+                <button
+                  onClick={() => setRulesScope('selection')}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium transition-colors"
+                >
+                  <Workflow className="w-4 h-4" />
+                  Apply Rules
+                </button>
+              )}
+              {!inTrash && (
+                <button
+                  onClick={handleBulkRename}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium transition-colors"
+                >
+                  <Pencil className="w-4 h-4" />
+                  Rename
+                </button>
+              )}
+              <button
+                onClick={handleBulkDownload}
+                disabled={Boolean(zipJob)}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                Download
+              </button>
               <button
                 onClick={handleBulkShare}
                 className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium transition-colors"
@@ -380,73 +1165,96 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
                 <Share2 className="w-4 h-4" />
                 Share
               </button>
+              {inTrash && (
+                <button
+                  onClick={() => handleRestoreFiles(selectedFiles)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium transition-colors"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Restore
+                </button>
+              )}
               <button
                 onClick={handleBulkDelete}
                 className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500 text-white hover:bg-red-600 text-sm font-medium transition-colors"
               >
                 <Trash2 className="w-4 h-4" />
-                Delete
+                {inTrash ? 'Delete Forever' : 'Delete'}
               </button>
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
-      {/* Files Grid/List */}
-      {loading ? (
-        viewMode === 'grid' ? (
-          <FileGridSkeleton count={12} />
+      {/* Files Grid/List (drop target for uploads) */}
+      <div
+        className="relative"
+        onDragEnter={handleDragEnter}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        <AnimatePresence>
+          {isDragging && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="absolute inset-0 z-20 min-h-[200px] flex flex-col items-center justify-center gap-2 bg-blue-50/90 border-2 border-dashed border-blue-400 rounded-2xl pointer-events-none"
+            >
+              <Upload className="w-10 h-10 text-blue-500" />
+              <p className="font-medium text-blue-700">Drop files to upload to {uploadTarget.name}</p>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {loading ? (
+          viewMode === 'grid' ? (
+            <FileGridSkeleton count={12} />
+          ) : (
+            <FileListSkeletonGroup count={8} />
+          )
+        ) : files.length === 0 ? (
+          <EmptyState
+            type={searchQuery ? 'no-results' : 'no-files'}
+            onAction={() => searchQuery ? setSearchQuery('') : openFilePicker()}
+          />
         ) : (
-          <FileListSkeletonGroup count={8} />
-        )
-      ) : files.length === 0 ? (
-        <EmptyState
-          type={searchQuery ? 'no-results' : 'no-files'}
-          onAction={() => searchQuery ? setSearchQuery('') : null}
-        />
-      ) : viewMode === 'grid' ? (
-        <motion.div
-          layout
-          className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4"
-        >
-          <AnimatePresence>
-            {files.map((file) => (
-              <FileCard
-                key={file.id}
-                file={file}
-                selected={selectedFiles.some(f => f.id === file.id)}
-                onSelect={handleSelectFile}
-                onOpen={handleOpenFile}
-                onDownload={handleDownloadFile}
-                onShare={handleShareFile}
-                onDelete={handleDeleteFile}
-                onToggleStar={handleToggleStar}
-                onContextMenu={handleContextMenu}
-                viewMode="grid"
-              />
-            ))}
-          </AnimatePresence>
-        </motion.div>
-      ) : (
-        <div className="bg-white rounded-2xl border border-gray-100 overflow-hidden">
-          <AnimatePresence>
-            {files.map((file) => (
-              <FileCard
-                key={file.id}
-                file={file}
-                selected={selectedFiles.some(f => f.id === file.id)}
-                onSelect={handleSelectFile}
-                onOpen={handleOpenFile}
-                onDownload={handleDownloadFile}
-                onShare={handleShareFile}
-                onDelete={handleDeleteFile}
-                onToggleStar={handleToggleStar}
-                onContextMenu={handleContextMenu}
-                viewMode="list"
-              />
+          <div className="space-y-8">
+            {fileGroups.map(group => (
+              <section key={group.id}>
+                {group.label && (
+                  <h2 className="mb-3 text-sm font-semibold text-gray-500">{group.label}</h2>
+                )}
+                {viewMode === 'grid' ? (
+                  <motion.div
+                    layout
+                    className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4"
+                  >
+                    <AnimatePresence>
+                      {group.files.map(file => renderFileCard(file, 'grid'))}
+                    </AnimatePresence>
+                  </motion.div>
+                ) : (
+                  <div className="bg-white rounded-2xl border border-gray-100 overflow-hidden">
+                    <AnimatePresence>
+                      {group.files.map(file => renderFileCard(file, 'list'))}
+                    </AnimatePresence>
+                  </div>
+                )}
+              </section>
             ))}
-          </AnimatePresence>
-        </div>
+          </div>
+        )}
+      </div>
+
+      {!loading && (
+        <LoadMore
+          hasMore={Boolean(nextPageToken)}
+          loading={loadingMore}
+          onLoadMore={loadMoreFiles}
+          label="Load more files"
+        />
       )}
 
       {/* Context Menu */}
@@ -463,10 +1271,25 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
         isOpen={showDeleteDialog}
         onClose={() => setShowDeleteDialog(false)}
         onConfirm={confirmDelete}
-        title="Delete Files"
-        message={`Are you sure you want to delete ${selectedFiles.length} item(s)? This action cannot be undone.`}
-        confirmText="Delete"
+        title={inTrash ? 'Delete Forever' : 'Move to Trash'}
+        message={inTrash
+          ? `Are you sure you want to permanently delete ${selectedFiles.length} item(s)? This action cannot be undone.`
+          : `Move ${selectedFiles.length} item(s) to the trash? You can restore them from Trash for 30 days.`}
+        confirmText={inTrash ? 'Delete Forever' : 'Move to Trash'}
+        type={inTrash ? 'danger' : 'warning'}
+        loading={deleting}
+      />
+
+      {/* Empty Trash Confirmation Dialog */}
+      <ConfirmDialog
+        isOpen={showEmptyTrashDialog}
+        onClose={() => setShowEmptyTrashDialog(false)}
+        onConfirm={confirmEmptyTrash}
+        title="Empty Trash"
+        message="Permanently delete everything in the trash? This action cannot be undone."
+        confirmText="Empty Trash"
         type="danger"
+        loading={deleting}
       />
 
       {/* Share Dialog */}
@@ -494,17 +1317,55 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Email address
+                    Share with
                   </label>
-                  <input
-                    type="email"
-                    value={shareEmail}
-                    onChange={(e) => setShareEmail(e.target.value)}
-                    placeholder="Enter email address"
+                  <select
+                    value={shareType}
+                    onChange={(e) => setShareType(e.target.value)}
                     className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
-                  />
+                  >
+                    <option value="user">Specific people</option>
+                    <option value="domain">Everyone in a domain</option>
+                    <option value="anyone">Anyone with the link</option>
+                  </select>
                 </div>
 
+                {shareType === 'user' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Email address
+                    </label>
+                    <input
+                      type="email"
+                      value={shareEmail}
+                      onChange={(e) => setShareEmail(e.target.value)}
+                      placeholder="Enter email address"
+                      className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+                    />
+                  </div>
+                )}
+
+                {shareType === 'domain' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Domain
+                    </label>
+                    <input
+                      type="text"
+                      value={shareDomain}
+                      onChange={(e) => setShareDomain(e.target.value)}
+                      placeholder="example.com"
+                      className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+                    />
+                  </div>
+                )}
+
+                {shareType === 'anyone' && (
+                  <p className="text-sm text-gray-500">
+                    Anyone who has the link can access. The file won't appear in search results.
+                  </p>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Permission
@@ -539,6 +1400,153 @@ export default function GoogleDrive({ activeSection, storageInfo }) {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Organize Dialog */}
+      <OrganizeDialog
+        isOpen={showOrganizeDialog}
+        onClose={() => setShowOrganizeDialog(false)}
+        folder={uploadTarget}
+        onComplete={handleOrganizeComplete}
+      />
+
+      {/* Cleanup Wizard */}
+      <CleanupWizard
+        isOpen={showCleanupWizard}
+        onClose={() => setShowCleanupWizard(false)}
+        onComplete={handleCleanupComplete}
+      />
+
+      {/* Save Search */}
+      <SaveSearchDialog
+        draft={saveSearchDraft}
+        existing={savedSearches}
+        onClose={() => setSaveSearchDraft(null)}
+        onSave={handleSaveSearch}
+      />
+
+      {/* File Preview */}
+      <PreviewModal
+        files={previewFiles}
+        index={previewIndex >= 0 ? previewIndex : null}
+        onNavigate={(index) => setPreviewId(previewFiles[index].id)}
+        onClose={() => setPreviewId(null)}
+        onDownload={handleDownloadFile}
+        onOpenInDrive={openInDrive}
+      />
+
+      {/* ZIP Download Progress */}
+      <ZipDownloadDialog
+        job={zipJob}
+        onCancel={() => zipAbortRef.current?.abort()}
+        onClose={() => setZipJob(null)}
+      />
+
+      {/* Export Format Picker */}
+      <ExportDialog
+        file={exportFile}
+        onClose={() => setExportFile(null)}
+        onDownload={startDownload}
+      />
+
+      {/* File Details */}
+      <FileDetailsDrawer
+        file={detailsFile}
+        onClose={() => setDetailsFile(null)}
+        onManageAccess={setPermissionsFile}
+        onUpdated={() => fetchFiles(searchQuery)}
+      />
+
+      {/* Permissions Panel */}
+      <PermissionsPanel
+        file={permissionsFile}
+        onClose={() => setPermissionsFile(null)}
+      />
+
+      {/* Rules Dialog */}
+      <RulesDialog
+        isOpen={rulesScope !== null}
+        onClose={() => setRulesScope(null)}
+        target={rulesTarget}
+        onApplied={handleRulesApplied}
+      />
+
+      {/* Rename Dialogs */}
+      <RenameDialog
+        file={renameTarget}
+        onClose={() => setRenameTarget(null)}
+        onRename={handleRename}
+      />
+      <BatchRenameDialog
+        files={batchRenameFiles}
+        onClose={() => setBatchRenameFiles(null)}
+        onComplete={handleBatchRenameComplete}
+      />
+
+      {/* New Folder Dialog */}
+      <AnimatePresence>
+        {showNewFolderDialog && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+            onClick={() => !creatingFolder && setShowNewFolderDialog(false)}
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={(e) => e.stopPropagation()}
+              className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6"
+            >
+              <h3 className="text-xl font-bold text-gray-900 mb-4">New Folder</h3>
+              <p className="text-gray-500 mb-6">
+                Create a folder in {uploadTarget.name}
+              </p>
+
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  confirmNewFolder();
+                }}
+              >
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Folder name
+                </label>
+                <input
+                  type="text"
+                  autoFocus
+                  value={newFolderPath}
+                  onChange={(e) => setNewFolderPath(e.target.value)}
+                  placeholder="Untitled folder"
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+                />
+                <p className="mt-2 text-xs text-gray-500">
+                  Use / to create nested folders, e.g. Clients/Acme/2026. Existing folders are reused.
+                </p>
+
+                <div className="flex gap-3 mt-6">
+                  <button
+                    type="button"
+                    onClick={() => setShowNewFolderDialog(false)}
+                    disabled={creatingFolder}
+                    className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={!newFolderPath.trim() || creatingFolder}
+                    className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                  >
+                    {creatingFolder ? 'Creating...' : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </div>
   );
 }
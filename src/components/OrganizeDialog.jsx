@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FolderTree, Folder, ChevronDown, ChevronRight, Loader2, AlertCircle } from 'lucide-react';
+import { planOrganizeByType, executeOrganizePlan } from '../utils/driveApi';
+
+function PlanGroup({ group }) {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <div className="border border-gray-100 rounded-xl">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-3 px-4 py-3 text-left hover:bg-gray-50 rounded-xl transition-colors"
+      >
+        {expanded ? (
+          <ChevronDown className="w-4 h-4 text-gray-400" />
+        ) : (
+          <ChevronRight className="w-4 h-4 text-gray-400" />
+        )}
+        <Folder className="w-5 h-5 text-blue-500" />
+        <span className="flex-1 font-medium text-gray-900">{group.folderName}</span>
+        <span
+          className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+            group.folderId ? 'bg-gray-100 text-gray-600' : 'bg-green-50 text-green-700'
+          }`}
+        >
+          {group.folderId ? 'Existing' : 'New'}
+        </span>
+        <span className="text-sm text-gray-500">{group.files.length} file(s)</span>
+      </button>
+
+      {expanded && (
+        <ul className="px-4 pb-3 pl-14 space-y-1 max-h-40 overflow-y-auto">
+          {group.files.map(file => (
+            <li key={file.id} className="text-sm text-gray-600 truncate" title={file.name}>
+              {file.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function OrganizeDialog({ isOpen, onClose, folder, onComplete }) {
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+
+  // Build a fresh plan every time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setPlan(null);
+    setError(null);
+    setPlanning(true);
+
+    planOrganizeByType({ parentId: folder.id })
+      .then((result) => {
+        if (!cancelled) setPlan(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setPlanning(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, folder.id]);
+
+  const handleClose = () => {
+    if (!running) onClose();
+  };
+
+  const handleConfirm = async () => {
+    if (!plan || plan.total === 0) return;
+
+    setRunning(true);
+    setProgress({ completed: 0, total: plan.total });
+    try {
+      const result = await executeOrganizePlan(plan, setProgress);
+      onComplete(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-6"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-xl bg-blue-50">
+                <FolderTree className="w-5 h-5 text-blue-500" />
+              </div>
+              <h3 className="text-xl font-bold text-gray-900">Organize by Type</h3>
+            </div>
+            <p className="text-gray-500 mb-6">
+              Review how files in {folder.name} will be sorted into folders. Nothing changes until you confirm.
+            </p>
+
+            {planning && (
+              <div className="flex items-center justify-center gap-2 py-10 text-gray-500">
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>Building preview...</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="flex items-start gap-2 p-3 mb-4 rounded-xl bg-red-50 text-sm text-red-700">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {plan && !planning && (
+              plan.total === 0 ? (
+                <p className="py-8 text-center text-gray-500">
+                  Nothing to organize. Files here are already sorted or have no matching type.
+                </p>
+              ) : (
+                <>
+                  <div className="space-y-2 max-h-80 overflow-y-auto">
+                    {plan.groups.map(group => (
+                      <PlanGroup key={group.type} group={group} />
+                    ))}
+                  </div>
+                  <p className="mt-3 text-xs text-gray-500">
+                    {plan.total} file(s) will be moved
+                    {plan.skipped > 0 && `; ${plan.skipped} file(s) of other types stay where they are`}.
+                  </p>
+                </>
+              )
+            )}
+
+            {running && (
+              <div className="mt-4 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <motion.div
+                  initial={false}
+                  animate={{ width: `${progress.total ? (progress.completed / progress.total) * 100 : 0}%` }}
+                  className="h-full bg-blue-500 rounded-full"
+                />
+              </div>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={handleClose}
+                disabled={running}
+                className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={!plan || plan.total === 0 || planning || running}
+                className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+              >
+                {running ? 'Moving...' : `Move ${plan?.total || 0} file(s)`}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Users, Globe, Building2, X, Loader2, AlertCircle } from 'lucide-react';
+import { listPermissions, updatePermission, deletePermission, SHARE_ROLES } from '../utils/driveApi';
+import { getAvatarColor, getInitials } from '../utils/theme';
+import { useToast } from './ui/Toast';
+
+const roleLabels = {
+  owner: 'Owner',
+  organizer: 'Manager',
+  fileOrganizer: 'Content manager',
+  writer: 'Editor',
+  commenter: 'Commenter',
+  reader: 'Viewer',
+};
+
+// Owners first, then by how much access each permission grants
+const roleOrder = ['owner', 'organizer', 'fileOrganizer', 'writer', 'commenter', 'reader'];
+
+const describePermission = (permission) => {
+  if (permission.type === 'anyone') {
+    return { title: 'Anyone with the link', subtitle: permission.allowFileDiscovery ? 'Public on the web' : null };
+  }
+  if (permission.type === 'domain') {
+    return { title: `Anyone at ${permission.domain}`, subtitle: null };
+  }
+  return {
+    title: permission.displayName || permission.emailAddress,
+    subtitle: permission.displayName ? permission.emailAddress : null
+  };
+};
+
+function PermissionIcon({ permission }) {
+  if (permission.type === 'anyone') {
+    return (
+      <div className="w-9 h-9 rounded-full bg-green-50 flex items-center justify-center">
+        <Globe className="w-4 h-4 text-green-600" />
+      </div>
+    );
+  }
+  if (permission.type === 'domain') {
+    return (
+      <div className="w-9 h-9 rounded-full bg-blue-50 flex items-center justify-center">
+        <Building2 className="w-4 h-4 text-blue-600" />
+      </div>
+    );
+  }
+
+  const label = permission.displayName || permission.emailAddress || '?';
+  return (
+    <div
+      className="w-9 h-9 rounded-full flex items-center justify-center text-white text-xs font-semibold"
+      style={{ backgroundColor: getAvatarColor(label) }}
+    >
+      {getInitials(label)}
+    </div>
+  );
+}
+
+export default function PermissionsPanel({ file, onClose }) {
+  const toast = useToast();
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadPermissions = useCallback(async (fileId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await listPermissions(fileId);
+      setPermissions(result.sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (file) {
+      setPermissions([]);
+      loadPermissions(file.id);
+    }
+  }, [file, loadPermissions]);
+
+  const handleChangeRole = async (permission, role) => {
+    setBusyId(permission.id);
+    try {
+      const updated = await updatePermission(file.id, permission.id, role);
+      setPermissions(prev => prev.map(p => (p.id === permission.id ? { ...p, ...updated } : p)));
+      toast.success('Access updated', `${describePermission(permission).title} is now ${roleLabels[role].toLowerCase()}`);
+    } catch (err) {
+      toast.error('Error', err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = async (permission) => {
+    setBusyId(permission.id);
+    try {
+      await deletePermission(file.id, permission.id);
+      setPermissions(prev => prev.filter(p => p.id !== permission.id));
+      toast.success('Access removed', describePermission(permission).title);
+    } catch (err) {
+      toast.error('Error', err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-6"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-xl bg-blue-50">
+                <Users className="w-5 h-5 text-blue-500" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <h3 className="text-xl font-bold text-gray-900">Manage Access</h3>
+                <p className="text-sm text-gray-500 truncate" title={file.name}>{file.name}</p>
+              </div>
+              <button
+                onClick={onClose}
+                className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            {loading && (
+              <div className="flex items-center justify-center gap-2 py-10 text-gray-500">
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>Loading permissions...</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="flex items-start gap-2 p-3 rounded-xl bg-red-50 text-sm text-red-700">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {!loading && !error && (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {permissions.map((permission) => {
+                  const { title, subtitle } = describePermission(permission);
+                  const editable = SHARE_ROLES.includes(permission.role);
+                  const busy = busyId === permission.id;
+
+                  return (
+                    <div key={permission.id} className="flex items-center gap-3 py-3">
+                      <PermissionIcon permission={permission} />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{title}</p>
+                        {subtitle && <p className="text-xs text-gray-500 truncate">{subtitle}</p>}
+                      </div>
+
+                      {editable ? (
+                        <>
+                          <select
+                            value={permission.role}
+                            onChange={(e) => handleChangeRole(permission, e.target.value)}
+                            disabled={busy}
+                            className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 disabled:opacity-50"
+                          >
+                            {SHARE_ROLES.map(role => (
+                              <option key={role} value={role}>{roleLabels[role]}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleRevoke(permission)}
+                            disabled={busy}
+                            title="Remove access"
+                            className="p-1.5 rounded-lg text-gray-400 hover:bg-red-50 hover:text-red-600 disabled:opacity-50"
+                          >
+                            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <X className="w-4 h-4" />}
+                          </button>
+                        </>
+                      ) : (
+                        <span className="text-sm text-gray-500 pr-2">{roleLabels[permission.role] || permission.role}</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, ChevronLeft, ChevronRight, Download, ExternalLink, Loader2, AlertCircle } from 'lucide-react';
+import { loadPreview } from '../utils/filePreview';
+import { formatFileSize } from '../utils/theme';
+
+function PreviewContent({ preview, file }) {
+  switch (preview.type) {
+    case 'image':
+      return <img src={preview.url} alt={file.name} className="max-w-full max-h-full object-contain" />;
+    case 'pdf':
+      return <iframe src={preview.url} title={file.name} className="w-full h-full bg-white rounded-lg" />;
+    case 'video':
+      return <video src={preview.url} controls autoPlay className="max-w-full max-h-full rounded-lg" />;
+    case 'audio':
+      return <audio src={preview.url} controls autoPlay className="w-full max-w-lg" />;
+    case 'text':
+      return (
+        <div className="w-full h-full overflow-auto bg-white rounded-lg">
+          <pre className="p-6 text-sm font-mono text-gray-800 whitespace-pre-wrap break-words">{preview.text}</pre>
+          {preview.truncated && (
+            <p className="px-6 pb-6 text-xs text-gray-500">Preview truncated. Download the file to see all of it.</p>
+          )}
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+export default function PreviewModal({ files, index, onNavigate, onClose, onDownload, onOpenInDrive }) {
+  const file = index !== null ? files[index] : null;
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the current file; object URLs are released when moving on
+  useEffect(() => {
+    if (!file) return;
+    const controller = new AbortController();
+    let url = null;
+
+    const load = async () => {
+      setPreview(null);
+      setError(null);
+      setLoading(true);
+      try {
+        const result = await loadPreview(file, controller.signal);
+        if (controller.signal.aborted) {
+          if (result.url) URL.revokeObjectURL(result.url);
+          return;
+        }
+        url = result.url;
+        setPreview(result);
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      controller.abort();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [file]);
+
+  const hasPrevious = index > 0;
+  const hasNext = index !== null && index < files.length - 1;
+
+  useEffect(() => {
+    if (!file) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && hasPrevious) onNavigate(index - 1);
+      if (e.key === 'ArrowRight' && hasNext) onNavigate(index + 1);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [file, index, hasPrevious, hasNext, onNavigate, onClose]);
+
+  return (
+    <AnimatePresence>
+      {file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/90 z-50 flex flex-col"
+          onClick={onClose}
+        >
+          {/* Toolbar */}
+          <div className="flex items-center gap-3 px-4 h-16 text-white" onClick={(e) => e.stopPropagation()}>
+            <div className="flex-1 min-w-0">
+              <p className="font-medium truncate" title={file.name}>{file.name}</p>
+              <p className="text-xs text-white/60">
+                {index + 1} of {files.length}
+                {file.size && ` • ${formatFileSize(Number(file.size))}`}
+              </p>
+            </div>
+            <button
+              onClick={() => onDownload(file)}
+              title="Download"
+              className="p-2 rounded-lg hover:bg-white/10 transition-colors"
+            >
+              <Download className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => onOpenInDrive(file)}
+              title="Open in Drive"
+              className="p-2 rounded-lg hover:bg-white/10 transition-colors"
+            >
+              <ExternalLink className="w-5 h-5" />
+            </button>
+            <button
+              onClick={onClose}
+              title="Close"
+              className="p-2 rounded-lg hover:bg-white/10 transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="relative flex-1 min-h-0 flex items-center justify-center px-16 pb-8">
+            {hasPrevious && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onNavigate(index - 1); }}
+                title="Previous"
+                className="absolute left-3 p-3 rounded-full bg-white/10 hover:bg-white/20 text-white transition-colors"
+              >
+                <ChevronLeft className="w-6 h-6" />
+              </button>
+            )}
+
+            <div className="w-full h-full flex items-center justify-center">
+              {loading && <Loader2 className="w-8 h-8 text-white/70 animate-spin" />}
+              {error && (
+                <div className="flex flex-col items-center gap-4 text-center text-white" onClick={(e) => e.stopPropagation()}>
+                  <AlertCircle className="w-8 h-8 text-white/70" />
+                  <p className="max-w-sm">{error}</p>
+                  <button
+                    onClick={() => onOpenInDrive(file)}
+                    className="px-4 py-2 rounded-xl bg-white text-gray-900 text-sm font-medium hover:bg-gray-100"
+                  >
+                    Open in Drive
+                  </button>
+                </div>
+              )}
+              {preview && (
+                <div className="w-full h-full flex items-center justify-center" onClick={(e) => e.stopPropagation()}>
+                  <PreviewContent preview={preview} file={file} />
+                </div>
+              )}
+            </div>
+
+            {hasNext && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onNavigate(index + 1); }}
+                title="Next"
+                className="absolute right-3 p-3 rounded-full bg-white/10 hover:bg-white/20 text-white transition-colors"
+              >
+                <ChevronRight className="w-6 h-6" />
+              </button>
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,481 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  Workflow,
+  Plus,
+  Pencil,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  X,
+  Loader2,
+  AlertCircle,
+  ChevronLeft,
+} from 'lucide-react';
+import {
+  CONDITION_FIELDS,
+  ACTION_TYPES,
+  createRule,
+  validateRule,
+  matchRules,
+  applyRules,
+  describeAction,
+} from '../utils/rulesEngine';
+import { SHARE_ROLES } from '../utils/driveApi';
+import useDriveRules from '../hooks/useDriveRules';
+
+const inputClass = 'px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
+const roleLabels = { reader: 'Viewer', commenter: 'Commenter', writer: 'Editor' };
+
+function RuleEditor({ initialRule, onSave, onCancel }) {
+  const [rule, setRule] = useState(initialRule);
+  const [error, setError] = useState(null);
+
+  const updateCondition = (index, changes) => {
+    setRule(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    }));
+  };
+
+  const updateAction = (index, changes) => {
+    setRule(prev => ({
+      ...prev,
+      actions: prev.actions.map((action, i) => (i === index ? { ...action, ...changes } : action))
+    }));
+  };
+
+  const handleSave = () => {
+    const validationError = validateRule(rule);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSave(rule);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex gap-3">
+        <input
+          type="text"
+          value={rule.name}
+          onChange={(e) => setRule({ ...rule, name: e.target.value })}
+          placeholder="Rule name, e.g. File invoices"
+          className={`${inputClass} flex-1`}
+        />
+        <select
+          value={rule.match}
+          onChange={(e) => setRule({ ...rule, match: e.target.value })}
+          className={inputClass}
+        >
+          <option value="all">Match all</option>
+          <option value="any">Match any</option>
+        </select>
+      </div>
+
+      {/* Conditions */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">When</p>
+        <div className="space-y-2">
+          {rule.conditions.map((condition, index) => {
+            const field = CONDITION_FIELDS[condition.field];
+
+            return (
+              <div key={index} className="flex gap-2">
+                <select
+                  value={condition.field}
+                  onChange={(e) => {
+                    const operator = Object.keys(CONDITION_FIELDS[e.target.value].operators)[0];
+                    updateCondition(index, { field: e.target.value, operator });
+                  }}
+                  className={inputClass}
+                >
+                  {Object.entries(CONDITION_FIELDS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(field.operators).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={condition.value}
+                  onChange={(e) => updateCondition(index, { value: e.target.value })}
+                  placeholder={field.placeholder}
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button
+                  onClick={() => setRule(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }))}
+                  disabled={rule.conditions.length === 1}
+                  className="p-2 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        <button
+          onClick={() => setRule(prev => ({
+            ...prev,
+            conditions: [...prev.conditions, { field: 'extension', operator: 'is', value: '' }]
+          }))}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          + Add condition
+        </button>
+      </div>
+
+      {/* Actions */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Then</p>
+        <div className="space-y-2">
+          {rule.actions.map((action, index) => (
+            <div key={index} className="flex gap-2">
+              <select
+                value={action.type}
+                onChange={(e) => updateAction(index, { type: e.target.value, value: '' })}
+                className={inputClass}
+              >
+                {Object.entries(ACTION_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              {action.type !== 'star' && (
+                <input
+                  type="text"
+                  value={action.value}
+                  onChange={(e) => updateAction(index, { value: e.target.value })}
+                  placeholder={ACTION_TYPES[action.type].placeholder}
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+              )}
+              {action.type === 'share' && (
+                <select
+                  value={action.role || 'reader'}
+                  onChange={(e) => updateAction(index, { role: e.target.value })}
+                  className={inputClass}
+                >
+                  {SHARE_ROLES.map(role => (
+                    <option key={role} value={role}>{roleLabels[role]}</option>
+                  ))}
+                </select>
+              )}
+              {action.type === 'star' && <div className="flex-1" />}
+              <button
+                onClick={() => setRule(prev => ({ ...prev, actions: prev.actions.filter((_, i) => i !== index) }))}
+                disabled={rule.actions.length === 1}
+                className="p-2 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600 disabled:opacity-30"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setRule(prev => ({ ...prev, actions: [...prev.actions, { type: 'star', value: '' }] }))}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          + Add action
+        </button>
+        <p className="mt-2 text-xs text-gray-500">
+          Folder paths and names can use {'{name}'}, {'{ext}'}, {'{date}'}, {'{year}'}, {'{month}'} and {'{day}'}.
+          Folder paths start in My Drive.
+        </p>
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2 p-3 rounded-xl bg-red-50 text-sm text-red-700">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors"
+        >
+          Save Rule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function RulesDialog({ isOpen, onClose, target, onApplied }) {
+  const { rules, upsertRule, deleteRule, toggleRule, moveRule } = useDriveRules();
+  const [view, setView] = useState('list');
+  const [editingRule, setEditingRule] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [previewing, setPreviewing] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [error, setError] = useState(null);
+
+  const handleClose = () => {
+    if (running) return;
+    setView('list');
+    setError(null);
+    onClose();
+  };
+
+  const startEditing = (rule) => {
+    setEditingRule(rule || createRule());
+    setView('edit');
+  };
+
+  const handleSaveRule = (rule) => {
+    upsertRule(rule);
+    setView('list');
+  };
+
+  // Match the target files against the rules without changing anything
+  const handlePreview = async () => {
+    setView('preview');
+    setMatches([]);
+    setError(null);
+    setPreviewing(true);
+    try {
+      const files = await target.loadFiles();
+      setMatches(matchRules(rules, files));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setRunning(true);
+    setProgress({ completed: 0, total: matches.length });
+    try {
+      const result = await applyRules(matches, setProgress);
+      setView('list');
+      onApplied(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const hasRunnableRules = rules.some(rule => rule.enabled);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              {view !== 'list' && !running && (
+                <button
+                  onClick={() => setView('list')}
+                  className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+              )}
+              <div className="p-2 rounded-xl bg-blue-50">
+                <Workflow className="w-5 h-5 text-blue-500" />
+              </div>
+              <h3 className="text-xl font-bold text-gray-900">
+                {view === 'edit' ? 'Edit Rule' : view === 'preview' ? 'Preview Rules' : 'Rules'}
+              </h3>
+            </div>
+
+            {view === 'list' && (
+              <>
+                <p className="text-gray-500 mb-6">
+                  Rules run top to bottom; each file is handled by the first rule it matches.
+                </p>
+
+                {rules.length === 0 ? (
+                  <p className="py-8 text-center text-gray-500">No rules yet.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {rules.map((rule, index) => (
+                      <div
+                        key={rule.id}
+                        className={`flex items-center gap-3 px-4 py-3 border border-gray-100 rounded-xl ${
+                          rule.enabled ? '' : 'opacity-60'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={rule.enabled}
+                          onChange={() => toggleRule(rule.id)}
+                          title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                          className="w-4 h-4 rounded border-gray-300 text-blue-500"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-gray-900 truncate">{rule.name}</p>
+                          <p className="text-xs text-gray-500 truncate">
+                            {rule.conditions.length} condition(s) → {rule.actions.map(action => ACTION_TYPES[action.type]?.label).join(', ')}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => moveRule(rule.id, -1)}
+                          disabled={index === 0}
+                          className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600 disabled:opacity-30"
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => moveRule(rule.id, 1)}
+                          disabled={index === rules.length - 1}
+                          className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600 disabled:opacity-30"
+                        >
+                          <ArrowDown className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => startEditing(rule)}
+                          className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => deleteRule(rule.id)}
+                          className="p-1.5 rounded-lg text-gray-400 hover:bg-red-50 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <button
+                  onClick={() => startEditing(null)}
+                  className="mt-3 flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add rule
+                </button>
+
+                <div className="flex gap-3 mt-6">
+                  <button
+                    onClick={handleClose}
+                    className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                  >
+                    Close
+                  </button>
+                  <button
+                    onClick={handlePreview}
+                    disabled={!hasRunnableRules}
+                    className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                  >
+                    Run on {target.label}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {view === 'edit' && (
+              <RuleEditor
+                key={editingRule.id}
+                initialRule={editingRule}
+                onSave={handleSaveRule}
+                onCancel={() => setView('list')}
+              />
+            )}
+
+            {view === 'preview' && (
+              <>
+                <p className="text-gray-500 mb-6">
+                  Review the changes for {target.label}. Nothing changes until you apply them.
+                </p>
+
+                {previewing && (
+                  <div className="flex items-center justify-center gap-2 py-10 text-gray-500">
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                    <span>Matching files...</span>
+                  </div>
+                )}
+
+                {error && (
+                  <div className="flex items-start gap-2 p-3 mb-4 rounded-xl bg-red-50 text-sm text-red-700">
+                    <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    <span>{error}</span>
+                  </div>
+                )}
+
+                {!previewing && !error && matches.length === 0 && (
+                  <p className="py-8 text-center text-gray-500">No files match any rule.</p>
+                )}
+
+                {matches.length > 0 && (
+                  <div className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                    {matches.map(({ file, rule }) => (
+                      <div key={file.id} className="px-4 py-2.5">
+                        <p className="text-sm font-medium text-gray-900 truncate" title={file.name}>
+                          {file.name}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {rule.name}: {rule.actions.map(action => describeAction(action, file)).join(' · ')}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {running && (
+                  <div className="mt-4 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <motion.div
+                      initial={false}
+                      animate={{ width: `${progress.total ? (progress.completed / progress.total) * 100 : 0}%` }}
+                      className="h-full bg-blue-500 rounded-full"
+                    />
+                  </div>
+                )}
+
+                <div className="flex gap-3 mt-6">
+                  <button
+                    onClick={() => setView('list')}
+                    disabled={running}
+                    className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                  >
+                    Back
+                  </button>
+                  <button
+                    onClick={handleApply}
+                    disabled={matches.length === 0 || previewing || running}
+                    className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+                  >
+                    {running ? 'Applying...' : `Apply to ${matches.length} file(s)`}
+                  </button>
+                </div>
+              </>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
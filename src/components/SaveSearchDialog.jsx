@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { createSavedSearch, validateSearchName, MAX_SEARCH_NAME_LENGTH } from '../utils/savedSearches';
+
+function SaveSearchForm({ draft, existing, onClose, onSave }) {
+  const [name, setName] = useState(draft.query.slice(0, MAX_SEARCH_NAME_LENGTH));
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const message = validateSearchName(name, existing);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onSave(createSavedSearch({ ...draft, name }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+      <input
+        type="text"
+        autoFocus
+        value={name}
+        maxLength={MAX_SEARCH_NAME_LENGTH}
+        placeholder="e.g. Invoices this month"
+        onChange={(e) => {
+          setName(e.target.value);
+          setError(null);
+        }}
+        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+      />
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      <p className="mt-2 text-xs text-gray-500">
+        It will appear in the sidebar with a live count of what it matches.
+      </p>
+
+      <div className="flex gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function SaveSearchDialog({ draft, existing, onClose, onSave }) {
+  return (
+    <AnimatePresence>
+      {draft && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6"
+          >
+            <h3 className="text-xl font-bold text-gray-900 mb-6">Save Search</h3>
+            <SaveSearchForm draft={draft} existing={existing} onClose={onClose} onSave={onSave} />
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,270 @@
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { PieChart, Loader2, AlertCircle, ChevronRight, ExternalLink, X } from 'lucide-react';
+import { analyzeStorage } from '../utils/storageAnalyzer';
+import { formatFileSize, formatDate, getFileTypeConfig } from '../utils/theme';
+import Treemap from './ui/Treemap';
+
+const quotaSegments = [
+  { key: 'drive', label: 'Drive', color: 'bg-blue-500' },
+  { key: 'other', label: 'Gmail & Photos', color: 'bg-red-400' },
+  { key: 'trash', label: 'Drive trash', color: 'bg-gray-400' },
+];
+
+function BreakdownList({ title, rows }) {
+  const max = Math.max(...rows.map(row => row.bytes), 1);
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-100 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">{title}</h2>
+      <div className="space-y-3">
+        {rows.map(row => (
+          <div key={row.key}>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="text-gray-700">{row.label}</span>
+              <span className="text-gray-500">
+                {formatFileSize(row.bytes)} • {row.count} file{row.count === 1 ? '' : 's'}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <motion.div
+                initial={{ width: 0 }}
+                animate={{ width: `${(row.bytes / max) * 100}%` }}
+                transition={{ duration: 0.5, ease: 'easeOut' }}
+                className="h-full rounded-full"
+                style={{ backgroundColor: row.color || '#3B82F6' }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function StorageAnalyzer({ storageInfo, onRefreshQuota }) {
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [folderPath, setFolderPath] = useState([]);
+  const abortRef = useRef(null);
+
+  // Stop crawling when the view is closed
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleAnalyze = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const result = await analyzeStorage({ onProgress: setProgress, signal: controller.signal });
+      setReport(result);
+      setFolderPath([result.folderTree]);
+      onRefreshQuota?.();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    } finally {
+      setRunning(false);
+      abortRef.current = null;
+    }
+  };
+
+  const currentFolder = folderPath[folderPath.length - 1];
+  const treemapItems = useMemo(() => {
+    if (!currentFolder) return [];
+    return [
+      ...currentFolder.children,
+      {
+        id: `${currentFolder.id}-files`,
+        name: `Files in ${currentFolder.name}`,
+        bytes: currentFolder.fileBytes,
+        color: '#9CA3AF',
+      },
+    ].sort((a, b) => b.bytes - a.bytes);
+  }, [currentFolder]);
+
+  const typeRows = report?.byType || [];
+  const yearRows = (report?.byYear || []).map(row => ({ ...row, key: String(row.year), label: String(row.year) }));
+
+  return (
+    <div className="p-6 lg:p-8">
+      {/* Header */}
+      <div className="mb-8">
+        <motion.h1
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-2xl font-bold text-gray-900 mb-2"
+        >
+          Storage
+        </motion.h1>
+        <p className="text-gray-500">See what is using your storage before deciding what to delete</p>
+      </div>
+
+      {/* Quota breakdown */}
+      <div className="bg-white rounded-2xl border border-gray-100 p-6 mb-6">
+        <div className="flex items-baseline justify-between mb-3">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {formatFileSize(storageInfo?.used)} used
+          </h2>
+          <span className="text-sm text-gray-500">
+            {storageInfo?.unlimited ? 'Unlimited storage' : `of ${formatFileSize(storageInfo?.total)}`}
+          </span>
+        </div>
+        <div className="h-3 bg-gray-100 rounded-full overflow-hidden flex">
+          {quotaSegments.map(segment => (
+            <motion.div
+              key={segment.key}
+              initial={{ width: 0 }}
+              animate={{
+                width: `${storageInfo?.total ? Math.min(100, ((storageInfo[segment.key] || 0) / storageInfo.total) * 100) : 0}%`
+              }}
+              transition={{ duration: 0.5, ease: 'easeOut' }}
+              className={`h-full ${segment.color}`}
+            />
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-x-6 gap-y-2 mt-3">
+          {quotaSegments.map(segment => (
+            <div key={segment.key} className="flex items-center gap-2 text-sm text-gray-600">
+              <span className={`w-2.5 h-2.5 rounded-full ${segment.color}`} />
+              {segment.label}
+              <span className="text-gray-400">{formatFileSize(storageInfo?.[segment.key])}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Analysis */}
+      {!report && !running && (
+        <div className="bg-white rounded-2xl border border-gray-100 p-8 text-center">
+          <div className="inline-flex p-3 rounded-2xl bg-blue-50 mb-4">
+            <PieChart className="w-6 h-6 text-blue-500" />
+          </div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Analyze your Drive</h2>
+          <p className="text-gray-500 mb-6 max-w-md mx-auto">
+            Scan every file you own to find the largest files and folders. This can take a while for large drives.
+          </p>
+          <button
+            onClick={handleAnalyze}
+            className="px-5 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors"
+          >
+            Analyze Storage
+          </button>
+        </div>
+      )}
+
+      {running && (
+        <div className="bg-white rounded-2xl border border-gray-100 p-8 flex items-center justify-center gap-3 text-gray-600">
+          <Loader2 className="w-5 h-5 animate-spin text-blue-500" />
+          <span>
+            {progress
+              ? `Scanning ${progress.phase}... ${progress.scanned.toLocaleString()} found`
+              : 'Starting scan...'}
+          </span>
+          <button
+            onClick={() => abortRef.current?.abort()}
+            title="Cancel"
+            className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-2 p-4 mt-6 rounded-xl bg-red-50 text-sm text-red-700">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {report && !running && (
+        <div className="space-y-6">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              {report.fileCount.toLocaleString()} files you own • {formatFileSize(report.totalBytes)}
+              {report.truncated && ' • scan stopped early, results are partial'}
+            </p>
+            <button
+              onClick={handleAnalyze}
+              className="px-4 py-2 text-sm font-medium text-blue-600 hover:bg-blue-50 rounded-xl transition-colors"
+            >
+              Scan Again
+            </button>
+          </div>
+
+          {/* Folder sizes */}
+          <div className="bg-white rounded-2xl border border-gray-100 p-6">
+            <div className="flex items-center gap-1 mb-4 text-sm overflow-x-auto">
+              {folderPath.map((folder, index) => (
+                <span key={folder.id} className="flex items-center gap-1 whitespace-nowrap">
+                  {index > 0 && <ChevronRight className="w-4 h-4 text-gray-400" />}
+                  <button
+                    onClick={() => setFolderPath(folderPath.slice(0, index + 1))}
+                    className={`font-medium ${
+                      index === folderPath.length - 1 ? 'text-gray-900' : 'text-gray-500 hover:text-blue-600'
+                    }`}
+                  >
+                    {folder.name}
+                  </button>
+                </span>
+              ))}
+              <span className="ml-auto pl-4 text-gray-500 whitespace-nowrap">{formatFileSize(currentFolder?.bytes)}</span>
+            </div>
+            <Treemap
+              items={treemapItems}
+              onSelect={(folder) => setFolderPath([...folderPath, folder])}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <BreakdownList title="By type" rows={typeRows} />
+            <BreakdownList title="By year created" rows={yearRows} />
+          </div>
+
+          {/* Largest files */}
+          <div className="bg-white rounded-2xl border border-gray-100 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Largest files</h2>
+            <ul className="divide-y divide-gray-100">
+              {report.largestFiles.map(file => {
+                const typeConfig = getFileTypeConfig(file.mimeType);
+                return (
+                  <li key={file.id} className="flex items-center gap-3 py-2.5">
+                    <span
+                      className="px-2 py-0.5 rounded-md text-xs font-medium flex-shrink-0"
+                      style={{ color: typeConfig.color, backgroundColor: typeConfig.bg }}
+                    >
+                      {typeConfig.label}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate" title={file.name}>{file.name}</p>
+                      <p className="text-xs text-gray-500">Modified {formatDate(file.modifiedTime)}</p>
+                    </div>
+                    <span className="text-sm text-gray-600 flex-shrink-0">{formatFileSize(file.bytes)}</span>
+                    {file.webViewLink && (
+                      <a
+                        href={file.webViewLink}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title="Open in Drive"
+                        className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                      </a>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
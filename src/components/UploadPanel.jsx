@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  Upload,
+  Pause,
+  Play,
+  RotateCw,
+  X,
+  CheckCircle2,
+  AlertCircle,
+  ChevronDown,
+  ChevronUp,
+} from 'lucide-react';
+import { UPLOAD_STATES } from '../utils/uploadApi';
+import { formatFileSize } from '../utils/theme';
+
+const stateLabels = {
+  [UPLOAD_STATES.QUEUED]: 'Waiting...',
+  [UPLOAD_STATES.UPLOADING]: 'Uploading',
+  [UPLOAD_STATES.PAUSED]: 'Paused',
+  [UPLOAD_STATES.ERROR]: 'Failed',
+  [UPLOAD_STATES.DONE]: 'Uploaded',
+  [UPLOAD_STATES.CANCELLED]: 'Cancelled',
+};
+
+function UploadItem({ item, onPause, onResume, onCancel }) {
+  const isActive = item.state === UPLOAD_STATES.UPLOADING || item.state === UPLOAD_STATES.QUEUED;
+  const canResume = item.state === UPLOAD_STATES.PAUSED || item.state === UPLOAD_STATES.ERROR;
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-100 last:border-b-0">
+      <div className="flex items-center gap-3">
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate" title={item.name}>
+            {item.name}
+          </p>
+          <p className={`text-xs ${item.state === UPLOAD_STATES.ERROR ? 'text-red-600' : 'text-gray-500'}`}>
+            {item.state === UPLOAD_STATES.ERROR && item.error
+              ? item.error
+              : `${stateLabels[item.state]} • ${formatFileSize(item.loaded)} of ${formatFileSize(item.size)}`}
+          </p>
+        </div>
+
+        {item.state === UPLOAD_STATES.DONE && (
+          <CheckCircle2 className="w-5 h-5 text-green-500 flex-shrink-0" />
+        )}
+        {item.state === UPLOAD_STATES.ERROR && (
+          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+        )}
+
+        <div className="flex items-center gap-1 flex-shrink-0">
+          {item.state === UPLOAD_STATES.UPLOADING && (
+            <button
+              onClick={() => onPause(item.id)}
+              className="p-1.5 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+              title="Pause"
+            >
+              <Pause className="w-4 h-4" />
+            </button>
+          )}
+          {canResume && (
+            <button
+              onClick={() => onResume(item.id)}
+              className="p-1.5 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+              title={item.state === UPLOAD_STATES.ERROR ? 'Retry' : 'Resume'}
+            >
+              {item.state === UPLOAD_STATES.ERROR ? <RotateCw className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            </button>
+          )}
+          {(isActive || canResume) && (
+            <button
+              onClick={() => onCancel(item.id)}
+              className="p-1.5 rounded-lg hover:bg-red-50 text-gray-500 hover:text-red-600 transition-colors"
+              title="Cancel"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {item.state !== UPLOAD_STATES.DONE && item.state !== UPLOAD_STATES.CANCELLED && (
+        <div className="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+          <motion.div
+            initial={false}
+            animate={{ width: `${item.progress}%` }}
+            transition={{ duration: 0.2, ease: 'easeOut' }}
+            className={`h-full rounded-full ${
+              item.state === UPLOAD_STATES.ERROR
+                ? 'bg-red-500'
+                : item.state === UPLOAD_STATES.PAUSED
+                ? 'bg-yellow-500'
+                : 'bg-blue-500'
+            }`}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function UploadPanel({ queue }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const { items, pause, resume, cancel, clearFinished } = queue;
+
+  const pending = items.filter(item => ![UPLOAD_STATES.DONE, UPLOAD_STATES.CANCELLED].includes(item.state));
+  const done = items.filter(item => item.state === UPLOAD_STATES.DONE).length;
+  const hasFinished = items.length > pending.length;
+
+  return (
+    <AnimatePresence>
+      {items.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          className="fixed bottom-4 right-4 z-40 w-96 max-w-[calc(100vw-2rem)] bg-white rounded-2xl border border-gray-200 shadow-2xl overflow-hidden"
+        >
+          {/* Header */}
+          <div className="flex items-center gap-3 px-4 py-3 bg-gray-50 border-b border-gray-100">
+            <Upload className="w-4 h-4 text-blue-500" />
+            <span className="flex-1 text-sm font-semibold text-gray-900">
+              {pending.length > 0
+                ? `Uploading ${pending.length} file(s)`
+                : `${done} upload(s) complete`}
+            </span>
+            {hasFinished && (
+              <button
+                onClick={clearFinished}
+                className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+              >
+                Clear
+              </button>
+            )}
+            <button
+              onClick={() => setCollapsed(!collapsed)}
+              className="p-1 rounded-lg hover:bg-gray-200 text-gray-500"
+            >
+              {collapsed ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+          </div>
+
+          {/* Items */}
+          {!collapsed && (
+            <div className="max-h-80 overflow-y-auto">
+              {items.map(item => (
+                <UploadItem
+                  key={item.id}
+                  item={item}
+                  onPause={pause}
+                  onResume={resume}
+                  onCancel={cancel}
+                />
+              ))}
+            </div>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
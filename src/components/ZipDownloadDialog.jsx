@@ -0,0 +1,90 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { Archive, AlertCircle, Loader2 } from 'lucide-react';
+
+export default function ZipDownloadDialog({ job, onCancel, onClose }) {
+  const percent = job?.total ? Math.round((job.completed / job.total) * 100) : 0;
+
+  return (
+    <AnimatePresence>
+      {job && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-xl bg-blue-50">
+                <Archive className="w-5 h-5 text-blue-500" />
+              </div>
+              <h3 className="text-xl font-bold text-gray-900 truncate">{job.name}.zip</h3>
+            </div>
+
+            {job.running ? (
+              <>
+                <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                  <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                  <span className="truncate">
+                    {job.total === 0
+                      ? 'Collecting files...'
+                      : `${job.completed} of ${job.total} • ${job.current || 'Finishing...'}`}
+                  </span>
+                </div>
+                <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                  <motion.div
+                    initial={false}
+                    animate={{ width: `${percent}%` }}
+                    className="h-full bg-blue-500 rounded-full"
+                  />
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="text-gray-500 mb-4">
+                  {job.added > 0
+                    ? `${job.added} of ${job.total} file(s) were added. These could not be downloaded:`
+                    : 'No files could be downloaded:'}
+                </p>
+                <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                  {job.failed.map(({ path, error }) => (
+                    <li key={path} className="flex items-start gap-2 px-4 py-2.5">
+                      <AlertCircle className="w-4 h-4 mt-0.5 text-red-500 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate" title={path}>{path}</p>
+                        <p className="text-xs text-gray-500">{error}</p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              {job.running ? (
+                <button
+                  onClick={onCancel}
+                  className="flex-1 px-4 py-3 border border-gray-200 rounded-xl text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <button
+                  onClick={onClose}
+                  className="flex-1 px-4 py-3 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl transition-colors"
+                >
+                  Close
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,60 @@
+import { ChevronLeft, ChevronRight, HardDrive } from 'lucide-react';
+
+export default function Breadcrumbs({
+  path,
+  onNavigate,
+  onBack,
+  onForward,
+  canGoBack,
+  canGoForward,
+}) {
+  return (
+    <div className="flex items-center gap-2 mb-6 min-w-0">
+      {/* History */}
+      <div className="flex items-center gap-1 flex-shrink-0">
+        <button
+          onClick={onBack}
+          disabled={!canGoBack}
+          title="Back (Alt+←)"
+          className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onForward}
+          disabled={!canGoForward}
+          title="Forward (Alt+→)"
+          className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Trail */}
+      <nav className="flex items-center gap-1 min-w-0 overflow-x-auto text-sm">
+        {path.map((folder, index) => {
+          const isLast = index === path.length - 1;
+
+          return (
+            <div key={folder.id} className="flex items-center gap-1 min-w-0">
+              {index > 0 && <ChevronRight className="w-4 h-4 text-gray-300 flex-shrink-0" />}
+              <button
+                onClick={() => !isLast && onNavigate?.(path.slice(0, index + 1))}
+                disabled={isLast}
+                title={folder.name}
+                className={`flex items-center gap-1.5 px-2 py-1 rounded-lg truncate max-w-[200px] transition-colors ${
+                  isLast
+                    ? 'font-semibold text-gray-900 cursor-default'
+                    : 'text-gray-500 hover:bg-gray-100 hover:text-gray-900'
+                }`}
+              >
+                {index === 0 && <HardDrive className="w-4 h-4 flex-shrink-0" />}
+                <span className="truncate">{folder.name}</span>
+              </button>
+            </div>
+          );
+        })}
+      </nav>
+    </div>
+  );
+}
@@ -13,7 +13,7 @@ import {
   MailOpen,
   Mail,
 } from 'lucide-react';
-import { getInitials, getAvatarColor, formatDate } from '../../utils/theme';
+import { getInitials, getAvatarColor, formatDate, formatFileSize } from '../../utils/theme';
 
 export default function EmailCard({
   email,
@@ -30,23 +30,14 @@ export default function EmailCard({
 
   const isUnread = email.labelIds?.includes('UNREAD');
   const isStarred = email.labelIds?.includes('STARRED');
-  const hasAttachment = email.payload?.parts?.some(part => part.filename && part.filename.length > 0);
+  const attachments = email.attachments || [];
 
-  // Extract email header info
-  const headers = email.payload?.headers || [];
-  const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
-
-  const from = getHeader('From');
-  const subject = getHeader('Subject') || '(No Subject)';
-  const date = getHeader('Date');
-
-  // Parse sender name and email
-  const senderMatch = from.match(/^(?:"?([^"<]+)"?\s*)?<?([^>]+)>?$/);
-  const senderName = senderMatch?.[1]?.trim() || senderMatch?.[2]?.split('@')[0] || from;
-  const senderEmail = senderMatch?.[2] || from;
-
-  // Get snippet (preview text)
-  const snippet = email.snippet || '';
+  // Sent mail is listed by recipient, like Gmail does
+  const isSent = email.labelIds?.includes('SENT') && !email.labelIds?.includes('INBOX');
+  const recipients = (email.to || []).map(address => address.name).join(', ');
+  const senderName = email.from?.name || email.from?.email || 'Unknown';
+  const senderEmail = email.from?.email || '';
+  const subject = email.subject || '(No Subject)';
 
   const handleClick = (e) => {
     if (e.shiftKey || e.ctrlKey || e.metaKey) {
@@ -125,9 +116,9 @@ export default function EmailCard({
       <div className="flex-1 min-w-0">
         <div className="flex items-center gap-2 mb-1">
           <span className={`font-semibold truncate ${isUnread ? 'text-gray-900' : 'text-gray-700'}`}>
-            {senderName}
+            {isSent ? `To: ${recipients || '(no recipients)'}` : senderName}
           </span>
-          {hasAttachment && (
+          {attachments.length > 0 && (
             <Paperclip className="w-4 h-4 text-gray-400 flex-shrink-0" />
           )}
         </div>
@@ -135,31 +126,44 @@ export default function EmailCard({
           {subject}
         </p>
         <p className="text-sm text-gray-500 truncate">
-          {snippet}
+          {email.snippet}
         </p>
 
-        {/* Labels */}
-        {email.labelIds && email.labelIds.length > 0 && (
+        {/* Attachments & Labels */}
+        {(attachments.length > 0 || email.labels?.length > 0) && (
           <div className="flex items-center gap-1.5 mt-2 flex-wrap">
-            {email.labelIds
-              .filter(id => !['INBOX', 'UNREAD', 'STARRED', 'IMPORTANT', 'SENT', 'DRAFT'].includes(id))
-              .slice(0, 3)
-              .map((labelId) => (
-                <span
-                  key={labelId}
-                  className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full text-xs font-medium"
-                >
-                  {labelId.replace('Label_', '').replace(/_/g, ' ')}
-                </span>
-              ))}
+            {attachments.slice(0, 2).map((attachment) => (
+              <span
+                key={attachment.partId || attachment.id}
+                title={`${attachment.filename} (${formatFileSize(attachment.size)})`}
+                className="flex items-center gap-1 max-w-[12rem] px-2 py-0.5 border border-gray-200 text-gray-600 rounded-full text-xs font-medium"
+              >
+                <Paperclip className="w-3 h-3 flex-shrink-0" />
+                <span className="truncate">{attachment.filename}</span>
+              </span>
+            ))}
+            {attachments.length > 2 && (
+              <span className="text-xs text-gray-500">+{attachments.length - 2}</span>
+            )}
+            {(email.labels || []).slice(0, 3).map((label) => (
+              <span
+                key={label.id}
+                className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full text-xs font-medium"
+              >
+                {label.name}
+              </span>
+            ))}
           </div>
         )}
       </div>
 
       {/* Right Side - Date & Actions */}
       <div className="flex flex-col items-end gap-2 flex-shrink-0">
-        <span className={`text-sm ${isUnread ? 'font-semibold text-blue-600' : 'text-gray-500'}`}>
-          {formatDate(date)}
+        <span
+          title={email.size ? formatFileSize(email.size) : undefined}
+          className={`text-sm ${isUnread ? 'font-semibold text-blue-600' : 'text-gray-500'}`}
+        >
+          {formatDate(email.date)}
         </span>
 
         {/* Hover Actions */}
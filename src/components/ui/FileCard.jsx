@@ -19,6 +19,10 @@ import {
   ExternalLink,
   Copy,
   Info,
+  Users,
+  RotateCcw,
+  Pencil,
+  CopyPlus,
 } from 'lucide-react';
 import { getFileTypeConfig, formatFileSize, formatDate } from '../../utils/theme';
 
@@ -44,6 +48,42 @@ const getFileIcon = (mimeType) => {
   return File;
 };
 
+// Inline name editor; Enter saves, Escape or an unchanged name cancels
+function NameEditor({ file, onSave, onCancel, className }) {
+  const [value, setValue] = useState(file.name);
+
+  const commit = () => {
+    const trimmed = value.trim();
+    if (trimmed && trimmed !== file.name) {
+      onSave(trimmed);
+    } else {
+      onCancel();
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      autoFocus
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onFocus={(e) => {
+        const dot = file.name.lastIndexOf('.');
+        e.target.setSelectionRange(0, dot > 0 ? dot : file.name.length);
+      }}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') onCancel();
+      }}
+      onBlur={commit}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+      className={`w-full px-2 py-0.5 border border-blue-400 rounded-md text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${className}`}
+    />
+  );
+}
+
 export default function FileCard({
   file,
   selected,
@@ -51,17 +91,28 @@ export default function FileCard({
   onOpen,
   onDownload,
   onShare,
+  onManageAccess,
   onDelete,
+  onRestore,
   onToggleStar,
+  onRename,
+  onCopy,
+  onDetails,
   onContextMenu,
   viewMode = 'grid', // 'grid' | 'list'
 }) {
   const [isHovered, setIsHovered] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
 
   const typeConfig = getFileTypeConfig(file.mimeType);
   const FileIcon = getFileIcon(file.mimeType);
   const isFolder = file.mimeType === 'application/vnd.google-apps.folder';
+  // Trashed files can only be restored or deleted forever
+  const inTrash = Boolean(onRestore);
+  // Thumbnail links expire, so fall back to the icon if one fails to load
+  const showThumbnail = Boolean(file.thumbnailLink) && !thumbnailFailed && !isFolder;
 
   const handleClick = (e) => {
     if (e.shiftKey || e.ctrlKey || e.metaKey) {
@@ -80,15 +131,22 @@ export default function FileCard({
     onContextMenu?.(e, file);
   };
 
-  const menuItems = [
+  const menuItems = inTrash ? [
+    { icon: RotateCcw, label: 'Restore', action: () => onRestore(file) },
+    { type: 'divider' },
+    { icon: Trash2, label: 'Delete forever', action: () => onDelete?.(file), danger: true },
+  ] : [
     { icon: ExternalLink, label: 'Open', action: () => onOpen?.(file) },
-    !isFolder && { icon: Download, label: 'Download', action: () => onDownload?.(file) },
+    { icon: Download, label: isFolder ? 'Download as ZIP' : 'Download', action: () => onDownload?.(file) },
     { icon: Share2, label: 'Share', action: () => onShare?.(file) },
+    onManageAccess && { icon: Users, label: 'Manage access', action: () => onManageAccess(file) },
+    onRename && { icon: Pencil, label: 'Rename', action: () => setEditing(true) },
+    onCopy && !isFolder && { icon: CopyPlus, label: 'Make a copy', action: () => onCopy(file) },
     { icon: Copy, label: 'Copy link', action: () => navigator.clipboard.writeText(file.webViewLink) },
     { icon: file.starred ? StarOff : Star, label: file.starred ? 'Remove star' : 'Add star', action: () => onToggleStar?.(file) },
-    { icon: Info, label: 'Details', action: () => {} },
+    onDetails && { icon: Info, label: 'Details', action: () => onDetails(file) },
     { type: 'divider' },
-    { icon: Trash2, label: 'Delete', action: () => onDelete?.(file), danger: true },
+    { icon: Trash2, label: 'Move to trash', action: () => onDelete?.(file), danger: true },
   ].filter(Boolean);
 
   if (viewMode === 'list') {
@@ -140,7 +198,16 @@ export default function FileCard({
 
         {/* Name & Info */}
         <div className="flex-1 min-w-0">
-          <p className="font-medium text-gray-900 truncate">{file.name}</p>
+          {editing ? (
+            <NameEditor
+              file={file}
+              onSave={(name) => { setEditing(false); onRename(file, name); }}
+              onCancel={() => setEditing(false)}
+              className="font-medium"
+            />
+          ) : (
+            <p className="font-medium text-gray-900 truncate">{file.name}</p>
+          )}
           <p className="text-sm text-gray-500">
             {formatDate(file.modifiedTime)}
             {file.size && ` • ${formatFileSize(file.size)}`}
@@ -154,7 +221,16 @@ export default function FileCard({
 
         {/* Actions */}
         <div className={`flex items-center gap-1 transition-opacity ${isHovered ? 'opacity-100' : 'opacity-0'}`}>
-          {!isFolder && (
+          {inTrash && (
+            <button
+              onClick={(e) => { e.stopPropagation(); onRestore(file); }}
+              className="p-2 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+              title="Restore"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          )}
+          {!isFolder && !inTrash && (
             <button
               onClick={(e) => { e.stopPropagation(); onDownload?.(file); }}
               className="p-2 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
@@ -162,12 +238,14 @@ export default function FileCard({
               <Download className="w-4 h-4" />
             </button>
           )}
-          <button
-            onClick={(e) => { e.stopPropagation(); onShare?.(file); }}
-            className="p-2 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
-          >
-            <Share2 className="w-4 h-4" />
-          </button>
+          {!inTrash && (
+            <button
+              onClick={(e) => { e.stopPropagation(); onShare?.(file); }}
+              className="p-2 rounded-lg hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-colors"
+            >
+              <Share2 className="w-4 h-4" />
+            </button>
+          )}
           <div className="relative">
             <button
               onClick={(e) => { e.stopPropagation(); setShowMenu(!showMenu); }}
@@ -243,20 +321,42 @@ export default function FileCard({
         </button>
       </div>
 
-      {/* File Icon */}
-      <div className="flex justify-center mb-4 pt-4">
-        <div
-          className="w-16 h-16 rounded-2xl flex items-center justify-center"
-          style={{ backgroundColor: typeConfig.bg }}
-        >
-          <FileIcon className="w-8 h-8" style={{ color: typeConfig.color }} />
-        </div>
+      {/* Thumbnail or File Icon */}
+      <div className="flex justify-center items-center h-28 mb-4 pt-4">
+        {showThumbnail ? (
+          <img
+            src={file.thumbnailLink}
+            alt=""
+            loading="lazy"
+            referrerPolicy="no-referrer"
+            onError={() => setThumbnailFailed(true)}
+            className="w-full h-24 rounded-xl object-cover bg-gray-50"
+          />
+        ) : (
+          <div
+            className="w-16 h-16 rounded-2xl flex items-center justify-center"
+            style={{ backgroundColor: typeConfig.bg }}
+          >
+            <FileIcon className="w-8 h-8" style={{ color: typeConfig.color }} />
+          </div>
+        )}
       </div>
 
       {/* File Name */}
-      <p className="font-medium text-gray-900 text-center truncate mb-1" title={file.name}>
-        {file.name}
-      </p>
+      {editing ? (
+        <div className="mb-1">
+          <NameEditor
+            file={file}
+            onSave={(name) => { setEditing(false); onRename(file, name); }}
+            onCancel={() => setEditing(false)}
+            className="text-center font-medium"
+          />
+        </div>
+      ) : (
+        <p className="font-medium text-gray-900 text-center truncate mb-1" title={file.name}>
+          {file.name}
+        </p>
+      )}
 
       {/* File Meta */}
       <p className="text-xs text-gray-500 text-center">
@@ -272,7 +372,16 @@ export default function FileCard({
           className="absolute bottom-0 left-0 right-0 p-3 bg-gradient-to-t from-white via-white to-transparent rounded-b-2xl"
         >
           <div className="flex justify-center gap-1">
-            {!isFolder && (
+            {inTrash && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onRestore(file); }}
+                className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors"
+                title="Restore"
+              >
+                <RotateCcw className="w-4 h-4" />
+              </button>
+            )}
+            {!isFolder && !inTrash && (
               <button
                 onClick={(e) => { e.stopPropagation(); onDownload?.(file); }}
                 className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors"
@@ -281,17 +390,19 @@ export default function FileCard({
                 <Download className="w-4 h-4" />
               </button>
             )}
-            <button
-              onClick={(e) => { e.stopPropagation(); onShare?.(file); }}
-              className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors"
-              title="Share"
-            >
-              <Share2 className="w-4 h-4" />
-            </button>
+            {!inTrash && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onShare?.(file); }}
+                className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600 transition-colors"
+                title="Share"
+              >
+                <Share2 className="w-4 h-4" />
+              </button>
+            )}
             <button
               onClick={(e) => { e.stopPropagation(); onDelete?.(file); }}
               className="p-2 rounded-lg bg-gray-100 hover:bg-red-100 text-gray-600 hover:text-red-600 transition-colors"
-              title="Delete"
+              title={inTrash ? 'Delete forever' : 'Move to trash'}
             >
               <Trash2 className="w-4 h-4" />
             </button>
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { Loader2, ChevronDown } from 'lucide-react';
+
+export default function LoadMore({
+  hasMore,
+  loading,
+  onLoadMore,
+  autoLoad = true, // Infinite scroll: load when the sentinel scrolls into view
+  root = null,
+  label = 'Load more',
+}) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    if (!autoLoad || !hasMore || loading || !sentinelRef.current) return;
+    if (typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          onLoadMore?.();
+        }
+      },
+      { root, rootMargin: '400px 0px' }
+    );
+
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [autoLoad, hasMore, loading, onLoadMore, root]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex justify-center py-6">
+      <button
+        onClick={onLoadMore}
+        disabled={loading}
+        className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-600 text-sm font-medium transition-colors disabled:opacity-60"
+      >
+        {loading ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : (
+          <ChevronDown className="w-4 h-4" />
+        )}
+        {loading ? 'Loading...' : label}
+      </button>
+    </div>
+  );
+}
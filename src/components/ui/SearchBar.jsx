@@ -9,7 +9,9 @@ import {
   User,
   ChevronDown,
   Command,
+  HardDrive,
 } from 'lucide-react';
+import { SIZE_FILTERS, countActiveFilters } from '../../utils/driveFilters';
 
 const fileTypeFilters = [
   { value: '', label: 'All Types' },
@@ -28,8 +30,19 @@ const dateFilters = [
   { value: 'week', label: 'This Week' },
   { value: 'month', label: 'This Month' },
   { value: 'year', label: 'This Year' },
+  { value: 'custom', label: 'Custom Range' },
 ];
 
+const ownerFilters = [
+  { value: '', label: 'Anyone' },
+  { value: 'me', label: 'Owned by me' },
+  { value: 'others', label: 'Not owned by me' },
+  { value: 'shared', label: 'Shared with me' },
+  { value: 'email', label: 'Specific person' },
+];
+
+const selectClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
 export default function SearchBar({
   value,
   onChange,
@@ -38,9 +51,13 @@ export default function SearchBar({
   filters = {},
   onFilterChange,
   showFilters = true,
+  renderFilters,
+  filterCount,
 }) {
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [isFocused, setIsFocused] = useState(false);
+  // Owner emails are applied once typed, not on every keystroke
+  const [ownerEmail, setOwnerEmail] = useState(filters.ownerEmail || '');
   const inputRef = useRef(null);
   const filterRef = useRef(null);
 
@@ -78,7 +95,13 @@ export default function SearchBar({
     onSearch?.(value);
   };
 
-  const activeFiltersCount = Object.values(filters).filter(Boolean).length;
+  const activeFiltersCount = filterCount ?? countActiveFilters(filters);
+
+  const applyOwnerEmail = () => {
+    if (ownerEmail !== (filters.ownerEmail || '')) {
+      onFilterChange?.({ ...filters, ownerEmail });
+    }
+  };
 
   return (
     <form onSubmit={handleSubmit} className="relative flex-1 max-w-2xl">
@@ -137,7 +160,7 @@ export default function SearchBar({
               }`}
             >
               <Filter className="w-4 h-4" />
-              <span className="hidden sm:inline">Filters</span>
+              <span className="hidden sm:inline">{renderFilters ? 'Advanced' : 'Filters'}</span>
               {activeFiltersCount > 0 && (
                 <span className="w-5 h-5 bg-blue-500 text-white text-xs rounded-full flex items-center justify-center">
                   {activeFiltersCount}
@@ -154,75 +177,139 @@ export default function SearchBar({
                   animate={{ opacity: 1, y: 0, scale: 1 }}
                   exit={{ opacity: 0, y: 10, scale: 0.95 }}
                   transition={{ duration: 0.15 }}
-                  className="absolute right-0 top-full mt-2 w-72 bg-white rounded-xl border border-gray-200 shadow-xl z-50 p-4"
+                  className={`absolute right-0 top-full mt-2 ${renderFilters ? 'w-96' : 'w-72'} bg-white rounded-xl border border-gray-200 shadow-xl z-50 p-4`}
                 >
-                  <div className="space-y-4">
-                    {/* File Type Filter */}
-                    <div>
-                      <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
-                        <FileType className="w-4 h-4" />
-                        File Type
-                      </label>
-                      <select
-                        value={filters.type || ''}
-                        onChange={(e) => onFilterChange?.({ ...filters, type: e.target.value })}
-                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
-                      >
-                        {fileTypeFilters.map((filter) => (
-                          <option key={filter.value} value={filter.value}>
-                            {filter.label}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
+                  {/* Custom panels replace the Drive filters */}
+                  {renderFilters ? renderFilters(() => setIsFilterOpen(false)) : (
+                    <div className="space-y-4">
+                      {/* File Type Filter */}
+                      <div>
+                        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                          <FileType className="w-4 h-4" />
+                          File Type
+                        </label>
+                        <select
+                          value={filters.type || ''}
+                          onChange={(e) => onFilterChange?.({ ...filters, type: e.target.value })}
+                          className={selectClass}
+                        >
+                          {fileTypeFilters.map((filter) => (
+                            <option key={filter.value} value={filter.value}>
+                              {filter.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
 
-                    {/* Date Filter */}
-                    <div>
-                      <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
-                        <Calendar className="w-4 h-4" />
-                        Modified Date
-                      </label>
-                      <select
-                        value={filters.date || ''}
-                        onChange={(e) => onFilterChange?.({ ...filters, date: e.target.value })}
-                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
-                      >
-                        {dateFilters.map((filter) => (
-                          <option key={filter.value} value={filter.value}>
-                            {filter.label}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
+                      {/* Date Filter */}
+                      <div>
+                        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                          <Calendar className="w-4 h-4" />
+                          Modified Date
+                        </label>
+                        <select
+                          value={filters.date || ''}
+                          onChange={(e) => onFilterChange?.({ ...filters, date: e.target.value })}
+                          className={selectClass}
+                        >
+                          {dateFilters.map((filter) => (
+                            <option key={filter.value} value={filter.value}>
+                              {filter.label}
+                            </option>
+                          ))}
+                        </select>
+                        {filters.date === 'custom' && (
+                          <div className="grid grid-cols-2 gap-2 mt-2">
+                            <input
+                              type="date"
+                              aria-label="From"
+                              value={filters.dateFrom || ''}
+                              max={filters.dateTo || undefined}
+                              onChange={(e) => onFilterChange?.({ ...filters, dateFrom: e.target.value })}
+                              className={selectClass}
+                            />
+                            <input
+                              type="date"
+                              aria-label="To"
+                              value={filters.dateTo || ''}
+                              min={filters.dateFrom || undefined}
+                              onChange={(e) => onFilterChange?.({ ...filters, dateTo: e.target.value })}
+                              className={selectClass}
+                            />
+                          </div>
+                        )}
+                      </div>
 
-                    {/* Owner Filter */}
-                    <div>
-                      <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
-                        <User className="w-4 h-4" />
-                        Owner
-                      </label>
-                      <select
-                        value={filters.owner || ''}
-                        onChange={(e) => onFilterChange?.({ ...filters, owner: e.target.value })}
-                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
-                      >
-                        <option value="">Anyone</option>
-                        <option value="me">Owned by me</option>
-                        <option value="others">Not owned by me</option>
-                      </select>
-                    </div>
+                      {/* Owner Filter */}
+                      <div>
+                        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                          <User className="w-4 h-4" />
+                          Owner
+                        </label>
+                        <select
+                          value={filters.owner || ''}
+                          onChange={(e) => onFilterChange?.({ ...filters, owner: e.target.value })}
+                          className={selectClass}
+                        >
+                          {ownerFilters.map((filter) => (
+                            <option key={filter.value} value={filter.value}>
+                              {filter.label}
+                            </option>
+                          ))}
+                        </select>
+                        {filters.owner === 'email' && (
+                          <input
+                            type="email"
+                            placeholder="owner@example.com"
+                            value={ownerEmail}
+                            onChange={(e) => setOwnerEmail(e.target.value)}
+                            onBlur={applyOwnerEmail}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') {
+                                e.preventDefault();
+                                applyOwnerEmail();
+                              }
+                            }}
+                            className={`${selectClass} mt-2`}
+                          />
+                        )}
+                      </div>
 
-                    {/* Clear Filters */}
-                    {activeFiltersCount > 0 && (
-                      <button
-                        type="button"
-                        onClick={() => onFilterChange?.({})}
-                        className="w-full py-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
-                      >
-                        Clear all filters
-                      </button>
-                    )}
-                  </div>
+                      {/* Size Filter */}
+                      <div>
+                        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                          <HardDrive className="w-4 h-4" />
+                          Size
+                        </label>
+                        <select
+                          value={filters.size || ''}
+                          onChange={(e) => onFilterChange?.({ ...filters, size: e.target.value })}
+                          className={selectClass}
+                        >
+                          <option value="">Any Size</option>
+                          {Object.entries(SIZE_FILTERS).map(([value, filter]) => (
+                            <option key={value} value={value}>
+                              {filter.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      {/* Clear Filters */}
+                      {activeFiltersCount > 0 && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setOwnerEmail('');
+                            onFilterChange?.({});
+                          }}
+                          className="w-full py-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+                        >
+                          Clear all filters
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </motion.div>
               )}
             </AnimatePresence>
@@ -16,13 +16,26 @@ import {
   Inbox,
   Archive,
   Tag,
+  PieChart,
+  Copy,
+  FolderSearch,
+  X,
 } from 'lucide-react';
+import { formatFileSize } from '../../utils/theme';
 
 const driveNavItems = [
   { id: 'all', label: 'All Files', icon: FolderOpen },
   { id: 'recent', label: 'Recent', icon: Clock },
   { id: 'starred', label: 'Starred', icon: Star },
   { id: 'trash', label: 'Trash', icon: Trash2 },
+  { id: 'storage', label: 'Storage', icon: PieChart },
+  { id: 'duplicates', label: 'Duplicates', icon: Copy },
+];
+
+const storageSegments = [
+  { key: 'drive', label: 'Drive', color: 'bg-blue-500' },
+  { key: 'other', label: 'Gmail & Photos', color: 'bg-red-400' },
+  { key: 'trash', label: 'Trash', color: 'bg-gray-400' },
 ];
 
 const gmailNavItems = [
@@ -45,11 +58,16 @@ export default function Sidebar({
   setDarkMode,
   onSignOut,
   userEmail,
-  storageUsed,
-  storageTotal,
+  storage,
+  savedSearches = [],
+  savedSearchCounts = {},
+  activeSearchId,
+  onOpenSearch,
+  onDeleteSearch,
 }) {
   const navItems = activeTab === 'drive' ? driveNavItems : gmailNavItems;
-  const storagePercent = storageTotal ? Math.round((storageUsed / storageTotal) * 100) : 0;
+  const storagePercent = storage?.total ? Math.round((storage.used / storage.total) * 100) : 0;
+  const segmentPercent = (bytes) => (storage?.total ? Math.min(100, ((bytes || 0) / storage.total) * 100) : 0);
 
   return (
     <motion.aside
@@ -139,28 +157,76 @@ export default function Sidebar({
             );
           })}
         </div>
+
+        {/* Saved Searches */}
+        {savedSearches.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-100 space-y-1">
+            {!collapsed && (
+              <p className="px-3 pb-1 text-xs font-medium text-gray-400 uppercase tracking-wide">Saved searches</p>
+            )}
+            {savedSearches.map((search) => {
+              const isActive = activeSearchId === search.id;
+              const count = savedSearchCounts[search.id];
+
+              return (
+                <div key={search.id} className="group relative">
+                  <button
+                    onClick={() => onOpenSearch(search)}
+                    title={search.name}
+                    className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-xl text-sm font-medium transition-all ${
+                      isActive
+                        ? 'bg-blue-50 text-blue-600'
+                        : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                    }`}
+                  >
+                    <FolderSearch className={`w-5 h-5 flex-shrink-0 ${isActive ? 'text-blue-500' : ''}`} />
+                    {!collapsed && (
+                      <>
+                        <span className="flex-1 min-w-0 text-left truncate">{search.name}</span>
+                        {count && (
+                          <span className="text-xs text-gray-400 group-hover:opacity-0">
+                            {count.count.toLocaleString()}{count.more ? '+' : ''}
+                          </span>
+                        )}
+                      </>
+                    )}
+                  </button>
+                  {!collapsed && (
+                    <button
+                      onClick={() => onDeleteSearch(search.id)}
+                      title="Remove saved search"
+                      className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-md text-gray-400 hover:bg-gray-200 hover:text-gray-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
       </nav>
 
       {/* Storage Usage (Drive only) */}
       {activeTab === 'drive' && !collapsed && (
         <div className="px-4 py-3 border-t border-gray-100">
           <div className="text-xs text-gray-500 mb-2">Storage</div>
-          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
-            <motion.div
-              initial={{ width: 0 }}
-              animate={{ width: `${storagePercent}%` }}
-              transition={{ duration: 0.5, ease: 'easeOut' }}
-              className={`h-full rounded-full ${
-                storagePercent > 90
-                  ? 'bg-red-500'
-                  : storagePercent > 70
-                  ? 'bg-yellow-500'
-                  : 'bg-blue-500'
-              }`}
-            />
+          <div
+            className={`h-2 bg-gray-100 rounded-full overflow-hidden flex ${storagePercent > 90 ? 'ring-1 ring-red-400' : ''}`}
+          >
+            {storageSegments.map(segment => (
+              <motion.div
+                key={segment.key}
+                title={`${segment.label}: ${formatFileSize(storage?.[segment.key])}`}
+                initial={{ width: 0 }}
+                animate={{ width: `${segmentPercent(storage?.[segment.key])}%` }}
+                transition={{ duration: 0.5, ease: 'easeOut' }}
+                className={`h-full ${segment.color}`}
+              />
+            ))}
           </div>
-          <div className="text-xs text-gray-500 mt-1">
-            {storagePercent}% used
+          <div className={`text-xs mt-1 ${storagePercent > 90 ? 'text-red-600' : 'text-gray-500'}`}>
+            {formatFileSize(storage?.used)} of {formatFileSize(storage?.total)} used
           </div>
         </div>
       )}
@@ -20,6 +20,7 @@ export default function StatsCards({ stats, type = 'drive' }) {
     {
       label: 'Total Files',
       value: stats?.totalFiles || 0,
+      suffix: stats?.hasMore ? '+' : '',
       icon: FileText,
       color: 'blue',
       bgColor: 'bg-blue-50',
@@ -56,6 +57,7 @@ export default function StatsCards({ stats, type = 'drive' }) {
     {
       label: 'Total Emails',
       value: stats?.totalEmails || 0,
+      suffix: stats?.hasMore ? '+' : '',
       icon: Mail,
       color: 'blue',
       bgColor: 'bg-blue-50',
@@ -112,6 +114,7 @@ export default function StatsCards({ stats, type = 'drive' }) {
                 <p className="text-sm text-gray-500 font-medium">{stat.label}</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">
                   {typeof stat.value === 'number' ? stat.value.toLocaleString() : stat.value}
+                  {stat.suffix}
                 </p>
               </div>
               <div className={`p-3 rounded-xl ${stat.bgColor}`}>
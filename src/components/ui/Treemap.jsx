@@ -0,0 +1,103 @@
+import { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { formatFileSize } from '../../utils/theme';
+
+const WIDTH = 1000;
+const HEIGHT = 500;
+const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#06B6D4', '#EF4444', '#78716C'];
+
+// Worst aspect ratio of a row laid along a side of the given length
+const worstRatio = (row, side) => {
+  const sum = row.reduce((total, item) => total + item.area, 0);
+  const max = Math.max(...row.map(item => item.area));
+  const min = Math.min(...row.map(item => item.area));
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+};
+
+/**
+ * Squarified treemap layout
+ * @param {Array<Object>} items - Items with a positive `bytes` value, largest first
+ * @returns {Array<Object>} - Items with x, y, width and height in layout units
+ */
+const squarify = (items) => {
+  const total = items.reduce((sum, item) => sum + item.bytes, 0);
+  const queue = items.map(item => ({ item, area: (item.bytes / total) * WIDTH * HEIGHT }));
+  const tiles = [];
+  let rect = { x: 0, y: 0, width: WIDTH, height: HEIGHT };
+  let row = [];
+
+  const placeRow = () => {
+    const sum = row.reduce((total, entry) => total + entry.area, 0);
+    if (rect.width >= rect.height) {
+      const width = sum / rect.height;
+      let y = rect.y;
+      row.forEach(({ item, area }) => {
+        tiles.push({ ...item, x: rect.x, y, width, height: area / width });
+        y += area / width;
+      });
+      rect = { ...rect, x: rect.x + width, width: rect.width - width };
+    } else {
+      const height = sum / rect.width;
+      let x = rect.x;
+      row.forEach(({ item, area }) => {
+        tiles.push({ ...item, x, y: rect.y, width: area / height, height });
+        x += area / height;
+      });
+      rect = { ...rect, y: rect.y + height, height: rect.height - height };
+    }
+    row = [];
+  };
+
+  queue.forEach((entry) => {
+    const side = Math.min(rect.width, rect.height);
+    if (row.length > 0 && worstRatio([...row, entry], side) > worstRatio(row, side)) {
+      placeRow();
+    }
+    row.push(entry);
+  });
+  if (row.length > 0) placeRow();
+
+  return tiles;
+};
+
+export default function Treemap({ items, onSelect }) {
+  const tiles = useMemo(() => squarify(items.filter(item => item.bytes > 0)), [items]);
+
+  if (tiles.length === 0) {
+    return (
+      <div className="aspect-[2/1] flex items-center justify-center rounded-xl bg-gray-50 text-sm text-gray-500">
+        Nothing is stored here
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative aspect-[2/1] rounded-xl overflow-hidden bg-gray-50">
+      {tiles.map((tile, index) => {
+        const clickable = Boolean(onSelect && tile.children?.length);
+        return (
+          <motion.button
+            key={tile.id}
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            onClick={() => clickable && onSelect(tile)}
+            title={`${tile.name} • ${formatFileSize(tile.bytes)}`}
+            className={`absolute p-2 border-2 border-white text-left text-white overflow-hidden ${
+              clickable ? 'cursor-pointer hover:brightness-110' : 'cursor-default'
+            }`}
+            style={{
+              left: `${(tile.x / WIDTH) * 100}%`,
+              top: `${(tile.y / HEIGHT) * 100}%`,
+              width: `${(tile.width / WIDTH) * 100}%`,
+              height: `${(tile.height / HEIGHT) * 100}%`,
+              backgroundColor: tile.color || COLORS[index % COLORS.length],
+            }}
+          >
+            <p className="text-xs font-semibold truncate">{tile.name}</p>
+            <p className="text-xs opacity-80 truncate">{formatFileSize(tile.bytes)}</p>
+          </motion.button>
+        );
+      })}
+    </div>
+  );
+}
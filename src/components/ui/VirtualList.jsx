@@ -0,0 +1,133 @@
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+
+// Index of the last item whose top offset is <= position
+const findIndex = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+const defaultGetKey = (item) => item.id;
+
+export default function VirtualList({
+  items,
+  getKey = defaultGetKey,
+  renderItem,
+  estimatedItemHeight = 100,
+  overscan = 6,
+  maxHeight = '70vh',
+  onEndReached,
+  endReachedThreshold = 600,
+  footer,
+  className = '',
+}) {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+  const [heights, setHeights] = useState({});
+
+  // Measure rows as they render so variable-height items stay aligned
+  const getRowObserver = useCallback(() => {
+    if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+      observerRef.current = new ResizeObserver((entries) => {
+        setHeights(prev => {
+          let next = prev;
+          for (const entry of entries) {
+            const key = entry.target.dataset.virtualKey;
+            const height = Math.round(entry.borderBoxSize?.[0]?.blockSize ?? entry.contentRect.height);
+            if (key && height && prev[key] !== height) {
+              if (next === prev) next = { ...prev };
+              next[key] = height;
+            }
+          }
+          return next;
+        });
+      });
+    }
+    return observerRef.current;
+  }, []);
+
+  const measureRow = useCallback((el) => {
+    const observer = el && getRowObserver();
+    if (!observer) return;
+    observer.observe(el);
+    return () => observer.unobserve(el);
+  }, [getRowObserver]);
+
+  // Track the visible height of the scroll container
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+
+    const viewportObserver = new ResizeObserver(() => {
+      setViewportHeight(container.clientHeight);
+    });
+    viewportObserver.observe(container);
+
+    return () => {
+      viewportObserver.disconnect();
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+    };
+  }, []);
+
+  // Top offset of each item plus the total height
+  const { offsets, totalHeight } = useMemo(() => {
+    const result = new Array(items.length);
+    let position = 0;
+    items.forEach((item, index) => {
+      result[index] = position;
+      position += heights[getKey(item)] ?? estimatedItemHeight;
+    });
+    return { offsets: result, totalHeight: position };
+  }, [items, heights, getKey, estimatedItemHeight]);
+
+  const startIndex = items.length ? Math.max(0, findIndex(offsets, scrollTop) - overscan) : 0;
+  const endIndex = items.length
+    ? Math.min(items.length - 1, findIndex(offsets, scrollTop + viewportHeight) + overscan)
+    : -1;
+
+  const paddingTop = items.length ? offsets[startIndex] : 0;
+  const paddingBottom = endIndex >= 0
+    ? totalHeight - (offsets[endIndex] + (heights[getKey(items[endIndex])] ?? estimatedItemHeight))
+    : 0;
+
+  const handleScroll = (e) => {
+    const target = e.currentTarget;
+    setScrollTop(target.scrollTop);
+
+    if (onEndReached && target.scrollHeight - target.scrollTop - target.clientHeight < endReachedThreshold) {
+      onEndReached();
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      className={`overflow-y-auto ${className}`}
+      style={{ maxHeight }}
+    >
+      <div style={{ paddingTop, paddingBottom }}>
+        {items.slice(startIndex, endIndex + 1).map((item, i) => {
+          const key = getKey(item);
+          return (
+            <div key={key} ref={measureRow} data-virtual-key={key}>
+              {renderItem(item, startIndex + i)}
+            </div>
+          );
+        })}
+      </div>
+      {footer}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadRules, saveRules } from '../utils/rulesEngine';
+
+/**
+ * Ordered Drive organization rules, persisted in local storage
+ * @returns {Object} - Rules and editing helpers
+ */
+export default function useDriveRules() {
+  const [rules, setRules] = useState(loadRules);
+
+  useEffect(() => {
+    saveRules(rules);
+  }, [rules]);
+
+  // Insert a new rule at the end, or replace an existing one in place
+  const upsertRule = useCallback((rule) => {
+    setRules(prev => (
+      prev.some(existing => existing.id === rule.id)
+        ? prev.map(existing => (existing.id === rule.id ? rule : existing))
+        : [...prev, rule]
+    ));
+  }, []);
+
+  const deleteRule = useCallback((id) => {
+    setRules(prev => prev.filter(rule => rule.id !== id));
+  }, []);
+
+  const toggleRule = useCallback((id) => {
+    setRules(prev => prev.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+  }, []);
+
+  // Move a rule up (-1) or down (+1) in priority
+  const moveRule = useCallback((id, direction) => {
+    setRules(prev => {
+      const index = prev.findIndex(rule => rule.id === id);
+      const target = index + direction;
+      if (index < 0 || target < 0 || target >= prev.length) return prev;
+
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  return { rules, upsertRule, deleteRule, toggleRule, moveRule };
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { loadSavedSearches, storeSavedSearches, countSavedSearch } from '../utils/savedSearches';
+import { logger } from '../utils/security';
+
+// Counts are refreshed this often while a tab is open
+const COUNT_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Named searches for the signed-in user, persisted in local storage, with live counts
+ * @param {string} userEmail - Signed-in user; nothing is loaded or saved without one
+ * @param {string} activeTab - Tab whose counts are kept fresh
+ * @returns {Object} - Saved searches, counts and editing helpers
+ */
+export default function useSavedSearches(userEmail, activeTab) {
+  // Keyed by user so switching accounts never shows another user's searches
+  const [searchesByUser, setSearchesByUser] = useState({});
+  const [counts, setCounts] = useState({});
+  const searches = useMemo(
+    () => searchesByUser[userEmail] ?? loadSavedSearches(userEmail),
+    [searchesByUser, userEmail]
+  );
+
+  useEffect(() => {
+    if (searchesByUser[userEmail]) {
+      storeSavedSearches(userEmail, searchesByUser[userEmail]);
+    }
+  }, [searchesByUser, userEmail]);
+
+  const updateSearches = useCallback((change) => {
+    setSearchesByUser(prev => ({
+      ...prev,
+      [userEmail]: change(prev[userEmail] ?? loadSavedSearches(userEmail))
+    }));
+  }, [userEmail]);
+
+  const addSearch = useCallback((search) => {
+    updateSearches(prev => [...prev, search]);
+  }, [updateSearches]);
+
+  const deleteSearch = useCallback((id) => {
+    updateSearches(prev => prev.filter(search => search.id !== id));
+  }, [updateSearches]);
+
+  // Count the open tab's searches one at a time to stay inside the rate limits
+  const tabSearches = useMemo(
+    () => searches.filter(search => search.tab === activeTab),
+    [searches, activeTab]
+  );
+
+  useEffect(() => {
+    if (!userEmail || tabSearches.length === 0) return;
+    let cancelled = false;
+
+    const refresh = async () => {
+      for (const search of tabSearches) {
+        if (cancelled) return;
+        try {
+          const result = await countSavedSearch(search);
+          if (!cancelled) setCounts(prev => ({ ...prev, [search.id]: result }));
+        } catch (error) {
+          logger.error('Failed to count saved search', error);
+        }
+      }
+    };
+
+    refresh();
+    const timer = setInterval(refresh, COUNT_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [userEmail, tabSearches]);
+
+  return { searches, counts, addSearch, deleteSearch };
+}
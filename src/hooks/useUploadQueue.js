@@ -0,0 +1,99 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { ResumableUpload, UPLOAD_STATES } from '../utils/uploadApi';
+
+const MAX_CONCURRENT_UPLOADS = 2;
+
+let nextUploadId = 0;
+
+/**
+ * Queue of resumable Drive uploads with per-file progress
+ * Lives above the Drive view so uploads keep running across tab switches
+ * @returns {Object} - Queue items and controls
+ */
+export default function useUploadQueue() {
+  const [items, setItems] = useState([]);
+  const uploadsRef = useRef(new Map());
+  const listenersRef = useRef(new Set());
+
+  // Subscribe to finished uploads; listener receives (file, parentId)
+  const onUploaded = useCallback((listener) => {
+    const listeners = listenersRef.current;
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Add files to the queue, uploading them into parentId
+  const addFiles = useCallback((fileList, parentId) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const newItems = files.map((file) => {
+      const id = ++nextUploadId;
+      const upload = new ResumableUpload(file, {
+        parentId,
+        onProgress: (loaded, total) => {
+          updateItem(id, { loaded, progress: total ? Math.round((loaded / total) * 100) : 100 });
+        },
+        onStateChange: (state, error) => updateItem(id, { state, error }),
+        onComplete: (result) => {
+          listenersRef.current.forEach(listener => listener(result, parentId));
+        },
+      });
+      uploadsRef.current.set(id, upload);
+
+      return {
+        id,
+        name: file.name,
+        size: file.size,
+        parentId,
+        loaded: 0,
+        progress: 0,
+        state: UPLOAD_STATES.QUEUED,
+        error: null,
+      };
+    });
+
+    setItems(prev => [...prev, ...newItems]);
+  }, [updateItem]);
+
+  // Start queued uploads while there are free slots
+  useEffect(() => {
+    const active = items.filter(item => item.state === UPLOAD_STATES.UPLOADING).length;
+    const queued = items.filter(item => item.state === UPLOAD_STATES.QUEUED);
+
+    queued.slice(0, Math.max(0, MAX_CONCURRENT_UPLOADS - active)).forEach((item) => {
+      uploadsRef.current.get(item.id)?.start();
+    });
+  }, [items]);
+
+  const pause = useCallback((id) => uploadsRef.current.get(id)?.pause(), []);
+
+  // Paused and failed uploads go back into the queue and resume from Drive's offset
+  const resume = useCallback((id) => uploadsRef.current.get(id)?.requeue(), []);
+
+  const cancel = useCallback((id) => uploadsRef.current.get(id)?.cancel(), []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter((item) => {
+      const finished = [UPLOAD_STATES.DONE, UPLOAD_STATES.CANCELLED].includes(item.state);
+      if (finished) uploadsRef.current.delete(item.id);
+      return !finished;
+    }));
+  }, []);
+
+  // Cancel anything still running when the app unmounts
+  useEffect(() => {
+    const uploads = uploadsRef.current;
+    return () => {
+      uploads.forEach((upload) => {
+        if (upload.state !== UPLOAD_STATES.DONE) upload.cancel();
+      });
+    };
+  }, []);
+
+  return { items, addFiles, pause, resume, cancel, clearFinished, onUploaded };
+}
@@ -0,0 +1,118 @@
+import { logger, getUserFriendlyError } from './security';
+
+// Drive and Gmail both cap multipart batches at 100 calls
+export const MAX_BATCH_SIZE = 100;
+
+// Status codes worth retrying once after a short pause
+const RETRYABLE_STATUSES = [429, 500, 502, 503];
+const RETRY_DELAY_MS = 1000;
+
+const isSuccess = (status) => status >= 200 && status < 300;
+
+/**
+ * Run one multipart batch request and split the responses per item
+ * @param {Array} entries - Array of { id, item, request }
+ * @param {string} context - Context for error messages
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+const runBatch = async (entries, context) => {
+  const succeeded = [];
+  const failed = [];
+
+  try {
+    const batch = window.gapi.client.newBatch();
+    entries.forEach((entry, index) => {
+      batch.add(entry.request, { id: `item-${index}` });
+    });
+
+    const response = await batch;
+    const results = response.result || {};
+
+    entries.forEach((entry, index) => {
+      const itemResponse = results[`item-${index}`];
+      const status = itemResponse?.status || 0;
+
+      if (isSuccess(status)) {
+        succeeded.push({ ...entry, result: itemResponse.result });
+      } else {
+        failed.push({
+          ...entry,
+          status,
+          error: getUserFriendlyError({
+            status,
+            message: itemResponse?.result?.error?.message || ''
+          }, context)
+        });
+      }
+    });
+  } catch (error) {
+    // The batch request itself failed; every item in it failed with it
+    logger.error('Batch request failed', error);
+    const message = getUserFriendlyError(error, context);
+    entries.forEach(entry => failed.push({ ...entry, status: error.status || 0, error: message }));
+  }
+
+  return { succeeded, failed };
+};
+
+/**
+ * Execute per-item API calls as multipart batch requests
+ * @param {Array} items - Items to process
+ * @param {Function} buildRequest - Builds an unexecuted gapi request for an item
+ * @param {Object} options - Batch options
+ * @param {Function} options.getId - Maps an item to the id reported back
+ * @param {number} options.batchSize - Calls per batch (max 100)
+ * @param {Object} options.limiter - Rate limiter to acquire once per batch
+ * @param {string} options.context - Context for error messages
+ * @param {Function} options.onProgress - Called with { completed, total } after each batch
+ * @returns {Promise<Object>} - { succeeded: [{ id, result }], failed: [{ id, error }] }
+ */
+export const executeBatch = async (items, buildRequest, {
+  getId = (item) => item,
+  batchSize = MAX_BATCH_SIZE,
+  limiter,
+  context = 'Batch operation',
+  onProgress
+} = {}) => {
+  const size = Math.min(Math.max(batchSize, 1), MAX_BATCH_SIZE);
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < items.length; i += size) {
+    const chunk = items.slice(i, i + size);
+
+    if (limiter) {
+      await limiter.acquire('batch');
+    }
+
+    const entries = chunk.map(item => ({ id: getId(item), item, request: buildRequest(item) }));
+    let result = await runBatch(entries, context);
+
+    // Retry throttled or transient failures once
+    const retryable = result.failed.filter(entry => RETRYABLE_STATUSES.includes(entry.status));
+    if (retryable.length > 0) {
+      logger.debug(`Retrying ${retryable.length} batch item(s)`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+
+      const retried = await runBatch(
+        retryable.map(entry => ({ ...entry, request: buildRequest(entry.item) })),
+        context
+      );
+      result = {
+        succeeded: [...result.succeeded, ...retried.succeeded],
+        failed: [
+          ...result.failed.filter(entry => !RETRYABLE_STATUSES.includes(entry.status)),
+          ...retried.failed
+        ]
+      };
+    }
+
+    succeeded.push(...result.succeeded.map(({ id, result: itemResult }) => ({ id, result: itemResult })));
+    failed.push(...result.failed.map(({ id, error }) => ({ id, error })));
+
+    onProgress?.({ completed: Math.min(i + size, items.length), total: items.length });
+  }
+
+  logger.debug(`Batch complete: ${succeeded.length} succeeded, ${failed.length} failed`);
+  return { succeeded, failed };
+};
@@ -1,10 +1,16 @@
 import {
-  sanitizeDriveQuery,
   sanitizeFilename,
+  validateDriveName,
+  validateNumericInput,
+  getAccessToken,
   logger,
   getUserFriendlyError,
-  driveRateLimiter
+  driveRateLimiter,
+  bulkOpLimiter
 } from './security';
+import { executeBatch } from './batchApi';
+import { and, or, term, inCollection, toQueryString, textQuery, usesFullText } from './driveQuery';
+import { ZipArchive } from './zipArchive';
 
 const MIME_TYPES = {
   documents: [
@@ -29,66 +35,170 @@ const MIME_TYPES = {
   ]
 };
 
+const FILE_FIELDS = 'id, name, mimeType, modifiedTime, viewedByMeTime, size, md5Checksum, webViewLink, starred, owners, thumbnailLink, parents';
+
+export const DEFAULT_PAGE_SIZE = 100;
+
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Alias Drive accepts for the user's My Drive root folder
+export const ROOT_FOLDER_ID = 'root';
+
+const isValidId = (id) => typeof id === 'string' && /^[a-zA-Z0-9_-]+$/.test(id);
+
 /**
- * Search files in Google Drive
- * @param {string} query - Search query
- * @returns {Promise<Array>} - Array of files
+ * List one page of files in Google Drive
+ * @param {Object} options - Listing options
+ * @param {Object} options.query - Query node built with driveQuery
+ * @param {string} options.pageToken - Token returned by the previous page
+ * @param {number} options.pageSize - Number of files per page (max 1000)
+ * @param {string} options.orderBy - Drive sort order, e.g. 'folder,name' (ignored for fullText searches)
+ * @param {string} options.parentId - Only list non-trashed children of this folder
+ * @returns {Promise<Object>} - { files, nextPageToken }
  */
-export const searchFiles = async (query = '') => {
+export const listFiles = async ({
+  query = null,
+  pageToken,
+  pageSize = DEFAULT_PAGE_SIZE,
+  orderBy,
+  parentId
+} = {}) => {
   // Rate limiting
   if (!driveRateLimiter.isAllowed('search')) {
     throw new Error('Too many search requests. Please wait a moment.');
   }
 
   try {
-    // Sanitize query to prevent injection
-    const sanitizedQuery = sanitizeDriveQuery(query);
+    if (parentId && !isValidId(parentId)) {
+      throw new Error('Invalid folder ID');
+    }
 
-    logger.debug('Searching files with query:', sanitizedQuery);
+    const fullQuery = and(
+      query,
+      parentId && inCollection(parentId, 'parents'),
+      parentId && term('trashed', '=', false)
+    );
+    const q = toQueryString(fullQuery);
+
+    logger.debug('Listing files with query:', q, pageToken ? '(next page)' : '');
 
     const response = await window.gapi.client.drive.files.list({
-      pageSize: 100,
-      fields: 'files(id, name, mimeType, modifiedTime, size, webViewLink, starred, owners, thumbnailLink)',
-      q: sanitizedQuery || undefined
+      pageSize: Math.min(Math.max(pageSize, 1), 1000),
+      pageToken: pageToken || undefined,
+      // Drive rejects sorting on fullText searches
+      orderBy: (!usesFullText(fullQuery) && orderBy) || undefined,
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      q: q || undefined
     });
 
     const files = response.result.files || [];
-    logger.debug(`Found ${files.length} files`);
+    const nextPageToken = response.result.nextPageToken || null;
+    logger.debug(`Found ${files.length} files${nextPageToken ? ' (more available)' : ''}`);
 
-    return files;
+    return { files, nextPageToken };
   } catch (error) {
-    logger.error('Error searching files', error);
+    logger.error('Error listing files', error);
     throw new Error(getUserFriendlyError(error, 'File search'));
   }
 };
 
+/**
+ * Search files in Google Drive by name or content (first page only)
+ * @param {string} text - Free text to search for
+ * @returns {Promise<Array>} - Array of files
+ */
+export const searchFiles = async (text = '') => {
+  const { files } = await listFiles({ query: textQuery(text) });
+  return files;
+};
+
+/**
+ * List every page of files matching a query
+ * @param {Object} options - Same as listFiles, plus a limit
+ * @param {number} options.limit - Stop after this many files
+ * @returns {Promise<Object>} - { files, truncated }
+ */
+export const listAllFiles = async ({ limit = 10000, ...options } = {}) => {
+  const files = [];
+  let pageToken = null;
+
+  do {
+    const page = await listFiles({ ...options, pageToken, pageSize: 1000 });
+    files.push(...page.files);
+    pageToken = page.nextPageToken;
+  } while (pageToken && files.length < limit);
+
+  return { files: files.slice(0, limit), truncated: Boolean(pageToken) || files.length > limit };
+};
+
+/**
+ * Page through every result of a Drive query with custom fields
+ * @param {Object} query - Query node built with driveQuery
+ * @param {string} fields - File fields to request
+ * @param {Object} options - Crawl options
+ * @param {number} options.limit - Maximum number of files to return
+ * @param {Function} options.onPage - Called with the number of files found so far
+ * @param {AbortSignal} options.signal - Cancels the crawl between pages
+ * @returns {Promise<Object>} - { files, truncated }
+ */
+export const crawlFiles = async (query, fields, { limit = 50000, onPage, signal } = {}) => {
+  const q = toQueryString(query);
+  const files = [];
+  let pageToken = null;
+
+  do {
+    if (signal?.aborted) {
+      throw new DOMException('Crawl cancelled', 'AbortError');
+    }
+    await driveRateLimiter.acquire('search');
+
+    const response = await window.gapi.client.drive.files.list({
+      pageSize: 1000,
+      pageToken: pageToken || undefined,
+      fields: `nextPageToken, files(${fields})`,
+      q: q || undefined
+    });
+
+    files.push(...(response.result.files || []));
+    pageToken = response.result.nextPageToken;
+    onPage?.(files.length);
+  } while (pageToken && files.length < limit);
+
+  return { files: files.slice(0, limit), truncated: Boolean(pageToken) || files.length > limit };
+};
+
 /**
  * Create a folder in Google Drive
  * @param {string} folderName - Name of folder to create
+ * @param {string} parentId - ID of the parent folder (defaults to My Drive)
  * @returns {Promise<Object>} - Created folder object
  */
-export const createFolder = async (folderName) => {
+export const createFolder = async (folderName, parentId) => {
   // Rate limiting
   if (!driveRateLimiter.isAllowed('createFolder')) {
     throw new Error('Too many folder creation requests. Please wait.');
   }
 
   try {
-    // Sanitize folder name
-    const sanitizedName = sanitizeFilename(folderName);
+    const { valid, name, message } = validateDriveName(folderName, 'Folder name');
+
+    if (!valid) {
+      throw new Error(message);
+    }
 
-    if (!sanitizedName) {
-      throw new Error('Invalid folder name');
+    if (parentId && !isValidId(parentId)) {
+      throw new Error('Invalid folder ID');
     }
 
-    logger.debug('Creating folder:', sanitizedName);
+    logger.debug('Creating folder:', name);
 
     const response = await window.gapi.client.drive.files.create({
       resource: {
-        name: sanitizedName,
-        mimeType: 'application/vnd.google-apps.folder'
+        name,
+        mimeType: FOLDER_MIME_TYPE,
+        parents: parentId ? [parentId] : undefined
       },
-      fields: 'id'
+      fields: 'id, name'
     });
 
     return response.result;
@@ -98,6 +208,85 @@ export const createFolder = async (folderName) => {
   }
 };
 
+/**
+ * Find a folder by exact name inside a parent folder
+ * @param {string} folderName - Folder name to look for
+ * @param {string} parentId - ID of the parent folder
+ * @returns {Promise<Object|null>} - Folder object or null if none exists
+ */
+export const findFolder = async (folderName, parentId = ROOT_FOLDER_ID) => {
+  if (!isValidId(parentId)) {
+    throw new Error('Invalid folder ID');
+  }
+
+  await driveRateLimiter.acquire('search');
+
+  try {
+    const response = await window.gapi.client.drive.files.list({
+      pageSize: 1,
+      fields: 'files(id, name)',
+      q: toQueryString(and(
+        term('name', '=', folderName),
+        inCollection(parentId, 'parents'),
+        term('mimeType', '=', FOLDER_MIME_TYPE),
+        term('trashed', '=', false)
+      ))
+    });
+
+    return response.result.files?.[0] || null;
+  } catch (error) {
+    logger.error('Error finding folder', error);
+    throw new Error(getUserFriendlyError(error, 'Folder lookup'));
+  }
+};
+
+/**
+ * Create a slash-separated folder path such as 'Clients/Acme/2026'
+ * Existing folders along the path are reused instead of duplicated
+ * @param {string} path - Slash-separated folder path
+ * @param {string} parentId - ID of the folder the path starts in
+ * @returns {Promise<Object>} - { folder, path: [{ id, name }], created: number }
+ */
+export const createFolderPath = async (path, parentId = ROOT_FOLDER_ID) => {
+  const segments = String(path || '')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  if (segments.length === 0) {
+    throw new Error('Please enter a folder name');
+  }
+
+  // Check every name before creating anything, so a bad segment can't leave half a path behind
+  const invalid = segments.map(segment => validateDriveName(segment, 'Folder name')).find(v => !v.valid);
+  if (invalid) {
+    throw new Error(invalid.message);
+  }
+
+  if (segments.length > 20) {
+    throw new Error('Folder path is too deep. Maximum is 20 levels.');
+  }
+
+  const folders = [];
+  let currentParent = parentId;
+  let created = 0;
+
+  for (const name of segments) {
+    let folder = await findFolder(name, currentParent);
+
+    if (!folder) {
+      folder = await createFolder(name, currentParent);
+      created++;
+    }
+
+    folders.push({ id: folder.id, name: folder.name || name });
+    currentParent = folder.id;
+  }
+
+  logger.debug(`Folder path ready: ${segments.join('/')} (${created} created)`);
+  return { folder: folders[folders.length - 1], path: folders, created };
+};
+
 /**
  * Move file to a folder
  * @param {string} fileId - ID of file to move
@@ -135,153 +324,338 @@ export const moveFileToFolder = async (fileId, folderId) => {
 };
 
 /**
- * Organize files by type into folders
- * @param {number} maxFiles - Maximum number of files to process
- * @returns {Promise<Object>} - Results object with moved and error counts
+ * Rename a file or folder
+ * @param {string} fileId - ID of file to rename
+ * @param {string} newName - New name
+ * @returns {Promise<Object>} - { id, name }
  */
-export const organizeFilesByType = async (maxFiles = 1000) => {
+export const renameFile = async (fileId, newName) => {
+  // Rate limiting
+  if (!driveRateLimiter.isAllowed('rename')) {
+    throw new Error('Too many rename operations. Please wait.');
+  }
+
+  const { valid, name, message } = validateDriveName(newName);
+  if (!valid) {
+    throw new Error(message);
+  }
+
   try {
-    const files = await searchFiles();
+    const response = await window.gapi.client.drive.files.update({
+      fileId,
+      resource: { name },
+      fields: 'id, name'
+    });
+
+    logger.debug('File renamed successfully');
+    return response.result;
+  } catch (error) {
+    logger.error('Error renaming file', error);
+    throw new Error(getUserFriendlyError(error, 'File rename'));
+  }
+};
+
+/**
+ * Make a copy of a file
+ * Drive can't copy folders, so callers should only pass files.
+ * @param {Object} file - Drive file to copy
+ * @param {Object} options - { name, parentId }; defaults to "Copy of <name>" next to the original
+ * @returns {Promise<Object>} - The new file
+ */
+export const copyFile = async (file, { name, parentId } = {}) => {
+  // Rate limiting
+  if (!driveRateLimiter.isAllowed('copy')) {
+    throw new Error('Too many copy operations. Please wait.');
+  }
+
+  if (file.mimeType === FOLDER_MIME_TYPE) {
+    throw new Error('Folders cannot be copied');
+  }
+
+  const copyName = validateDriveName(name || `Copy of ${file.name}`);
+  if (!copyName.valid) {
+    throw new Error(copyName.message);
+  }
+
+  const resource = { name: copyName.name };
+  if (parentId) {
+    resource.parents = [parentId];
+  }
+
+  try {
+    const response = await window.gapi.client.drive.files.copy({
+      fileId: file.id,
+      resource,
+      fields: FILE_FIELDS
+    });
+
+    logger.debug('File copied successfully');
+    return response.result;
+  } catch (error) {
+    logger.error('Error copying file', error);
+    throw new Error(getUserFriendlyError(error, 'File copy'));
+  }
+};
+
+/**
+ * Rename many files using multipart batch requests
+ * @param {Array<Object>} renames - [{ id, name }]
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - { renamed, errors, total, renamedIds, failed }
+ */
+export const renameFiles = async (renames, onProgress) => {
+  const validations = renames.map(({ id, name }) => [id, validateDriveName(name)]);
+  const invalid = validations.find(([, validation]) => !validation.valid);
+  if (invalid) {
+    throw new Error(invalid[1].message);
+  }
+
+  const names = new Map(validations.map(([id, validation]) => [id, validation.name]));
+
+  const { succeeded, failed } = await runFileBatch(
+    [...names.keys()],
+    (fileId) => window.gapi.client.drive.files.update({ fileId, resource: { name: names.get(fileId) }, fields: 'id, name' }),
+    'Rename',
+    onProgress
+  );
+
+  return {
+    renamed: succeeded.length,
+    errors: failed.length,
+    total: names.size,
+    renamedIds: succeeded.map(item => item.id),
+    failed
+  };
+};
+
+const getTypeFolderName = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+const getFileType = (mimeType) => (
+  Object.keys(MIME_TYPES).find(type => MIME_TYPES[type].includes(mimeType)) || null
+);
+
+/**
+ * Plan how files in a folder would be organized by type, without changing anything
+ * Existing type folders (e.g. 'Documents') are reused instead of created again
+ * @param {Object} options - Plan options
+ * @param {string} options.parentId - Folder whose files are organized (defaults to My Drive)
+ * @param {number} options.maxFiles - Maximum number of files to move in one run
+ * @returns {Promise<Object>} - { parentId, groups: [{ type, folderName, folderId, files }], total, skipped }
+ */
+export const planOrganizeByType = async ({ parentId = ROOT_FOLDER_ID, maxFiles = 1000 } = {}) => {
+  try {
+    const groups = {};
+    let skipped = 0;
+    const { files } = await listAllFiles({ parentId });
+
+    files.forEach((file) => {
+      if (file.mimeType === FOLDER_MIME_TYPE) return;
+
+      const type = getFileType(file.mimeType);
+      if (!type) {
+        skipped++;
+        return;
+      }
+
+      if (!groups[type]) {
+        groups[type] = { type, folderName: getTypeFolderName(type), folderId: null, files: [] };
+      }
+      groups[type].files.push(file);
+    });
+
+    const total = Object.values(groups).reduce((sum, group) => sum + group.files.length, 0);
 
     // Safety check: Don't process too many files at once
-    if (files.length > maxFiles) {
-      throw new Error(`Too many files (${files.length}). Maximum is ${maxFiles} per operation. Please organize in smaller batches.`);
+    if (total > maxFiles) {
+      throw new Error(`Too many files (${total}). Maximum is ${maxFiles} per operation. Please organize in smaller batches.`);
     }
 
-    logger.debug(`Organizing ${files.length} files by type`);
-
-    const folders = {};
-    const results = { moved: 0, errors: 0 };
-
-    // Process files in batches to avoid overwhelming the API
-    const batchSize = 10;
-
-    for (let i = 0; i < files.length; i += batchSize) {
-      const batch = files.slice(i, i + batchSize);
-
-      await Promise.all(batch.map(async (file) => {
-        for (const [type, mimeTypes] of Object.entries(MIME_TYPES)) {
-          if (mimeTypes.includes(file.mimeType)) {
-            try {
-              // Create folder if doesn't exist
-              if (!folders[type]) {
-                const folderName = type.charAt(0).toUpperCase() + type.slice(1);
-                const folder = await createFolder(folderName);
-                folders[type] = folder.id;
-              }
-
-              // Move file to folder
-              await moveFileToFolder(file.id, folders[type]);
-              results.moved++;
-            } catch (error) {
-              logger.error(`Failed to organize file: ${file.name}`, error);
-              results.errors++;
-            }
-            break; // File organized, move to next
-          }
-        }
-      }));
+    // Reuse target folders that already exist
+    for (const group of Object.values(groups)) {
+      const existing = await findFolder(group.folderName, parentId);
+      group.folderId = existing?.id || null;
     }
 
-    logger.debug(`Organization complete: ${results.moved} moved, ${results.errors} errors`);
-    return results;
+    logger.debug(`Organize plan: ${total} files in ${Object.keys(groups).length} groups, ${skipped} skipped`);
+    return { parentId, groups: Object.values(groups), total, skipped };
   } catch (error) {
-    logger.error('Error organizing files', error);
+    logger.error('Error planning organization', error);
     throw new Error(getUserFriendlyError(error, 'File organization'));
   }
 };
 
 /**
- * Delete files older than specified days
- * @param {number} daysOld - Age threshold in days
- * @returns {Promise<Object>} - Results with deleted count
+ * Execute a plan from planOrganizeByType
+ * @param {Object} plan - Plan to execute
+ * @param {Function} onProgress - Called with { completed, total } after each batch
+ * @returns {Promise<Object>} - { moved, errors, failed, undo }; pass undo to undoOrganize
  */
-export const deleteOldFiles = async (daysOld = 365) => {
+export const executeOrganizePlan = async (plan, onProgress) => {
+  const createdFolderIds = [];
+  const folderIds = {};
+
   try {
-    // Validate input
-    if (daysOld < 1 || daysOld > 3650) {
-      throw new Error('Invalid age threshold. Must be between 1 and 3650 days.');
+    for (const group of plan.groups) {
+      if (group.folderId) {
+        folderIds[group.type] = group.folderId;
+      } else {
+        const folder = await createFolder(group.folderName, plan.parentId);
+        folderIds[group.type] = folder.id;
+        createdFolderIds.push(folder.id);
+      }
     }
+  } catch (error) {
+    logger.error('Error creating organize folders', error);
+    throw new Error(getUserFriendlyError(error, 'File organization'));
+  }
 
-    logger.debug(`Deleting files older than ${daysOld} days`);
+  const moves = plan.groups.flatMap(group => group.files.map(file => ({
+    fileId: file.id,
+    name: file.name,
+    fromParents: file.parents || [],
+    toParent: folderIds[group.type]
+  })));
 
-    const dateThreshold = new Date();
-    dateThreshold.setDate(dateThreshold.getDate() - daysOld);
-    const isoDate = dateThreshold.toISOString();
+  const { succeeded, failed } = await executeBatch(
+    moves,
+    (move) => window.gapi.client.drive.files.update({
+      fileId: move.fileId,
+      addParents: move.toParent,
+      removeParents: move.fromParents.join(',') || undefined,
+      fields: 'id, parents'
+    }),
+    {
+      getId: (move) => move.fileId,
+      limiter: driveRateLimiter,
+      context: 'File move',
+      onProgress
+    }
+  );
 
-    // Sanitize the date query (even though we control it)
-    const query = sanitizeDriveQuery(`modifiedTime < '${isoDate}' and trashed = false`);
+  const movedIds = new Set(succeeded.map(({ id }) => id));
+  logger.debug(`Organization complete: ${succeeded.length} moved, ${failed.length} errors`);
 
-    const response = await window.gapi.client.drive.files.list({
-      pageSize: 100,
-      fields: 'files(id, name, modifiedTime)',
-      q: query
-    });
+  return {
+    moved: succeeded.length,
+    errors: failed.length,
+    failed,
+    undo: {
+      moves: moves.filter(move => movedIds.has(move.fileId)),
+      createdFolderIds
+    }
+  };
+};
 
-    const files = response.result.files || [];
-    logger.debug(`Found ${files.length} old files to delete`);
+/**
+ * Undo an organize run: move files back to their original parents and
+ * trash the folders the run created if they are empty again
+ * @param {Object} undo - Undo record returned by executeOrganizePlan
+ * @param {Function} onProgress - Called with { completed, total } after each batch
+ * @returns {Promise<Object>} - { restored, errors, failed }
+ */
+export const undoOrganize = async (undo, onProgress) => {
+  const { succeeded, failed } = await executeBatch(
+    undo.moves,
+    (move) => window.gapi.client.drive.files.update({
+      fileId: move.fileId,
+      addParents: move.fromParents.join(',') || undefined,
+      removeParents: move.toParent,
+      fields: 'id, parents'
+    }),
+    {
+      getId: (move) => move.fileId,
+      limiter: driveRateLimiter,
+      context: 'File restore',
+      onProgress
+    }
+  );
 
-    // Safety check
-    if (files.length > 1000) {
-      throw new Error(`Too many files to delete (${files.length}). Please delete in smaller batches.`);
+  for (const folderId of undo.createdFolderIds) {
+    try {
+      const { files } = await listFiles({ parentId: folderId, pageSize: 1 });
+      if (files.length === 0) {
+        await window.gapi.client.drive.files.update({ fileId: folderId, resource: { trashed: true } });
+      }
+    } catch (error) {
+      logger.error('Failed to remove organize folder', error);
     }
+  }
 
-    let deleted = 0;
-    let errors = 0;
+  logger.debug(`Undo complete: ${succeeded.length} restored, ${failed.length} errors`);
+  return { restored: succeeded.length, errors: failed.length, failed };
+};
 
-    // Delete files with rate limiting
-    for (const file of files) {
-      // Wait if rate limit reached
-      while (!driveRateLimiter.isAllowed('delete')) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+/**
+ * Organize files in a folder by type into type folders
+ * @param {number} maxFiles - Maximum number of files to process
+ * @param {string} parentId - Folder to organize (defaults to My Drive)
+ * @returns {Promise<Object>} - Results object with moved and error counts, plus an undo record
+ */
+export const organizeFilesByType = async (maxFiles = 1000, parentId = ROOT_FOLDER_ID) => {
+  const plan = await planOrganizeByType({ parentId, maxFiles });
+  return executeOrganizePlan(plan);
+};
 
-      try {
-        await window.gapi.client.drive.files.delete({
-          fileId: file.id
-        });
-        deleted++;
-        logger.debug(`Deleted file: ${file.name}`);
-      } catch (error) {
-        logger.error(`Failed to delete file: ${file.name}`, error);
-        errors++;
-      }
-    }
+/**
+ * Roles that can be granted when sharing
+ */
+export const SHARE_ROLES = ['reader', 'commenter', 'writer'];
 
-    logger.debug(`Deletion complete: ${deleted} deleted, ${errors} errors`);
-    return { deleted, errors, total: files.length };
-  } catch (error) {
-    logger.error('Error deleting old files', error);
-    throw new Error(getUserFriendlyError(error, 'File deletion'));
+const PERMISSION_FIELDS = 'id, type, role, emailAddress, domain, displayName, photoLink, allowFileDiscovery';
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const validateRole = (role) => {
+  if (!SHARE_ROLES.includes(role)) {
+    throw new Error('Invalid sharing role');
   }
 };
 
 /**
- * Share file with a user via email
+ * Create a permission on a file
  * @param {string} fileId - ID of file to share
- * @param {string} email - Email address to share with
- * @returns {Promise<void>}
+ * @param {Object} permission - Permission to create
+ * @param {string} permission.type - 'user', 'domain' or 'anyone'
+ * @param {string} permission.role - 'reader', 'commenter' or 'writer'
+ * @param {string} permission.emailAddress - Email address for 'user' permissions
+ * @param {string} permission.domain - Domain for 'domain' permissions
+ * @returns {Promise<Object>} - Created permission
  */
-export const shareFile = async (fileId, email) => {
+export const createPermission = async (fileId, { type, role = 'reader', emailAddress, domain }) => {
   // Rate limiting
   if (!driveRateLimiter.isAllowed('share')) {
     throw new Error('Too many share operations. Please wait.');
   }
 
-  try {
+  validateRole(role);
+
+  const resource = { type, role };
+  if (type === 'user') {
     // Email should already be validated and sanitized by caller
-    logger.debug(`Sharing file ${fileId} with ${email}`);
+    resource.emailAddress = emailAddress;
+  } else if (type === 'domain') {
+    if (!DOMAIN_PATTERN.test(domain || '')) {
+      throw new Error('Invalid domain');
+    }
+    resource.domain = domain.toLowerCase();
+  } else if (type === 'anyone') {
+    // Link sharing only; don't make the file searchable
+    resource.allowFileDiscovery = false;
+  } else {
+    throw new Error('Invalid sharing type');
+  }
+
+  try {
+    logger.debug(`Sharing file ${fileId} with ${type} as ${role}`);
 
-    await window.gapi.client.drive.permissions.create({
+    const response = await window.gapi.client.drive.permissions.create({
       fileId: fileId,
-      resource: {
-        type: 'user',
-        role: 'reader',
-        emailAddress: email
-      }
+      resource,
+      fields: PERMISSION_FIELDS
     });
 
     logger.debug('File shared successfully');
+    return response.result;
   } catch (error) {
     logger.error('Error sharing file', error);
     throw new Error(getUserFriendlyError(error, 'File sharing'));
@@ -289,48 +663,384 @@ export const shareFile = async (fileId, email) => {
 };
 
 /**
- * Download a file from Google Drive
- * @param {string} fileId - ID of file to download
- * @param {string} fileName - Name for downloaded file
+ * Share file with a user via email
+ * @param {string} fileId - ID of file to share
+ * @param {string} email - Email address to share with
+ * @param {string} role - 'reader', 'commenter' or 'writer'
+ * @returns {Promise<Object>} - Created permission
+ */
+export const shareFile = (fileId, email, role = 'reader') => (
+  createPermission(fileId, { type: 'user', role, emailAddress: email })
+);
+
+/**
+ * List who has access to a file
+ * @param {string} fileId - ID of file
+ * @returns {Promise<Array>} - Permissions
+ */
+export const listPermissions = async (fileId) => {
+  await driveRateLimiter.acquire('permissions');
+
+  try {
+    const response = await window.gapi.client.drive.permissions.list({
+      fileId: fileId,
+      fields: `permissions(${PERMISSION_FIELDS})`
+    });
+
+    return response.result.permissions || [];
+  } catch (error) {
+    logger.error('Error listing permissions', error);
+    throw new Error(getUserFriendlyError(error, 'Loading permissions'));
+  }
+};
+
+/**
+ * Change the role of an existing permission
+ * @param {string} fileId - ID of file
+ * @param {string} permissionId - ID of permission
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - Updated permission
+ */
+export const updatePermission = async (fileId, permissionId, role) => {
+  validateRole(role);
+  await driveRateLimiter.acquire('permissions');
+
+  try {
+    const response = await window.gapi.client.drive.permissions.update({
+      fileId: fileId,
+      permissionId: permissionId,
+      resource: { role },
+      fields: PERMISSION_FIELDS
+    });
+
+    return response.result;
+  } catch (error) {
+    logger.error('Error updating permission', error);
+    throw new Error(getUserFriendlyError(error, 'Permission update'));
+  }
+};
+
+/**
+ * Revoke a permission
+ * @param {string} fileId - ID of file
+ * @param {string} permissionId - ID of permission
  * @returns {Promise<void>}
  */
-export const downloadFile = async (fileId, fileName) => {
+export const deletePermission = async (fileId, permissionId) => {
+  await driveRateLimiter.acquire('permissions');
+
+  try {
+    await window.gapi.client.drive.permissions.delete({
+      fileId: fileId,
+      permissionId: permissionId
+    });
+  } catch (error) {
+    logger.error('Error revoking permission', error);
+    throw new Error(getUserFriendlyError(error, 'Revoking access'));
+  }
+};
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const GOOGLE_APPS_PREFIX = 'application/vnd.google-apps.';
+
+// Above this size, stream straight to disk when the browser supports it
+const STREAM_TO_DISK_THRESHOLD = 100 * 1024 * 1024;
+
+/**
+ * Export formats for native Google Workspace files, default first
+ */
+export const EXPORT_FORMATS = {
+  'application/vnd.google-apps.document': [
+    { label: 'PDF', mimeType: 'application/pdf', extension: 'pdf' },
+    { label: 'Word (DOCX)', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    { label: 'Markdown', mimeType: 'text/markdown', extension: 'md' },
+    { label: 'Plain text', mimeType: 'text/plain', extension: 'txt' },
+    { label: 'OpenDocument (ODT)', mimeType: 'application/vnd.oasis.opendocument.text', extension: 'odt' }
+  ],
+  'application/vnd.google-apps.spreadsheet': [
+    { label: 'Excel (XLSX)', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    { label: 'PDF', mimeType: 'application/pdf', extension: 'pdf' },
+    { label: 'CSV (first sheet)', mimeType: 'text/csv', extension: 'csv' },
+    { label: 'OpenDocument (ODS)', mimeType: 'application/vnd.oasis.opendocument.spreadsheet', extension: 'ods' }
+  ],
+  'application/vnd.google-apps.presentation': [
+    { label: 'PowerPoint (PPTX)', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx' },
+    { label: 'PDF', mimeType: 'application/pdf', extension: 'pdf' },
+    { label: 'Plain text', mimeType: 'text/plain', extension: 'txt' }
+  ],
+  'application/vnd.google-apps.drawing': [
+    { label: 'PDF', mimeType: 'application/pdf', extension: 'pdf' },
+    { label: 'PNG', mimeType: 'image/png', extension: 'png' },
+    { label: 'SVG', mimeType: 'image/svg+xml', extension: 'svg' }
+  ],
+  'application/vnd.google-apps.script': [
+    { label: 'JSON', mimeType: 'application/vnd.google-apps.script+json', extension: 'json' }
+  ]
+};
+
+/**
+ * Check whether a file is a native Google Workspace file (Docs, Sheets, ...)
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean}
+ */
+export const isGoogleWorkspaceFile = (mimeType) => Boolean(mimeType?.startsWith(GOOGLE_APPS_PREFIX));
+
+/**
+ * Get the export formats available for a file type
+ * @param {string} mimeType - File MIME type
+ * @returns {Array} - Formats ({ label, mimeType, extension }), empty for binary files
+ */
+export const getExportFormats = (mimeType) => EXPORT_FORMATS[mimeType] || [];
+
+/**
+ * Resolve how a file will be downloaded
+ * @param {Object} file - Drive file ({ id, name, mimeType })
+ * @param {string} exportMimeType - Preferred export format for native files
+ * @returns {Object} - { format, fileName }; format is null for binary files
+ */
+export const resolveDownload = (file, exportMimeType) => {
+  let format = null;
+
+  if (isGoogleWorkspaceFile(file.mimeType)) {
+    const formats = getExportFormats(file.mimeType);
+    format = formats.find(f => f.mimeType === exportMimeType) || formats[0];
+    if (!format) {
+      throw new Error('This type of Google file can\'t be downloaded');
+    }
+  }
+
+  let fileName = sanitizeFilename(file.name);
+  if (format && !fileName.toLowerCase().endsWith(`.${format.extension}`)) {
+    fileName = `${fileName}.${format.extension}`;
+  }
+
+  return { format, fileName };
+};
+
+// Error code for native files over Drive's export size limit; their message is already user-facing
+export const EXPORT_TOO_LARGE = 'EXPORT_TOO_LARGE';
+
+/**
+ * Fetch a file's content, exporting native Google files
+ * The response body is left unread so callers can stream it
+ * @param {string} fileId - ID of file
+ * @param {string} exportMimeType - Export format, for native Google files
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<Response>} - Fetch response
+ */
+export const fetchFileContent = async (fileId, exportMimeType, signal) => {
+  if (!isValidId(fileId)) {
+    throw new Error('Invalid file ID');
+  }
+
+  const url = exportMimeType
+    ? `${DRIVE_FILES_URL}/${fileId}/export?mimeType=${encodeURIComponent(exportMimeType)}`
+    : `${DRIVE_FILES_URL}/${fileId}?alt=media`;
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${getAccessToken()}` },
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const reason = body.error?.errors?.[0]?.reason;
+
+    if (reason === 'exportSizeLimitExceeded') {
+      throw Object.assign(
+        new Error('This file is too large to export. Open it in Google Drive to download it.'),
+        { code: EXPORT_TOO_LARGE }
+      );
+    }
+    throw Object.assign(new Error(body.error?.message || 'Download failed'), { status: response.status });
+  }
+
+  return response;
+};
+
+/**
+ * Save a blob through a temporary link
+ * @param {Blob} blob - Content to save
+ * @param {string} fileName - Suggested file name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+
+  // Cleanup once the browser has picked up the download
+  document.body.removeChild(a);
+  setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Download a file from Google Drive
+ * Native Google files are exported; large binaries stream to disk when supported
+ * @param {Object} file - Drive file ({ id, name, mimeType, size })
+ * @param {Object} options - Download options
+ * @param {string} options.exportMimeType - Export format for native Google files
+ * @returns {Promise<string|null>} - Saved file name, or null if the user cancelled
+ */
+export const downloadFile = async (file, { exportMimeType } = {}) => {
   // Rate limiting
   if (!driveRateLimiter.isAllowed('download')) {
     throw new Error('Too many download requests. Please wait.');
   }
 
-  try {
-    // Sanitize filename to prevent XSS
-    const safeFileName = sanitizeFilename(fileName);
+  const { format, fileName } = resolveDownload(file, exportMimeType);
 
-    logger.debug(`Downloading file: ${safeFileName}`);
+  try {
+    logger.debug(`Downloading file: ${fileName}`);
 
-    const response = await window.gapi.client.drive.files.get({
-      fileId: fileId,
-      alt: 'media'
-    });
+    // Ask for a save location first, while the click still counts as user activation
+    let fileHandle = null;
+    if (!format && Number(file.size) > STREAM_TO_DISK_THRESHOLD && window.showSaveFilePicker) {
+      try {
+        fileHandle = await window.showSaveFilePicker({ suggestedName: fileName });
+      } catch (error) {
+        if (error.name === 'AbortError') return null;
+        throw error;
+      }
+    }
 
-    // Create blob and download
-    const blob = new Blob([response.body], { type: 'application/octet-stream' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = safeFileName;
-    document.body.appendChild(a);
-    a.click();
+    const response = await fetchFileContent(file.id, format?.mimeType);
 
-    // Cleanup
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
+    if (fileHandle) {
+      const writable = await fileHandle.createWritable();
+      await response.body.pipeTo(writable);
+    } else {
+      const blob = await response.blob();
+      const type = format?.mimeType || file.mimeType || blob.type || 'application/octet-stream';
+      saveBlob(blob.type === type ? blob : new Blob([blob], { type }), fileName);
+    }
 
     logger.debug('File downloaded successfully');
+    return fileName;
   } catch (error) {
     logger.error('Error downloading file', error);
+    if (error.code === EXPORT_TOO_LARGE) throw error;
     throw new Error(getUserFriendlyError(error, 'File download'));
   }
 };
 
+const MAX_ZIP_ENTRIES = 65535;
+
+/**
+ * Expand files and folders into a flat list of files with archive paths
+ * @param {Array} items - Drive files and folders
+ * @param {string} prefix - Path prefix inside the archive
+ * @param {AbortSignal} signal - Stops the walk when aborted
+ * @returns {Promise<Array>} - [{ file, path }]
+ */
+const collectZipEntries = async (items, prefix = '', signal) => {
+  const entries = [];
+  const usedNames = new Set();
+
+  // Drive allows duplicate names in a folder; ZIP paths must be unique
+  const uniquePath = (name) => {
+    let candidate = name;
+    let counter = 1;
+    while (usedNames.has(candidate.toLowerCase())) {
+      const dot = name.lastIndexOf('.');
+      candidate = dot > 0
+        ? `${name.slice(0, dot)} (${counter})${name.slice(dot)}`
+        : `${name} (${counter})`;
+      counter++;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return `${prefix}${candidate}`;
+  };
+
+  for (const item of items) {
+    if (signal?.aborted) break;
+
+    if (item.mimeType === FOLDER_MIME_TYPE) {
+      const { files: children } = await listAllFiles({ parentId: item.id, limit: MAX_ZIP_ENTRIES });
+      const folderPath = uniquePath(sanitizeFilename(item.name));
+      entries.push(...await collectZipEntries(children, `${folderPath}/`, signal));
+    } else {
+      let name;
+      try {
+        name = resolveDownload(item).fileName;
+      } catch {
+        name = sanitizeFilename(item.name);
+      }
+      entries.push({ file: item, path: uniquePath(name) });
+    }
+
+    if (entries.length > MAX_ZIP_ENTRIES) {
+      throw new Error(`Too many files. Maximum is ${MAX_ZIP_ENTRIES} per archive.`);
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Download files and folders as one ZIP archive, keeping folder structure
+ * Native Google files are exported in their default format
+ * @param {Array} items - Drive files and folders
+ * @param {Object} options - Download options
+ * @param {string} options.archiveName - Name of the ZIP file, without extension
+ * @param {Function} options.onProgress - Called with { completed, total, current }
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @returns {Promise<Object>} - { fileName, added, total, failed: [{ path, error }], cancelled }
+ */
+export const downloadAsZip = async (items, { archiveName = 'drive-download', onProgress, signal } = {}) => {
+  if (!bulkOpLimiter.isAllowed('zip')) {
+    throw new Error('Too many bulk downloads. Please wait a minute.');
+  }
+
+  let entries;
+  try {
+    entries = await collectZipEntries(items, '', signal);
+  } catch (error) {
+    logger.error('Error listing files for archive', error);
+    throw new Error(error.status ? getUserFriendlyError(error, 'Download') : error.message);
+  }
+
+  const zip = new ZipArchive();
+  const failed = [];
+  let added = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    if (signal?.aborted) break;
+
+    const { file, path } = entries[i];
+    onProgress?.({ completed: i, total: entries.length, current: path });
+
+    try {
+      await driveRateLimiter.acquire('download');
+      const { format } = resolveDownload(file);
+      const response = await fetchFileContent(file.id, format?.mimeType, signal);
+      await zip.addFile(path, await response.blob(), file.modifiedTime ? new Date(file.modifiedTime) : new Date());
+      added++;
+    } catch (error) {
+      if (signal?.aborted) break;
+      logger.error(`Failed to add ${path} to archive`, error);
+      if (error.fatal) throw error;
+      failed.push({ path, error: error.status ? getUserFriendlyError(error, 'Download') : error.message });
+    }
+  }
+
+  onProgress?.({ completed: entries.length, total: entries.length, current: null });
+
+  const fileName = `${sanitizeFilename(archiveName)}.zip`;
+  if (signal?.aborted) {
+    return { fileName, added, total: entries.length, failed, cancelled: true };
+  }
+
+  if (added > 0) {
+    saveBlob(zip.toBlob(), fileName);
+  }
+
+  logger.debug(`Archive complete: ${added} added, ${failed.length} failed`);
+  return { fileName, added, total: entries.length, failed, cancelled: false };
+};
+
 /**
  * Format file size for display
  * @param {number} bytes - Size in bytes
@@ -348,42 +1058,460 @@ export const formatFileSize = (bytes) => {
 };
 
 /**
- * Delete multiple files
- * @param {Array<string>} fileIds - Array of file IDs to delete
- * @returns {Promise<Object>} - Results with deleted count
+ * Run a per-file batch call with the usual safety checks
+ * @param {Array<string>} fileIds - File IDs
+ * @param {Function} buildRequest - Builds the gapi request for one file ID
+ * @param {string} context - Context for error messages
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - { succeeded, failed }
  */
-export const deleteFiles = async (fileIds) => {
+const runFileBatch = async (fileIds, buildRequest, context, onProgress) => {
   if (!Array.isArray(fileIds) || fileIds.length === 0) {
-    throw new Error('No files specified for deletion');
+    throw new Error('No files specified');
   }
 
   // Safety check
-  if (fileIds.length > 100) {
-    throw new Error('Too many files to delete at once. Maximum is 100.');
+  if (fileIds.length > 1000) {
+    throw new Error('Too many files at once. Maximum is 1000.');
   }
 
-  logger.debug(`Deleting ${fileIds.length} files`);
+  const { succeeded, failed } = await executeBatch(
+    fileIds,
+    buildRequest,
+    { limiter: driveRateLimiter, context, onProgress }
+  );
 
-  let deleted = 0;
-  let errors = 0;
+  failed.forEach(({ id, error }) => logger.error(`${context} failed for file: ${id}`, error));
+  logger.debug(`${context} complete: ${succeeded.length} succeeded, ${failed.length} errors`);
 
-  for (const fileId of fileIds) {
-    // Wait if rate limit reached
-    while (!driveRateLimiter.isAllowed('delete')) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+  return { succeeded, failed };
+};
 
-    try {
-      await window.gapi.client.drive.files.delete({
-        fileId: fileId
+/**
+ * Move files to the trash using multipart batch requests
+ * Trashed files can be restored until Drive purges them after 30 days
+ * @param {Array<string>} fileIds - Array of file IDs to trash
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - Results with trashed count, trashed ids and failed items
+ */
+export const trashFiles = async (fileIds, onProgress) => {
+  logger.debug(`Trashing ${fileIds?.length} files`);
+
+  const { succeeded, failed } = await runFileBatch(
+    fileIds,
+    (fileId) => window.gapi.client.drive.files.update({ fileId, resource: { trashed: true }, fields: 'id' }),
+    'Move to trash',
+    onProgress
+  );
+
+  return {
+    trashed: succeeded.length,
+    errors: failed.length,
+    total: fileIds.length,
+    trashedIds: succeeded.map(item => item.id),
+    failed
+  };
+};
+
+/**
+ * Restore files from the trash
+ * @param {Array<string>} fileIds - Array of file IDs to restore
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - Results with restored count, restored ids and failed items
+ */
+export const restoreFiles = async (fileIds, onProgress) => {
+  logger.debug(`Restoring ${fileIds?.length} files`);
+
+  const { succeeded, failed } = await runFileBatch(
+    fileIds,
+    (fileId) => window.gapi.client.drive.files.update({ fileId, resource: { trashed: false }, fields: 'id' }),
+    'Restore',
+    onProgress
+  );
+
+  return {
+    restored: succeeded.length,
+    errors: failed.length,
+    total: fileIds.length,
+    restoredIds: succeeded.map(item => item.id),
+    failed
+  };
+};
+
+/**
+ * Permanently delete files, skipping the trash. This cannot be undone.
+ * @param {Array<string>} fileIds - Array of file IDs to delete
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - Results with deleted count, deleted ids and failed items
+ */
+export const deleteFilesPermanently = async (fileIds, onProgress) => {
+  logger.debug(`Permanently deleting ${fileIds?.length} files`);
+
+  const { succeeded, failed } = await runFileBatch(
+    fileIds,
+    (fileId) => window.gapi.client.drive.files.delete({ fileId }),
+    'File deletion',
+    onProgress
+  );
+
+  return {
+    deleted: succeeded.length,
+    errors: failed.length,
+    total: fileIds.length,
+    deletedIds: succeeded.map(item => item.id),
+    failed
+  };
+};
+
+/**
+ * Permanently delete everything in the trash. This cannot be undone.
+ * @returns {Promise<void>}
+ */
+export const emptyTrash = async () => {
+  if (!bulkOpLimiter.isAllowed('emptyTrash')) {
+    throw new Error('Too many bulk operations. Please wait a minute.');
+  }
+
+  try {
+    logger.debug('Emptying trash');
+    await window.gapi.client.drive.files.emptyTrash({});
+  } catch (error) {
+    logger.error('Error emptying trash', error);
+    throw new Error(getUserFriendlyError(error, 'Empty trash'));
+  }
+};
+
+/**
+ * File type groups offered by the cleanup wizard
+ */
+export const CLEANUP_FILE_TYPES = {
+  images: { label: 'Images', prefix: 'image/' },
+  videos: { label: 'Videos', prefix: 'video/' },
+  audio: { label: 'Audio', prefix: 'audio/' },
+  pdf: { label: 'PDFs', mimeTypes: ['application/pdf'] },
+  documents: { label: 'Documents', mimeTypes: MIME_TYPES.documents.filter(type => type !== 'application/pdf') },
+  spreadsheets: { label: 'Spreadsheets', mimeTypes: MIME_TYPES.spreadsheets },
+  archives: {
+    label: 'Archives',
+    mimeTypes: ['application/zip', 'application/x-zip-compressed', 'application/x-rar-compressed', 'application/x-7z-compressed', 'application/gzip', 'application/x-tar']
+  }
+};
+
+const CLEANUP_FIELDS = 'id, name, mimeType, modifiedTime, viewedByMeTime, size, quotaBytesUsed, ownedByMe, owners, webViewLink, parents';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find files that are candidates for cleanup, paging through every match
+ * @param {Object} filters - Cleanup filters
+ * @param {number} filters.olderThanDays - Only files not modified for this many days
+ * @param {number} filters.minSizeMB - Only files at least this large (native Google files have no size)
+ * @param {string} filters.type - Key of CLEANUP_FILE_TYPES, or empty for all types
+ * @param {boolean} filters.ownedByMe - Only files the user owns (the only ones that count against quota)
+ * @param {number} filters.notViewedDays - Only files the user hasn't opened for this many days
+ * @param {number} filters.limit - Maximum number of candidates to return
+ * @returns {Promise<Object>} - { files, totalBytes, truncated }
+ */
+export const findCleanupCandidates = async ({
+  olderThanDays = 365,
+  minSizeMB = 0,
+  type = '',
+  ownedByMe = true,
+  notViewedDays = 0,
+  limit = 5000
+} = {}) => {
+  const days = validateNumericInput(olderThanDays, 0, 3650, 365);
+  const minBytes = Math.max(0, Number(minSizeMB) || 0) * 1024 * 1024;
+  const viewedDays = validateNumericInput(notViewedDays, 0, 3650, 0);
+
+  const fileType = CLEANUP_FILE_TYPES[type];
+  const query = toQueryString(and(
+    term('trashed', '=', false),
+    term('mimeType', '!=', FOLDER_MIME_TYPE),
+    days > 0 && term('modifiedTime', '<', new Date(Date.now() - days * DAY_MS)),
+    ownedByMe && inCollection('me', 'owners'),
+    fileType?.prefix && term('mimeType', 'contains', fileType.prefix),
+    fileType?.mimeTypes && or(...fileType.mimeTypes.map(mime => term('mimeType', '=', mime)))
+  ));
+
+  const viewedBefore = viewedDays > 0 ? Date.now() - viewedDays * DAY_MS : null;
+  const files = [];
+  let pageToken = null;
+
+  try {
+    do {
+      await driveRateLimiter.acquire('search');
+
+      const response = await window.gapi.client.drive.files.list({
+        pageSize: 1000,
+        pageToken: pageToken || undefined,
+        orderBy: 'quotaBytesUsed desc',
+        fields: `nextPageToken, files(${CLEANUP_FIELDS})`,
+        q: query
       });
-      deleted++;
-    } catch (error) {
-      logger.error(`Failed to delete file: ${fileId}`, error);
-      errors++;
+
+      (response.result.files || []).forEach((file) => {
+        const bytes = Number(file.quotaBytesUsed || file.size || 0);
+        if (minBytes > 0 && bytes < minBytes) return;
+
+        // Files never opened have no viewedByMeTime and always qualify
+        if (viewedBefore && file.viewedByMeTime && new Date(file.viewedByMeTime).getTime() > viewedBefore) return;
+
+        files.push({ ...file, bytes });
+      });
+
+      pageToken = response.result.nextPageToken;
+    } while (pageToken && files.length < limit);
+  } catch (error) {
+    logger.error('Error finding cleanup candidates', error);
+    throw new Error(getUserFriendlyError(error, 'File search'));
+  }
+
+  const candidates = files.slice(0, limit);
+  const totalBytes = candidates.reduce((sum, file) => sum + file.bytes, 0);
+
+  logger.debug(`Found ${candidates.length} cleanup candidates (${totalBytes} bytes)`);
+  return { files: candidates, totalBytes, truncated: Boolean(pageToken) || files.length > limit };
+};
+
+/**
+ * Move any number of files to the trash, 1000 at a time
+ * @param {Array<string>} fileIds - File IDs
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - Combined trashFiles results
+ */
+export const trashFilesInChunks = async (fileIds, onProgress) => {
+  const result = { trashed: 0, errors: 0, total: fileIds.length, trashedIds: [], failed: [] };
+
+  for (let i = 0; i < fileIds.length; i += 1000) {
+    const chunk = fileIds.slice(i, i + 1000);
+    const chunkResult = await trashFiles(chunk, ({ completed }) => {
+      onProgress?.({ completed: i + completed, total: fileIds.length });
+    });
+
+    result.trashed += chunkResult.trashed;
+    result.errors += chunkResult.errors;
+    result.trashedIds.push(...chunkResult.trashedIds);
+    result.failed.push(...chunkResult.failed);
+  }
+
+  return result;
+};
+
+/**
+ * Move files older than specified days to the trash
+ * Only files the user owns are included, since only those use their quota
+ * @param {number} daysOld - Age threshold in days
+ * @returns {Promise<Object>} - Results with trashed count
+ */
+export const deleteOldFiles = async (daysOld = 365) => {
+  // Validate input
+  if (daysOld < 1 || daysOld > 3650) {
+    throw new Error('Invalid age threshold. Must be between 1 and 3650 days.');
+  }
+
+  logger.debug(`Trashing files older than ${daysOld} days`);
+
+  const { files } = await findCleanupCandidates({ olderThanDays: daysOld, ownedByMe: true });
+  if (files.length === 0) {
+    return { trashed: 0, errors: 0, total: 0, failed: [] };
+  }
+
+  const { trashed, errors, failed } = await trashFilesInChunks(files.map(file => file.id));
+  return { trashed, errors, total: files.length, failed };
+};
+
+const DETAILS_FIELDS = 'id, name, mimeType, description, size, quotaBytesUsed, md5Checksum, createdTime, modifiedTime, viewedByMeTime, owners(displayName, emailAddress, photoLink), lastModifyingUser(displayName, emailAddress), parents, webViewLink, starred, shared, capabilities(canEdit, canShare, canReadRevisions)';
+const REVISION_FIELDS = 'id, mimeType, modifiedTime, size, keepForever, originalFilename, lastModifyingUser(displayName, emailAddress)';
+const UPLOAD_FILES_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const MAX_DESCRIPTION_LENGTH = 4000;
+const MAX_PATH_DEPTH = 20;
+
+/**
+ * Get full metadata for a file, including its folder path
+ * @param {string} fileId - ID of file
+ * @returns {Promise<Object>} - File metadata with path: [{ id, name }] from the top folder down
+ */
+export const getFileDetails = async (fileId) => {
+  try {
+    await driveRateLimiter.acquire('details');
+
+    const [response, rootResponse] = await Promise.all([
+      window.gapi.client.drive.files.get({ fileId, fields: DETAILS_FIELDS }),
+      window.gapi.client.drive.files.get({ fileId: ROOT_FOLDER_ID, fields: 'id' })
+    ]);
+    const file = response.result;
+    const rootId = rootResponse.result.id;
+
+    // Walk up the parents; stops at folders the user can't see.
+    // Shared drives and other people's folders keep their own names at the top.
+    const path = [];
+    let parentId = file.parents?.[0];
+    while (parentId && path.length < MAX_PATH_DEPTH) {
+      try {
+        const parent = await window.gapi.client.drive.files.get({ fileId: parentId, fields: 'id, name, parents' });
+        path.unshift({ id: parent.result.id, name: parent.result.id === rootId ? 'My Drive' : parent.result.name });
+        parentId = parent.result.parents?.[0];
+      } catch {
+        break;
+      }
     }
+
+    return { ...file, path };
+  } catch (error) {
+    logger.error('Error getting file details', error);
+    throw new Error(getUserFriendlyError(error, 'File details'));
   }
+};
 
-  logger.debug(`Deletion complete: ${deleted} deleted, ${errors} errors`);
-  return { deleted, errors, total: fileIds.length };
+/**
+ * Update a file's description
+ * @param {string} fileId - ID of file
+ * @param {string} description - New description (empty to clear)
+ * @returns {Promise<string>} - Saved description
+ */
+export const updateFileDescription = async (fileId, description) => {
+  if (!driveRateLimiter.isAllowed('updateDescription')) {
+    throw new Error('Too many updates. Please wait.');
+  }
+
+  const value = String(description || '').trim();
+  if (value.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(`Description is too long. Maximum is ${MAX_DESCRIPTION_LENGTH} characters.`);
+  }
+
+  try {
+    const response = await window.gapi.client.drive.files.update({
+      fileId,
+      resource: { description: value },
+      fields: 'id, description'
+    });
+    return response.result.description || '';
+  } catch (error) {
+    logger.error('Error updating description', error);
+    throw new Error(getUserFriendlyError(error, 'Description update'));
+  }
+};
+
+/**
+ * List a file's revisions, newest first
+ * @param {string} fileId - ID of file
+ * @returns {Promise<Array>} - Revisions
+ */
+export const listRevisions = async (fileId) => {
+  try {
+    await driveRateLimiter.acquire('revisions');
+
+    const revisions = [];
+    let pageToken = null;
+    do {
+      const response = await window.gapi.client.drive.revisions.list({
+        fileId,
+        pageSize: 200,
+        pageToken: pageToken || undefined,
+        fields: `nextPageToken, revisions(${REVISION_FIELDS})`
+      });
+      revisions.push(...(response.result.revisions || []));
+      pageToken = response.result.nextPageToken;
+    } while (pageToken);
+
+    return revisions.reverse();
+  } catch (error) {
+    logger.error('Error listing revisions', error);
+    throw new Error(getUserFriendlyError(error, 'Version history'));
+  }
+};
+
+/**
+ * Fetch the content of one revision
+ * Only binary files: Drive serves native Google file revisions through export
+ * links on docs.google.com, which the app can't call.
+ * @param {Object} file - Drive file
+ * @param {Object} revision - Revision from listRevisions
+ * @returns {Promise<Blob>} - Revision content
+ */
+const fetchRevisionContent = async (file, revision) => {
+  if (!isValidId(file.id)) {
+    throw new Error('Invalid file ID');
+  }
+  if (isGoogleWorkspaceFile(file.mimeType)) {
+    throw new Error('Open the file in Google Drive to download versions of Google Docs, Sheets and Slides');
+  }
+
+  const url = `${DRIVE_FILES_URL}/${file.id}/revisions/${encodeURIComponent(revision.id)}?alt=media`;
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${getAccessToken()}` } });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(body.error?.message || 'Download failed'), { status: response.status });
+  }
+
+  return response.blob();
+};
+
+/**
+ * Download an old revision of a file
+ * @param {Object} file - Drive file
+ * @param {Object} revision - Revision from listRevisions
+ * @returns {Promise<string>} - Saved file name
+ */
+export const downloadRevision = async (file, revision) => {
+  if (!driveRateLimiter.isAllowed('download')) {
+    throw new Error('Too many download requests. Please wait.');
+  }
+
+  try {
+    const blob = await fetchRevisionContent(file, revision);
+    const { fileName } = resolveDownload({ ...file, name: revision.originalFilename || file.name });
+
+    // Tag the name with the revision date so it doesn't overwrite the current version
+    const stamp = new Date(revision.modifiedTime).toISOString().slice(0, 16).replace('T', ' ').replace(':', '-');
+    const dot = fileName.lastIndexOf('.');
+    const datedName = dot > 0
+      ? `${fileName.slice(0, dot)} (${stamp})${fileName.slice(dot)}`
+      : `${fileName} (${stamp})`;
+
+    saveBlob(blob, datedName);
+    return datedName;
+  } catch (error) {
+    logger.error('Error downloading revision', error);
+    throw new Error(error.status ? getUserFriendlyError(error, 'Download') : error.message);
+  }
+};
+
+/**
+ * Restore an old revision by uploading its content as the newest revision
+ * Drive has no API to restore native Google file revisions, so only binary files are supported.
+ * @param {Object} file - Drive file
+ * @param {Object} revision - Revision from listRevisions
+ * @returns {Promise<Object>} - Updated file ({ id, name, modifiedTime, size })
+ */
+export const restoreRevision = async (file, revision) => {
+  if (isGoogleWorkspaceFile(file.mimeType)) {
+    throw new Error('Open the file in Google Drive to restore versions of Google Docs, Sheets and Slides');
+  }
+  if (!driveRateLimiter.isAllowed('restoreRevision')) {
+    throw new Error('Too many restore requests. Please wait.');
+  }
+
+  try {
+    const blob = await fetchRevisionContent(file, revision);
+
+    const response = await fetch(`${UPLOAD_FILES_URL}/${file.id}?uploadType=media&fields=id,name,modifiedTime,size`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${getAccessToken()}`,
+        'Content-Type': revision.mimeType || file.mimeType
+      },
+      body: blob
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(body.error?.message || 'Restore failed'), { status: response.status });
+    }
+
+    logger.debug('Revision restored');
+    return response.json();
+  } catch (error) {
+    logger.error('Error restoring revision', error);
+    throw new Error(error.status ? getUserFriendlyError(error, 'Restore') : error.message);
+  }
 };
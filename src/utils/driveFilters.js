@@ -0,0 +1,134 @@
+import { validateEmail } from './security';
+import { and, term, inCollection, flag, not, textQuery } from './driveQuery';
+import { recentQuery } from './recentFiles';
+
+const MB = 1024 * 1024;
+
+// Drive's query language has no size term, so size filters run on the loaded files
+export const SIZE_FILTERS = {
+  small: { label: 'Under 1 MB', max: MB },
+  medium: { label: '1 MB – 100 MB', min: MB, max: 100 * MB },
+  large: { label: '100 MB – 1 GB', min: 100 * MB, max: 1024 * MB },
+  huge: { label: 'Over 1 GB', min: 1024 * MB }
+};
+
+// Filter keys that count as active in the UI; dateFrom/dateTo/ownerEmail refine these
+export const FILTER_KEYS = ['type', 'date', 'owner', 'size'];
+
+const MIME_FILTER_PATTERN = /^[a-z0-9.+-]+\/[a-z0-9.+-]*$/i;
+const DATE_INPUT_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date input value (YYYY-MM-DD) as local midnight
+ * @param {string} value - Date input value
+ * @returns {Date|null}
+ */
+const parseDateInput = (value) => {
+  if (!value || !DATE_INPUT_PATTERN.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Work out the modified-time range a date filter covers
+ * @param {Object} filters - SearchBar filters
+ * @param {Date} now - Current time
+ * @returns {Object} - { from, to } Dates, either may be null
+ */
+export const getDateRange = (filters, now = new Date()) => {
+  // Built from calendar fields so daylight saving changes don't shift days
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  switch (filters.date) {
+    case 'today':
+      return { from: today, to: null };
+    case 'week':
+      return { from: new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay()), to: null };
+    case 'month':
+      return { from: new Date(today.getFullYear(), today.getMonth(), 1), to: null };
+    case 'year':
+      return { from: new Date(today.getFullYear(), 0, 1), to: null };
+    case 'custom': {
+      const from = parseDateInput(filters.dateFrom);
+      const to = parseDateInput(filters.dateTo);
+      // The end date is inclusive, so the range runs to the start of the next day
+      return { from, to: to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1) : null };
+    }
+    default:
+      return { from: null, to: null };
+  }
+};
+
+/**
+ * Turn SearchBar filters into a Drive query
+ * @param {Object} filters - { type, date, dateFrom, dateTo, owner, ownerEmail }
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Query node, or null when no filter applies
+ */
+export const buildFilterQuery = (filters = {}, now = new Date()) => {
+  let typeQuery = null;
+  if (filters.type && MIME_FILTER_PATTERN.test(filters.type)) {
+    // "image/" style values match a whole family of types
+    typeQuery = term('mimeType', filters.type.endsWith('/') ? 'contains' : '=', filters.type);
+  }
+
+  const { from, to } = getDateRange(filters, now);
+
+  let ownerQuery = null;
+  if (filters.owner === 'me') {
+    ownerQuery = inCollection('me', 'owners');
+  } else if (filters.owner === 'others') {
+    ownerQuery = not(inCollection('me', 'owners'));
+  } else if (filters.owner === 'shared') {
+    ownerQuery = flag('sharedWithMe');
+  } else if (filters.owner === 'email' && validateEmail(filters.ownerEmail)) {
+    ownerQuery = inCollection(filters.ownerEmail.trim(), 'owners');
+  }
+
+  return and(
+    typeQuery,
+    from && term('modifiedTime', '>=', from),
+    to && term('modifiedTime', '<', to),
+    ownerQuery
+  );
+};
+
+/**
+ * Build the full Drive query for a section, free text and filters
+ * @param {Object} options - Search options
+ * @param {string} options.section - Drive section id: all, recent, starred or trash
+ * @param {string} options.text - Free text
+ * @param {Object} options.filters - SearchBar filters
+ * @param {number} options.recentDays - Window for the Recent section
+ * @returns {Object} - Query node
+ */
+export const buildDriveSearchQuery = ({ section, text = '', filters = {}, recentDays }) => and(
+  section === 'recent' ? recentQuery(recentDays) : term('trashed', '=', section === 'trash'),
+  section === 'starred' && term('starred', '=', true),
+  textQuery(text),
+  buildFilterQuery(filters)
+);
+
+/**
+ * Check a file against the size filter
+ * Files without a size (folders, Google Docs) never match a size filter.
+ * @param {Object} file - Drive file
+ * @param {string} size - Key of SIZE_FILTERS
+ * @returns {boolean}
+ */
+export const matchesSizeFilter = (file, size) => {
+  const range = SIZE_FILTERS[size];
+  if (!range) return true;
+  if (!file.size) return false;
+
+  const bytes = Number(file.size);
+  return (range.min === undefined || bytes >= range.min) && (range.max === undefined || bytes < range.max);
+};
+
+/**
+ * Count the filters that are switched on
+ * @param {Object} filters - SearchBar filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters = {}) => FILTER_KEYS.filter(key => filters[key]).length;
@@ -0,0 +1,203 @@
+/**
+ * Drive query builder
+ *
+ * Queries are built as small trees of plain objects and only turned into a
+ * Drive `q` string by toQueryString, which validates every field and operator
+ * and escapes every value. User text never becomes query syntax.
+ */
+
+const MAX_VALUE_LENGTH = 1000;
+const MAX_TEXT_TERMS = 20;
+
+const STRING_OPERATORS = ['contains', '=', '!='];
+const DATE_OPERATORS = ['<', '<=', '=', '!=', '>', '>='];
+const BOOLEAN_OPERATORS = ['=', '!='];
+
+// Fields Drive can query, and what kind of value each takes
+const FIELDS = {
+  name: { type: 'string', operators: STRING_OPERATORS },
+  fullText: { type: 'string', operators: ['contains'] },
+  mimeType: { type: 'string', operators: STRING_OPERATORS },
+  modifiedTime: { type: 'date', operators: DATE_OPERATORS },
+  viewedByMeTime: { type: 'date', operators: DATE_OPERATORS },
+  createdTime: { type: 'date', operators: DATE_OPERATORS },
+  trashed: { type: 'boolean', operators: BOOLEAN_OPERATORS },
+  starred: { type: 'boolean', operators: BOOLEAN_OPERATORS },
+  parents: { type: 'collection' },
+  owners: { type: 'collection' },
+  writers: { type: 'collection' },
+  readers: { type: 'collection' },
+  sharedWithMe: { type: 'flag' }
+};
+
+/**
+ * Escape a value for use inside a quoted Drive query string
+ * @param {string} value - Raw value
+ * @returns {string} - Value with backslashes and quotes escaped
+ */
+export const escapeQueryValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+// Drop empty children and merge nested groups of the same kind
+const group = (type, children) => {
+  const flat = children
+    .filter(Boolean)
+    .flatMap(child => (child.type === type ? child.children : [child]));
+
+  if (flat.length === 0) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+};
+
+/**
+ * Match files where every child matches; empty children are ignored
+ * @param {...Object} children - Query nodes (null/false are skipped)
+ * @returns {Object|null} - Query node, or null if nothing is left
+ */
+export const and = (...children) => group('and', children);
+
+/**
+ * Match files where any child matches; empty children are ignored
+ * @param {...Object} children - Query nodes (null/false are skipped)
+ * @returns {Object|null} - Query node, or null if nothing is left
+ */
+export const or = (...children) => group('or', children);
+
+/**
+ * Match files the child doesn't match
+ * @param {Object} child - Query node
+ * @returns {Object|null} - Query node
+ */
+export const not = (child) => (child ? { type: 'not', child } : null);
+
+/**
+ * Compare a field with a value, e.g. term('name', 'contains', 'report')
+ * @param {string} field - Drive field
+ * @param {string} operator - Comparison operator
+ * @param {string|Date|boolean} value - Value to compare with
+ * @returns {Object} - Query node
+ */
+export const term = (field, operator, value) => ({ type: 'term', field, operator, value });
+
+/**
+ * Match files whose collection field holds a value, e.g. inCollection('me', 'owners')
+ * @param {string} value - Folder ID or email address ('me' for the current user)
+ * @param {string} field - parents, owners, writers or readers
+ * @returns {Object} - Query node
+ */
+export const inCollection = (value, field) => ({ type: 'in', field, value });
+
+/**
+ * Match files where a boolean-only field is set, e.g. flag('sharedWithMe')
+ * @param {string} field - Drive field
+ * @returns {Object} - Query node
+ */
+export const flag = (field) => ({ type: 'flag', field });
+
+/**
+ * Split free text into words and "quoted phrases"
+ * @param {string} text - Free text
+ * @returns {Array<Object>} - [{ value, phrase }]
+ */
+const tokenizeText = (text) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text.slice(0, MAX_VALUE_LENGTH))) !== null) {
+    const value = (match[1] ?? match[2]).trim();
+    if (value) tokens.push({ value, phrase: match[1] !== undefined });
+  }
+
+  return tokens.slice(0, MAX_TEXT_TERMS);
+};
+
+/**
+ * Turn free text into a query: every word or "quoted phrase" must appear in
+ * the file's name or content
+ * @param {string} text - Free text as typed by the user
+ * @param {Object} options - Text options
+ * @param {boolean} options.fullText - Also search content; false matches names only
+ * @returns {Object|null} - Query node, or null for blank text
+ */
+export const textQuery = (text = '', { fullText = true } = {}) => and(
+  ...tokenizeText(String(text)).map(({ value, phrase }) => or(
+    term('name', 'contains', value),
+    // fullText treats a double-quoted value as an exact phrase
+    fullText && term('fullText', 'contains', phrase ? `"${value.replace(/"/g, '')}"` : value)
+  ))
+);
+
+const serializeValue = (field, type, value) => {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+        throw new Error(`Invalid query value for ${field}`);
+      }
+      return `'${escapeQueryValue(value)}'`;
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid query date for ${field}`);
+      }
+      return `'${date.toISOString()}'`;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`Invalid query value for ${field}`);
+      }
+      return String(value);
+    default:
+      throw new Error(`Field ${field} can't be compared`);
+  }
+};
+
+const serialize = (node, nested) => {
+  switch (node?.type) {
+    case 'and':
+    case 'or': {
+      const text = node.children.map(child => serialize(child, true)).join(` ${node.type} `);
+      return nested ? `(${text})` : text;
+    }
+    case 'not':
+      return `not ${serialize(node.child, true)}`;
+    case 'term': {
+      const field = FIELDS[node.field];
+      if (!field?.operators?.includes(node.operator)) {
+        throw new Error(`Unsupported query: ${node.field} ${node.operator}`);
+      }
+      return `${node.field} ${node.operator} ${serializeValue(node.field, field.type, node.value)}`;
+    }
+    case 'in':
+      if (FIELDS[node.field]?.type !== 'collection' || typeof node.value !== 'string' || !node.value) {
+        throw new Error(`Unsupported query: ${node.field}`);
+      }
+      return `'${escapeQueryValue(node.value)}' in ${node.field}`;
+    case 'flag':
+      if (FIELDS[node.field]?.type !== 'flag') {
+        throw new Error(`Unsupported query: ${node.field}`);
+      }
+      return node.field;
+    default:
+      throw new Error('Invalid query');
+  }
+};
+
+/**
+ * Turn a query tree into a Drive `q` string
+ * @param {Object|null} node - Query node
+ * @returns {string} - Drive query, empty for no query
+ */
+export const toQueryString = (node) => (node ? serialize(node, false) : '');
+
+/**
+ * Check whether a query searches file content
+ * Drive can't sort fullText results, so callers drop orderBy for these.
+ * @param {Object|null} node - Query node
+ * @returns {boolean}
+ */
+export const usesFullText = (node) => {
+  if (!node) return false;
+  if (node.type === 'and' || node.type === 'or') return node.children.some(usesFullText);
+  if (node.type === 'not') return usesFullText(node.child);
+  return node.type === 'term' && node.field === 'fullText';
+};
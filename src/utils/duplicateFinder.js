@@ -0,0 +1,131 @@
+import { logger, getUserFriendlyError } from './security';
+import { crawlFiles, isGoogleWorkspaceFile, FOLDER_MIME_TYPE } from './driveApi';
+import { and, term, inCollection } from './driveQuery';
+
+const DUPLICATE_FIELDS = 'id, name, mimeType, md5Checksum, size, quotaBytesUsed, createdTime, modifiedTime, parents, owners(displayName, emailAddress), ownedByMe, capabilities(canTrash), webViewLink';
+
+export const DUPLICATE_STRATEGIES = [
+  { id: 'keep-newest', label: 'Keep the newest copy' },
+  { id: 'keep-oldest', label: 'Keep the oldest copy' },
+  { id: 'keep-in-folder', label: 'Keep the copy in a folder' },
+];
+
+/**
+ * Key that identical files share
+ * Binary files are matched by checksum; native Google files have none, so they
+ * are matched by type, name and size instead. Those are only candidates: the
+ * size is usually 0, so unrelated files with the same name share a key.
+ * @param {Object} file - Drive file
+ * @returns {string|null} - Group key, or null if the file can't be matched
+ */
+const getDuplicateKey = (file) => {
+  if (file.md5Checksum) {
+    return `md5:${file.md5Checksum}:${file.size || 0}`;
+  }
+  if (isGoogleWorkspaceFile(file.mimeType) && file.name) {
+    return `name:${file.mimeType}:${file.name.trim().toLowerCase()}:${file.quotaBytesUsed || file.size || 0}`;
+  }
+  return null;
+};
+
+const byNewest = (a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime);
+const byOldest = (a, b) => new Date(a.createdTime || a.modifiedTime) - new Date(b.createdTime || b.modifiedTime);
+
+/**
+ * Crawl Drive and group duplicate files
+ * @param {Object} options - Scan options
+ * @param {boolean} options.ownedByMe - Only compare files the user owns
+ * @param {number} options.limit - Maximum number of files to scan
+ * @param {Function} options.onProgress - Called with { phase, scanned }
+ * @param {AbortSignal} options.signal - Cancels the scan
+ * @returns {Promise<Object>} - { groups, folders, scanned, wastedBytes, truncated }
+ */
+export const findDuplicates = async ({ ownedByMe = false, limit = 50000, onProgress, signal } = {}) => {
+  try {
+    const query = and(
+      term('trashed', '=', false),
+      term('mimeType', '!=', FOLDER_MIME_TYPE),
+      ownedByMe && inCollection('me', 'owners')
+    );
+
+    const fileResult = await crawlFiles(query, DUPLICATE_FIELDS, {
+      limit,
+      signal,
+      onPage: scanned => onProgress?.({ phase: 'files', scanned })
+    });
+
+    const buckets = new Map();
+    fileResult.files.forEach((file) => {
+      const key = getDuplicateKey(file);
+      if (!key) return;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push({ ...file, bytes: Number(file.quotaBytesUsed || file.size || 0) });
+    });
+
+    const groups = [...buckets.entries()]
+      .filter(([, files]) => files.length > 1)
+      .map(([key, files]) => {
+        const copyBytes = Math.max(...files.map(file => file.bytes));
+        return {
+          key,
+          matchedBy: key.startsWith('md5:') ? 'checksum' : 'name',
+          name: files[0].name,
+          files: files.sort(byNewest),
+          copyBytes,
+          wastedBytes: copyBytes * (files.length - 1)
+        };
+      })
+      .sort((a, b) => b.wastedBytes - a.wastedBytes);
+
+    // Look up the names of the folders duplicates live in
+    const rootResponse = await window.gapi.client.drive.files.get({ fileId: 'root', fields: 'id' });
+    const folders = { [rootResponse.result.id]: 'My Drive' };
+    if (groups.length > 0) {
+      const folderQuery = and(term('mimeType', '=', FOLDER_MIME_TYPE), term('trashed', '=', false));
+      const folderResult = await crawlFiles(folderQuery, 'id, name', {
+        limit,
+        signal,
+        onPage: scanned => onProgress?.({ phase: 'folders', scanned })
+      });
+      folderResult.files.forEach((folder) => {
+        folders[folder.id] = folder.name;
+      });
+    }
+
+    const wastedBytes = groups.reduce((sum, group) => sum + group.wastedBytes, 0);
+    logger.debug(`Found ${groups.length} duplicate groups (${wastedBytes} bytes)`);
+
+    return { groups, folders, scanned: fileResult.files.length, wastedBytes, truncated: fileResult.truncated };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    logger.error('Error finding duplicates', error);
+    throw new Error(getUserFriendlyError(error, 'Duplicate search'));
+  }
+};
+
+/**
+ * Decide which copy of each duplicate group to keep
+ * Copies the user isn't allowed to trash are always kept.
+ * @param {Array<Object>} groups - Groups from findDuplicates
+ * @param {string} strategy - One of DUPLICATE_STRATEGIES
+ * @param {string} folderId - Folder whose copy to keep, for 'keep-in-folder'
+ * @returns {Array<Object>} - One { group, keep, trash } per group; keep is null if no copy qualifies
+ */
+export const planDuplicateResolution = (groups, strategy, folderId) => (
+  groups.map((group) => {
+    let keep = null;
+    if (strategy === 'keep-newest') {
+      keep = [...group.files].sort(byNewest)[0];
+    } else if (strategy === 'keep-oldest') {
+      keep = [...group.files].sort(byOldest)[0];
+    } else if (strategy === 'keep-in-folder') {
+      keep = [...group.files].sort(byNewest).find(file => file.parents?.includes(folderId)) || null;
+    }
+
+    const trash = keep
+      ? group.files.filter(file => file.id !== keep.id && file.capabilities?.canTrash !== false)
+      : [];
+
+    return { group, keep, trash };
+  })
+);
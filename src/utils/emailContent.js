@@ -0,0 +1,301 @@
+// Elements that never render in the reader; scripts are also disabled by the iframe sandbox
+const STRIPPED_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, base, meta, link';
+
+// Markup mail clients wrap around the message being replied to
+const QUOTE_SELECTOR = '.gmail_quote, blockquote[type="cite"], .yahoo_quoted';
+
+const REMOTE_URL_PATTERN = /^\s*(https?:)?\/\//i;
+const REMOTE_CSS_URL_PATTERN = /url\(\s*['"]?\s*(https?:)?\/\//i;
+const ORIGINAL_MESSAGE_PATTERN = /^-{2,}\s*Original Message\s*-{2,}$/i;
+const ATTRIBUTION_PATTERN = /wrote:\s*$/i;
+
+// Schemes each URL attribute may keep; anything else, including relative URLs, is dropped.
+// cid: images point at attachments the reader doesn't load, so they go too.
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const RESOURCE_PROTOCOLS = ['http:', 'https:'];
+const URL_ATTRIBUTES = {
+  href: LINK_PROTOCOLS,
+  'xlink:href': LINK_PROTOCOLS,
+  src: RESOURCE_PROTOCOLS,
+  background: RESOURCE_PROTOCOLS,
+  poster: RESOURCE_PROTOCOLS,
+  action: [],
+  formaction: []
+};
+
+// Parse the URL the way the browser will, so tricks like "java&#x09;script:" can't slip past
+const isAllowedUrl = (value, attribute) => {
+  let url;
+  try {
+    url = new URL(value.trim(), 'about:blank');
+  } catch {
+    return false;
+  }
+  if (URL_ATTRIBUTES[attribute].includes(url.protocol)) return true;
+  // Inline images are harmless and common in signatures
+  return attribute === 'src' && url.protocol === 'data:' && /^image\//i.test(url.pathname);
+};
+
+const countText = (node) => (node.textContent || '').replace(/\s/g, '').length;
+
+/**
+ * Decode a base64url message body
+ * @param {string} data - base64url data from the Gmail API
+ * @param {string} charset - Charset from the part's Content-Type
+ * @returns {string} - Decoded text
+ */
+export const decodeBase64Url = (data = '', charset = 'utf-8') => {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown charset labels fall back to UTF-8
+    return new TextDecoder().decode(bytes);
+  }
+};
+
+/**
+ * Read a header from a message part
+ * @param {Array} headers - Gmail payload headers
+ * @param {string} name - Header name, case-insensitive
+ * @returns {string} - Header value, or an empty string
+ */
+export const getHeader = (headers = [], name) => (
+  headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || ''
+);
+
+/**
+ * Split an address header into a display name and email
+ * @param {string} value - e.g. "Jane Doe <jane@example.com>"
+ * @returns {Object} - { name, email }
+ */
+export const parseAddress = (value = '') => {
+  const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  const email = (match ? match[2] : value).trim();
+  return { name: match?.[1]?.trim() || email.split('@')[0], email };
+};
+
+/**
+ * Split an address list header, keeping commas inside quoted names
+ * @param {string} value - e.g. '"Doe, Jane" <jane@example.com>, bob@example.com'
+ * @returns {Array} - [{ name, email }]
+ */
+export const parseAddressList = (value = '') => value
+  .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  .filter(address => address.trim())
+  .map(parseAddress);
+
+const isAttachmentPart = (part) => Boolean(part.filename)
+  || /^attachment/i.test(getHeader(part.headers, 'Content-Disposition'));
+
+const getCharset = (part) => (
+  getHeader(part.headers, 'Content-Type').match(/charset="?([^";\s]+)"?/i)?.[1] || 'utf-8'
+);
+
+// Depth-first, so the first match follows the order the sender wrote the parts in
+const findBodyPart = (part, mimeType) => {
+  if (!part || isAttachmentPart(part)) return null;
+  if (part.mimeType === mimeType && part.body?.data) return part;
+  for (const child of part.parts || []) {
+    const found = findBodyPart(child, mimeType);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Extract the HTML and plain text bodies of a message
+ * @param {Object} payload - Gmail message payload (format 'full')
+ * @returns {Object} - { html, text }, either may be an empty string
+ */
+export const getMessageBody = (payload) => {
+  const decode = (part) => (part ? decodeBase64Url(part.body.data, getCharset(part)) : '');
+  return {
+    html: decode(findBodyPart(payload, 'text/html')),
+    text: decode(findBodyPart(payload, 'text/plain'))
+  };
+};
+
+/**
+ * List the attachments of a message
+ * @param {Object} payload - Gmail message payload (format 'full')
+ * @returns {Array} - [{ id, partId, filename, mimeType, size }]
+ */
+export const listAttachments = (payload) => {
+  const attachments = [];
+  const walk = (part) => {
+    if (!part) return;
+    if (part.filename && part.body?.attachmentId) {
+      attachments.push({
+        id: part.body.attachmentId,
+        partId: part.partId,
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.body.size || 0
+      });
+    }
+    (part.parts || []).forEach(walk);
+  };
+  walk(payload);
+  return attachments;
+};
+
+/**
+ * Turn a Gmail API message into the model the list and reader render
+ * Works with any format that includes headers; parts are needed for attachments.
+ * @param {Object} message - Gmail message resource
+ * @param {Map} labelMap - Label id → label, from listLabels
+ * @returns {Object} - Normalized message
+ */
+export const normalizeMessage = (message, labelMap = new Map()) => {
+  const headers = message.payload?.headers || [];
+  const labelIds = message.labelIds || [];
+  const date = message.internalDate
+    ? new Date(Number(message.internalDate)).toISOString()
+    : getHeader(headers, 'Date');
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    labelIds,
+    // System labels stay as ids above; user labels are what gets shown
+    labels: labelIds
+      .map(id => labelMap.get(id))
+      .filter(label => label?.type === 'user')
+      .map(label => ({ id: label.id, name: label.name })),
+    // Snippets come HTML-escaped
+    snippet: new DOMParser().parseFromString(message.snippet || '', 'text/html').body.textContent,
+    from: parseAddress(getHeader(headers, 'From')),
+    to: parseAddressList(getHeader(headers, 'To')),
+    cc: parseAddressList(getHeader(headers, 'Cc')),
+    subject: getHeader(headers, 'Subject') || '(No Subject)',
+    date,
+    size: message.sizeEstimate || 0,
+    attachments: listAttachments(message.payload)
+  };
+};
+
+/**
+ * Normalize a message fetched with format 'full', including its bodies
+ * @param {Object} message - Gmail message resource
+ * @param {Map} labelMap - Label id → label, from listLabels
+ * @returns {Object} - Normalized message with html and text
+ */
+export const parseMessage = (message, labelMap) => ({
+  ...normalizeMessage(message, labelMap),
+  ...getMessageBody(message.payload)
+});
+
+/**
+ * Separate the quoted reply from a plain text body
+ * @param {string} text - Plain text body
+ * @returns {Object} - { body, quoted } where quoted is empty if nothing was found
+ */
+export const splitQuotedText = (text = '') => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let start = lines.findIndex(line => ORIGINAL_MESSAGE_PATTERN.test(line.trim()));
+
+  if (start === -1) {
+    // Otherwise only a trailing block of "> " lines counts, not quotes answered inline
+    let last = lines.length - 1;
+    while (last >= 0 && (!lines[last].trim() || lines[last].startsWith('>'))) last--;
+    start = lines.slice(last + 1).some(line => line.startsWith('>')) ? last + 1 : -1;
+    if (start !== -1 && ATTRIBUTION_PATTERN.test(lines[last] || '')) start = last;
+  }
+
+  const body = start === -1 ? '' : lines.slice(0, start).join('\n').trimEnd();
+  // A message that is all quote (e.g. a bare forward) stays as it is
+  if (!body.trim()) return { body: text, quoted: '' };
+  return { body, quoted: lines.slice(start).join('\n').trim() };
+};
+
+/**
+ * Clean an HTML body for the sandboxed reader frame
+ * @param {string} html - HTML body of the message
+ * @param {Object} options - Display options
+ * @param {boolean} options.showImages - Load remote images
+ * @param {boolean} options.showQuoted - Keep the quoted reply
+ * @returns {Object} - { html, blockedImages, hasQuoted }
+ */
+export const prepareEmailHtml = (html, { showImages = false, showQuoted = false } = {}) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  let blockedImages = 0;
+
+  doc.querySelectorAll(STRIPPED_ELEMENTS).forEach(el => el.remove());
+
+  doc.querySelectorAll('*').forEach((el) => {
+    [...el.attributes].forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith('on')) {
+        el.removeAttribute(attr.name);
+      } else if (Object.hasOwn(URL_ATTRIBUTES, name) && !isAllowedUrl(attr.value, name)) {
+        el.removeAttribute(attr.name);
+      }
+    });
+
+    // Links open in a new tab with no way back to the app
+    if (el.hasAttribute('href')) {
+      el.setAttribute('target', '_blank');
+      el.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    if (showImages) return;
+    if (el.tagName === 'IMG' && REMOTE_URL_PATTERN.test(el.getAttribute('src') || '')) {
+      el.removeAttribute('src');
+      el.removeAttribute('srcset');
+      blockedImages++;
+    }
+    if (REMOTE_URL_PATTERN.test(el.getAttribute('background') || '')) {
+      el.removeAttribute('background');
+      blockedImages++;
+    }
+    // CSS images are left to the frame's policy, which refuses them; they are only counted
+    if (REMOTE_CSS_URL_PATTERN.test(el.getAttribute('style') || '')) blockedImages++;
+  });
+
+  if (!showImages) {
+    doc.querySelectorAll('style').forEach((style) => {
+      if (REMOTE_CSS_URL_PATTERN.test(style.textContent)) blockedImages++;
+    });
+  }
+
+  // Only the outermost quotes count, and never when they are the whole message
+  const quotes = [...doc.querySelectorAll(QUOTE_SELECTOR)]
+    .filter(el => !el.parentElement?.closest(QUOTE_SELECTOR));
+  const quotedLength = quotes.reduce((sum, el) => sum + countText(el), 0);
+  const hasQuoted = quotes.length > 0 && quotedLength < countText(doc.body);
+  if (hasQuoted && !showQuoted) quotes.forEach(el => el.remove());
+
+  // Styles from the <head> would otherwise be lost
+  const styles = [...doc.head.querySelectorAll('style')].map(style => style.outerHTML).join('');
+  return { html: styles + doc.body.innerHTML, blockedImages, hasQuoted };
+};
+
+/**
+ * Wrap a cleaned body in the document loaded into the reader frame
+ * Its own policy blocks remote content unless images were allowed, so nothing
+ * the cleaning pass missed can phone home.
+ * @param {string} bodyHtml - Output of prepareEmailHtml
+ * @param {boolean} showImages - Allow remote images
+ * @returns {string} - Complete HTML document for srcdoc
+ */
+export const buildEmailDocument = (bodyHtml, showImages = false) => {
+  const imageSources = showImages ? 'data: http: https:' : 'data:';
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${imageSources}; style-src 'unsafe-inline'; font-src data:">
+<meta name="referrer" content="no-referrer">
+<base target="_blank">
+<style>
+  body { margin: 0; padding: 12px; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; font-size: 14px; line-height: 1.5; color: #111827; overflow-wrap: break-word; }
+  img { max-width: 100%; height: auto; }
+  blockquote { margin: 0 0 0 0.75rem; padding-left: 0.75rem; border-left: 2px solid #e5e7eb; color: #4b5563; }
+  pre { white-space: pre-wrap; }
+</style>
+</head>
+<body>${bodyHtml}</body>
+</html>`;
+};
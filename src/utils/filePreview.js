@@ -0,0 +1,103 @@
+import { logger, getUserFriendlyError } from './security';
+import { fetchFileContent, isGoogleWorkspaceFile } from './driveApi';
+
+// Whole files are loaded into memory, so very large media is left to Drive
+const MAX_MEDIA_PREVIEW_SIZE = 200 * 1024 * 1024;
+const MAX_TEXT_FILE_SIZE = 20 * 1024 * 1024;
+// Longer text is cut off so huge logs don't freeze the page
+const MAX_TEXT_PREVIEW_LENGTH = 1024 * 1024;
+
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/javascript',
+  'application/xml',
+  'application/x-yaml',
+  'application/x-sh',
+  'application/sql'
+];
+
+const TEXT_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'log', 'json', 'xml', 'yml', 'yaml', 'ini', 'toml', 'env',
+  'js', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'cs', 'php',
+  'sh', 'sql', 'html', 'css', 'scss', 'vue', 'svelte'
+];
+
+// Browsers can't play every image/audio/video type, so only common ones are previewed
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'image/bmp', 'image/avif'];
+const MEDIA_MIME_TYPES = ['video/mp4', 'video/webm', 'video/ogg', 'audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/x-m4a', 'audio/aac', 'audio/flac'];
+
+// Native Google files are previewed through an export
+const EXPORT_PREVIEWS = {
+  'application/vnd.google-apps.document': { type: 'pdf', mimeType: 'application/pdf' },
+  'application/vnd.google-apps.spreadsheet': { type: 'pdf', mimeType: 'application/pdf' },
+  'application/vnd.google-apps.presentation': { type: 'pdf', mimeType: 'application/pdf' },
+  'application/vnd.google-apps.drawing': { type: 'image', mimeType: 'image/png' }
+};
+
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * Work out how a file can be previewed
+ * @param {Object} file - Drive file
+ * @returns {string|null} - 'image', 'pdf', 'text', 'audio' or 'video', or null if it can't be previewed
+ */
+export const getPreviewType = (file) => {
+  const mimeType = file?.mimeType || '';
+
+  if (isGoogleWorkspaceFile(mimeType)) {
+    return EXPORT_PREVIEWS[mimeType]?.type || null;
+  }
+  if (IMAGE_MIME_TYPES.includes(mimeType)) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (MEDIA_MIME_TYPES.includes(mimeType)) return mimeType.split('/')[0];
+  if (mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType) || TEXT_EXTENSIONS.includes(getExtension(file.name))) {
+    return 'text';
+  }
+  return null;
+};
+
+/**
+ * Load a file's content for previewing
+ * Binary previews come back as an object URL that the caller must revoke.
+ * @param {Object} file - Drive file
+ * @param {AbortSignal} signal - Aborts the download
+ * @returns {Promise<Object>} - { type, url } or { type: 'text', text, truncated }
+ */
+export const loadPreview = async (file, signal) => {
+  const type = getPreviewType(file);
+  if (!type) {
+    throw new Error('This file type can\'t be previewed');
+  }
+
+  const size = Number(file.size) || 0;
+  if (size > (type === 'text' ? MAX_TEXT_FILE_SIZE : MAX_MEDIA_PREVIEW_SIZE)) {
+    throw new Error('This file is too large to preview. Download it or open it in Drive.');
+  }
+
+  const exportPreview = EXPORT_PREVIEWS[file.mimeType];
+
+  try {
+    const response = await fetchFileContent(file.id, exportPreview?.mimeType, signal);
+
+    if (type === 'text') {
+      const text = await response.text();
+      return {
+        type,
+        text: text.slice(0, MAX_TEXT_PREVIEW_LENGTH),
+        truncated: text.length > MAX_TEXT_PREVIEW_LENGTH
+      };
+    }
+
+    // Use the declared type so the browser renders the content as what it claims to be
+    const blob = await response.blob();
+    const contentType = exportPreview?.mimeType || file.mimeType;
+    return { type, url: URL.createObjectURL(new Blob([blob], { type: contentType })) };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    logger.error('Error loading preview', error);
+    throw new Error(error.status ? getUserFriendlyError(error, 'Preview') : error.message);
+  }
+};
@@ -5,13 +5,103 @@ import {
   getUserFriendlyError,
   gmailRateLimiter
 } from './security';
+import { executeBatch } from './batchApi';
+import { normalizeMessage, parseMessage } from './emailContent';
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Number of message details requested at once; matches gmailRateLimiter
+const DETAIL_CHUNK_SIZE = 5;
+
+// Part structure down to three levels, without bodies, so attachments can be listed cheaply
+const PART_FIELDS = 'partId,filename,mimeType,body(size,attachmentId)';
+const MESSAGE_SUMMARY_FIELDS = 'id,threadId,labelIds,snippet,sizeEstimate,internalDate,'
+  + `payload(headers,${PART_FIELDS},parts(${PART_FIELDS},parts(${PART_FIELDS},parts(${PART_FIELDS}))))`;
+
+// Labels by id so messages can carry label names; refreshed whenever labels are listed
+let labelMap = null;
 
 /**
- * Search emails in Gmail
- * @param {string} query - Gmail search query
- * @returns {Promise<Array>} - Array of email objects
+ * Forget cached label names
+ * Label ids like Label_1 repeat across accounts, so this runs whenever the account changes.
  */
-export const searchEmails = async (query = '') => {
+export const clearLabelCache = () => {
+  labelMap = null;
+};
+
+const loadLabelMap = async () => {
+  if (labelMap) return labelMap;
+  try {
+    await listLabels();
+  } catch (error) {
+    // Messages still load, just without label names
+    logger.error('Failed to load label names', error);
+  }
+  return labelMap || new Map();
+};
+
+/**
+ * Fetch the list details of a single email: headers, snippet, size, labels and attachments
+ * @param {string} messageId - ID of message
+ * @param {Map} labels - Label id → label; loaded when omitted
+ * @returns {Promise<Object>} - Normalized email, see normalizeMessage
+ */
+export const getEmailMetadata = async (messageId, labels) => {
+  await gmailRateLimiter.acquire('getEmail');
+
+  const detail = await window.gapi.client.gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'full',
+    fields: MESSAGE_SUMMARY_FIELDS
+  });
+
+  return normalizeMessage(detail.result, labels || await loadLabelMap());
+};
+
+/**
+ * Fetch a whole conversation with full message bodies
+ * @param {string} threadId - ID of the thread
+ * @returns {Promise<Object>} - { id, messages } with messages oldest first
+ */
+export const getThread = async (threadId) => {
+  await gmailRateLimiter.acquire('getThread');
+
+  try {
+    const response = await window.gapi.client.gmail.users.threads.get({
+      userId: 'me',
+      id: threadId,
+      format: 'full'
+    });
+
+    const labels = await loadLabelMap();
+    return {
+      id: response.result.id,
+      messages: (response.result.messages || []).map(message => parseMessage(message, labels))
+    };
+  } catch (error) {
+    logger.error('Error loading thread', error);
+    throw new Error(getUserFriendlyError(error, 'Conversation load'));
+  }
+};
+
+/**
+ * Search one page of emails in Gmail, streaming details as they load
+ * @param {Object} options - Search options
+ * @param {string} options.query - Gmail search query
+ * @param {string} options.pageToken - Token returned by the previous page
+ * @param {number} options.pageSize - Number of emails per page (max 500)
+ * @param {Function} options.onEmails - Called with each chunk of loaded emails, in list order
+ * @param {AbortSignal} options.signal - Stops fetching details when aborted
+ * @returns {Promise<Object>} - { emails, nextPageToken, resultSizeEstimate }
+ */
+export const searchEmailsPage = async ({
+  query = '',
+  pageToken,
+  pageSize = DEFAULT_PAGE_SIZE,
+  onEmails,
+  signal
+} = {}) => {
   // Rate limiting
   if (!gmailRateLimiter.isAllowed('search')) {
     throw new Error('Too many search requests. Please wait a moment.');
@@ -21,54 +111,88 @@ export const searchEmails = async (query = '') => {
     // Sanitize query
     const sanitizedQuery = sanitizeGmailQuery(query);
 
-    logger.debug('Searching emails with query:', sanitizedQuery);
+    logger.debug('Searching emails with query:', sanitizedQuery, pageToken ? '(next page)' : '');
 
     const response = await window.gapi.client.gmail.users.messages.list({
       userId: 'me',
-      maxResults: 100,
+      maxResults: Math.min(Math.max(pageSize, 1), 500),
+      pageToken: pageToken || undefined,
       q: sanitizedQuery || undefined
     });
 
     const messages = response.result.messages || [];
-    logger.debug(`Found ${messages.length} emails`);
-
-    // Fetch email details with rate limiting
-    const emailDetails = await Promise.all(
-      messages.map(async (message) => {
-        // Wait if rate limit reached
-        while (!gmailRateLimiter.isAllowed('getEmail')) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+    const nextPageToken = response.result.nextPageToken || null;
+    logger.debug(`Found ${messages.length} emails${nextPageToken ? ' (more available)' : ''}`);
+
+    const emails = [];
+    const labels = await loadLabelMap();
+
+    // Fetch details in small ordered chunks so results can render incrementally
+    for (let i = 0; i < messages.length; i += DETAIL_CHUNK_SIZE) {
+      if (signal?.aborted) break;
+
+      const chunk = messages.slice(i, i + DETAIL_CHUNK_SIZE);
+      const results = await Promise.allSettled(chunk.map(message => getEmailMetadata(message.id, labels)));
+
+      const loaded = [];
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          loaded.push(result.value);
+        } else {
+          logger.error(`Failed to load email: ${chunk[index].id}`, result.reason);
         }
+      });
 
-        const detail = await window.gapi.client.gmail.users.messages.get({
-          userId: 'me',
-          id: message.id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Subject', 'Date']
-        });
-
-        const headers = detail.result.payload.headers;
-        const from = headers.find(h => h.name === 'From')?.value || 'Unknown';
-        const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-        const date = headers.find(h => h.name === 'Date')?.value || '';
-
-        return {
-          id: message.id,
-          from,
-          subject,
-          date,
-          labelIds: detail.result.labelIds || []
-        };
-      })
-    );
-
-    return emailDetails;
+      if (signal?.aborted) break;
+
+      emails.push(...loaded);
+      onEmails?.(loaded);
+    }
+
+    return {
+      emails,
+      nextPageToken,
+      resultSizeEstimate: response.result.resultSizeEstimate || 0
+    };
   } catch (error) {
     logger.error('Error searching emails', error);
     throw new Error(getUserFriendlyError(error, 'Email search'));
   }
 };
 
+/**
+ * Estimate how many emails match a query
+ * Gmail only returns an estimate, which is exact for small result sets.
+ * @param {string} query - Gmail search query
+ * @returns {Promise<number>} - Estimated number of matching emails
+ */
+export const countEmails = async (query = '') => {
+  await gmailRateLimiter.acquire('count');
+
+  try {
+    const response = await window.gapi.client.gmail.users.messages.list({
+      userId: 'me',
+      maxResults: 1,
+      fields: 'resultSizeEstimate',
+      q: sanitizeGmailQuery(query) || undefined
+    });
+    return response.result.resultSizeEstimate || 0;
+  } catch (error) {
+    logger.error('Error counting emails', error);
+    throw new Error(getUserFriendlyError(error, 'Email count'));
+  }
+};
+
+/**
+ * Search emails in Gmail (first page only)
+ * @param {string} query - Gmail search query
+ * @returns {Promise<Array>} - Array of email objects
+ */
+export const searchEmails = async (query = '') => {
+  const { emails } = await searchEmailsPage({ query });
+  return emails;
+};
+
 /**
  * List all Gmail labels
  * @returns {Promise<Array>} - Array of label objects
@@ -88,6 +212,7 @@ export const listLabels = async () => {
 
     const labels = response.result.labels || [];
     logger.debug(`Found ${labels.length} labels`);
+    labelMap = new Map(labels.map(label => [label.id, label]));
 
     return labels;
   } catch (error) {
@@ -190,53 +315,140 @@ export const addLabelToEmail = async (messageId, labelId) => {
   }
 };
 
+// Gmail's batchModify/batchDelete accept up to 1000 ids per call
+const MAX_BULK_IDS = 1000;
+
+// Gmail recommends at most 50 calls per multipart batch
+const GMAIL_BATCH_SIZE = 50;
+
 /**
- * Delete all spam emails
- * @returns {Promise<Object>} - Results with deleted count
+ * Run a Gmail bulk endpoint over ids in chunks of MAX_BULK_IDS
+ * These endpoints are all-or-nothing, so each chunk succeeds or fails as a whole
+ * @param {Array<string>} messageIds - IDs of messages
+ * @param {Function} call - Receives a chunk of ids and returns a gapi request
+ * @param {string} context - Context for error messages
+ * @returns {Promise<Object>} - { succeeded: [ids], failed: [{ id, error }] }
  */
-export const deleteSpamEmails = async () => {
-  try {
-    logger.debug('Fetching spam emails');
+const runBulkCall = async (messageIds, call, context) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < messageIds.length; i += MAX_BULK_IDS) {
+    const chunk = messageIds.slice(i, i + MAX_BULK_IDS);
+    await gmailRateLimiter.acquire('bulk');
+
+    try {
+      await call(chunk);
+      succeeded.push(...chunk);
+    } catch (error) {
+      logger.error(`${context} failed for ${chunk.length} emails`, error);
+      const message = getUserFriendlyError(error, context);
+      failed.push(...chunk.map(id => ({ id, error: message })));
+    }
+  }
 
-    const response = await window.gapi.client.gmail.users.messages.list({
-      userId: 'me',
-      maxResults: 500,
-      labelIds: ['SPAM']
-    });
+  return { succeeded, failed };
+};
 
-    const messages = response.result.messages || [];
-    logger.debug(`Found ${messages.length} spam emails`);
+/**
+ * Add and remove labels on many emails with messages.batchModify
+ * @param {Array<string>} messageIds - IDs of messages
+ * @param {Object} changes - { addLabelIds, removeLabelIds }
+ * @returns {Promise<Object>} - { succeeded: [ids], failed: [{ id, error }] }
+ */
+export const modifyEmails = async (messageIds, { addLabelIds = [], removeLabelIds = [] } = {}) => {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    throw new Error('No emails specified');
+  }
 
-    // Safety check
-    if (messages.length > 1000) {
-      throw new Error(`Too many spam emails (${messages.length}). Please delete in smaller batches.`);
-    }
+  logger.debug(`Modifying labels on ${messageIds.length} emails`);
 
-    let deleted = 0;
-    let errors = 0;
+  return runBulkCall(messageIds, (ids) => window.gapi.client.gmail.users.messages.batchModify({
+    userId: 'me',
+    resource: { ids, addLabelIds, removeLabelIds }
+  }), 'Email update');
+};
 
-    // Delete with rate limiting
-    for (const message of messages) {
-      // Wait if rate limit reached
-      while (!gmailRateLimiter.isAllowed('delete')) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+/**
+ * Archive many emails (remove them from the inbox)
+ * @param {Array<string>} messageIds - IDs of messages
+ * @returns {Promise<Object>} - { succeeded: [ids], failed: [{ id, error }] }
+ */
+export const archiveEmails = (messageIds) => modifyEmails(messageIds, { removeLabelIds: ['INBOX'] });
 
-      try {
-        await window.gapi.client.gmail.users.messages.delete({
-          userId: 'me',
-          id: message.id
-        });
-        deleted++;
-        logger.debug(`Deleted spam email: ${message.id}`);
-      } catch (error) {
-        logger.error(`Failed to delete spam email: ${message.id}`, error);
-        errors++;
-      }
+/**
+ * Move many emails to trash using multipart batch requests
+ * @param {Array<string>} messageIds - IDs of messages
+ * @param {Function} onProgress - Called with { completed, total }
+ * @returns {Promise<Object>} - { succeeded: [ids], failed: [{ id, error }] }
+ */
+export const trashEmails = async (messageIds, onProgress) => {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    throw new Error('No emails specified');
+  }
+
+  logger.debug(`Trashing ${messageIds.length} emails`);
+
+  const result = await executeBatch(
+    messageIds,
+    (id) => window.gapi.client.gmail.users.messages.trash({ userId: 'me', id }),
+    { batchSize: GMAIL_BATCH_SIZE, limiter: gmailRateLimiter, context: 'Email deletion', onProgress }
+  );
+
+  return { succeeded: result.succeeded.map(item => item.id), failed: result.failed };
+};
+
+/**
+ * Permanently delete many emails with messages.batchDelete
+ * @param {Array<string>} messageIds - IDs of messages
+ * @returns {Promise<Object>} - { succeeded: [ids], failed: [{ id, error }] }
+ */
+export const deleteEmailsPermanently = async (messageIds) => {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    throw new Error('No emails specified');
+  }
+
+  logger.debug(`Permanently deleting ${messageIds.length} emails`);
+
+  return runBulkCall(messageIds, (ids) => window.gapi.client.gmail.users.messages.batchDelete({
+    userId: 'me',
+    resource: { ids }
+  }), 'Email deletion');
+};
+
+/**
+ * Delete all spam emails
+ * @returns {Promise<Object>} - Results with deleted count and failed items
+ */
+export const deleteSpamEmails = async () => {
+  try {
+    logger.debug('Fetching spam emails');
+
+    const ids = [];
+    let pageToken = null;
+    do {
+      await gmailRateLimiter.acquire('spam');
+      const response = await window.gapi.client.gmail.users.messages.list({
+        userId: 'me',
+        maxResults: 500,
+        labelIds: ['SPAM'],
+        fields: 'messages(id), nextPageToken',
+        pageToken: pageToken || undefined
+      });
+      ids.push(...(response.result.messages || []).map(m => m.id));
+      pageToken = response.result.nextPageToken;
+    } while (pageToken);
+
+    logger.debug(`Found ${ids.length} spam emails`);
+
+    if (ids.length === 0) {
+      return { deleted: 0, errors: 0, total: 0, failed: [] };
     }
 
-    logger.debug(`Spam deletion complete: ${deleted} deleted, ${errors} errors`);
-    return { deleted, errors, total: messages.length };
+    const { succeeded, failed } = await deleteEmailsPermanently(ids);
+
+    logger.debug(`Spam deletion complete: ${succeeded.length} deleted, ${failed.length} errors`);
+    return { deleted: succeeded.length, errors: failed.length, total: ids.length, failed };
   } catch (error) {
     logger.error('Error deleting spam emails', error);
     throw new Error(getUserFriendlyError(error, 'Spam deletion'));
@@ -246,7 +458,7 @@ export const deleteSpamEmails = async () => {
 /**
  * Move old emails to trash
  * @param {number} daysOld - Age threshold in days
- * @returns {Promise<Object>} - Results with trashed count
+ * @returns {Promise<Object>} - Results with trashed count and failed items
  */
 export const deleteOldEmails = async (daysOld = 365) => {
   try {
@@ -278,31 +490,14 @@ export const deleteOldEmails = async (daysOld = 365) => {
       throw new Error(`Too many emails (${messages.length}). Please trash in smaller batches.`);
     }
 
-    let trashed = 0;
-    let errors = 0;
-
-    // Trash with rate limiting
-    for (const message of messages) {
-      // Wait if rate limit reached
-      while (!gmailRateLimiter.isAllowed('trash')) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      try {
-        await window.gapi.client.gmail.users.messages.trash({
-          userId: 'me',
-          id: message.id
-        });
-        trashed++;
-        logger.debug(`Trashed email: ${message.id}`);
-      } catch (error) {
-        logger.error(`Failed to trash email: ${message.id}`, error);
-        errors++;
-      }
+    if (messages.length === 0) {
+      return { trashed: 0, errors: 0, total: 0, failed: [] };
     }
 
-    logger.debug(`Email trashing complete: ${trashed} trashed, ${errors} errors`);
-    return { trashed, errors, total: messages.length };
+    const { succeeded, failed } = await trashEmails(messages.map(m => m.id));
+
+    logger.debug(`Email trashing complete: ${succeeded.length} trashed, ${failed.length} errors`);
+    return { trashed: succeeded.length, errors: failed.length, total: messages.length, failed };
   } catch (error) {
     logger.error('Error deleting old emails', error);
     throw new Error(getUserFriendlyError(error, 'Email deletion'));
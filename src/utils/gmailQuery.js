@@ -0,0 +1,202 @@
+import { parseGmailQuery } from './security';
+
+const PLAIN_TERM_PATTERN = /^[a-zA-Z0-9@._-]+$/;
+const DATE_INPUT_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GMAIL_DATE_PATTERN = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/;
+// Sizes the panel can show; bare byte counts stay in the raw query
+const SIZE_PATTERN = /^(\d+)([km])$/i;
+const BOOLEAN_TOKENS = ['and', 'or', 'not', '-'];
+
+// Operators the advanced search panel edits; anything else in the query is kept as-is
+const PANEL_OPERATORS = ['from', 'to', 'subject', 'after', 'before', 'larger', 'smaller', 'label'];
+
+export const SIZE_UNITS = [
+  { value: 'M', label: 'MB' },
+  { value: 'K', label: 'KB' },
+];
+
+export const EMPTY_SEARCH_FIELDS = {
+  from: '',
+  to: '',
+  subject: '',
+  hasWords: '',
+  after: '',
+  before: '',
+  sizeOperator: 'larger',
+  size: '',
+  sizeUnit: 'M',
+  hasAttachment: false,
+  label: '',
+};
+
+// Drop characters Gmail search can't take, and the quotes we add ourselves
+const cleanValue = (value = '') => value.replace(/[<>{}\\"]/g, '').trim();
+
+const quoteIfNeeded = (value) => (PLAIN_TERM_PATTERN.test(value) ? value : `"${value}"`);
+
+const operatorToken = (operator, value) => {
+  const cleaned = cleanValue(value);
+  return cleaned ? `${operator}:${quoteIfNeeded(cleaned)}` : null;
+};
+
+// Date inputs use YYYY-MM-DD, Gmail uses YYYY/MM/DD
+const toGmailDate = (date) => `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Calendar days, not 24 hours, so daylight saving changes don't shift the date
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const parseInputDate = (value) => {
+  if (!DATE_INPUT_PATTERN.test(value || '')) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Query each Gmail section adds to the user's search
+const SECTION_QUERIES = {
+  inbox: 'in:inbox',
+  sent: 'in:sent',
+  starred: 'is:starred',
+  archive: '-in:inbox -in:trash',
+  trash: 'in:trash',
+};
+
+/**
+ * Combine the user's search with the query for a Gmail section
+ * @param {string} section - Gmail section id, e.g. 'inbox'
+ * @param {string} text - User search query
+ * @returns {string} - Gmail search query
+ */
+export const buildSectionQuery = (section, text = '') => {
+  const sectionQuery = SECTION_QUERIES[section];
+  if (!sectionQuery) return text || SECTION_QUERIES.inbox;
+  return text ? `${text} ${sectionQuery}` : sectionQuery;
+};
+
+/**
+ * Turn a label name into the form Gmail search expects
+ * @param {string} name - Label name, e.g. "Work/Client A"
+ * @returns {string} - Search value, e.g. "work-client-a"
+ */
+export const toLabelSearchName = (name = '') => name.trim().toLowerCase().replace(/[\s/]+/g, '-');
+
+/**
+ * Compose a Gmail query from the advanced search fields
+ * Every part is quoted or cleaned so the result passes parseGmailQuery unchanged.
+ * @param {Object} fields - See EMPTY_SEARCH_FIELDS
+ * @returns {string} - Gmail search query
+ */
+export const buildGmailQuery = (fields) => {
+  const parts = [
+    operatorToken('from', fields.from),
+    operatorToken('to', fields.to),
+    operatorToken('subject', fields.subject),
+  ];
+
+  const after = parseInputDate(fields.after);
+  if (after) parts.push(`after:${toGmailDate(after)}`);
+
+  // Gmail's before: excludes the day itself, while the panel's end date is inclusive
+  const before = parseInputDate(fields.before);
+  if (before) parts.push(`before:${toGmailDate(addDays(before, 1))}`);
+
+  const size = parseInt(fields.size, 10);
+  if (size > 0) {
+    const operator = fields.sizeOperator === 'smaller' ? 'smaller' : 'larger';
+    const unit = SIZE_UNITS.some(u => u.value === fields.sizeUnit) ? fields.sizeUnit : 'M';
+    parts.push(`${operator}:${size}${unit}`);
+  }
+
+  if (fields.hasAttachment) parts.push('has:attachment');
+  if (fields.label) parts.push(operatorToken('label', toLabelSearchName(fields.label)));
+
+  // Words stay as plain terms; anything with other punctuation becomes a phrase
+  const words = cleanValue(fields.hasWords).split(/\s+/).filter(Boolean);
+  parts.push(...words.map(quoteIfNeeded));
+
+  return parts.filter(Boolean).join(' ');
+};
+
+/**
+ * Split a query into the fields the advanced search panel edits and the tokens it doesn't
+ * @param {string} query - Current search query
+ * @param {Array} labels - Gmail labels, used to map label: values back to names
+ * @returns {Object} - { fields, rest } where rest holds the untouched tokens as a string
+ */
+export const parseSearchFields = (query, labels = []) => {
+  const fields = { ...EMPTY_SEARCH_FIELDS };
+  const rest = [];
+  const words = [];
+  const seen = new Set();
+  const { tokens } = parseGmailQuery(query);
+  // With AND/OR in play, word order matters, so words stay in the raw query
+  const hasBoolean = tokens.some(token => BOOLEAN_TOKENS.includes(token.raw.toLowerCase()));
+
+  tokens.forEach((token) => {
+    if (!token.valid || token.negated) {
+      if (token.valid) rest.push(token.raw);
+      return;
+    }
+
+    if (!token.operator) {
+      if (hasBoolean) rest.push(token.raw);
+      else words.push(token.value.replace(/^"|"$/g, ''));
+      return;
+    }
+
+    if (token.operator === 'has' && token.value.toLowerCase() === 'attachment') {
+      fields.hasAttachment = true;
+      return;
+    }
+
+    // The panel has one box per operator, so repeats stay in the raw query
+    const key = token.operator === 'smaller' ? 'larger' : token.operator;
+    if (!PANEL_OPERATORS.includes(token.operator) || seen.has(key)) {
+      rest.push(token.raw);
+      return;
+    }
+
+    if (token.operator === 'after' || token.operator === 'before') {
+      const match = token.value.match(GMAIL_DATE_PATTERN);
+      if (!match) {
+        rest.push(token.raw);
+        return;
+      }
+      const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      fields[token.operator] = toInputDate(token.operator === 'before' ? addDays(date, -1) : date);
+    } else if (token.operator === 'larger' || token.operator === 'smaller') {
+      const match = token.value.match(SIZE_PATTERN);
+      if (!match) {
+        rest.push(token.raw);
+        return;
+      }
+      fields.sizeOperator = token.operator;
+      fields.size = match[1];
+      fields.sizeUnit = match[2].toUpperCase();
+    } else if (token.operator === 'label') {
+      const label = labels.find(l => toLabelSearchName(l.name) === toLabelSearchName(token.value));
+      if (!label) {
+        rest.push(token.raw);
+        return;
+      }
+      fields.label = label.name;
+    } else {
+      fields[token.operator] = token.value;
+    }
+    seen.add(key);
+  });
+
+  fields.hasWords = words.join(' ');
+  return { fields, rest: rest.join(' ') };
+};
+
+/**
+ * Remove one token from a query, keeping everything else as typed
+ * @param {string} query - Search query
+ * @param {number} index - Index into parseGmailQuery(query).tokens
+ * @returns {string} - Query without that token
+ */
+export const removeQueryToken = (query, index) => parseGmailQuery(query).tokens
+  .filter((_, i) => i !== index)
+  .map(token => token.raw)
+  .join(' ');
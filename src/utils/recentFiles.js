@@ -0,0 +1,84 @@
+import { FOLDER_MIME_TYPE } from './driveApi';
+import { and, or, term } from './driveQuery';
+
+const RECENT_WINDOW_KEY = 'clouddesk.recentDays';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECENT_WINDOWS = [7, 30, 90];
+export const DEFAULT_RECENT_WINDOW = 30;
+
+/**
+ * Load the saved Recent window
+ * @returns {number} - Window in days
+ */
+export const loadRecentWindow = () => {
+  const saved = Number(localStorage.getItem(RECENT_WINDOW_KEY));
+  return RECENT_WINDOWS.includes(saved) ? saved : DEFAULT_RECENT_WINDOW;
+};
+
+/**
+ * Save the Recent window
+ * @param {number} days - Window in days
+ */
+export const saveRecentWindow = (days) => {
+  localStorage.setItem(RECENT_WINDOW_KEY, String(days));
+};
+
+/**
+ * Start of the Recent window
+ * @param {number} days - Window in days
+ * @returns {Date}
+ */
+export const getRecentSince = (days) => new Date(Date.now() - days * DAY_MS);
+
+/**
+ * Query for files opened or modified within the Recent window
+ * @param {number} days - Window in days
+ * @returns {Object} - Query node
+ */
+export const recentQuery = (days) => {
+  const since = getRecentSince(days);
+  return and(
+    term('mimeType', '!=', FOLDER_MIME_TYPE),
+    term('trashed', '=', false),
+    or(term('viewedByMeTime', '>', since), term('modifiedTime', '>', since))
+  );
+};
+
+/**
+ * When the user last touched a file: the later of when they opened it and when it changed
+ * @param {Object} file - Drive file
+ * @returns {number} - Timestamp in ms, 0 if unknown
+ */
+export const getRecencyTime = (file) => Math.max(
+  file.viewedByMeTime ? new Date(file.viewedByMeTime).getTime() : 0,
+  file.modifiedTime ? new Date(file.modifiedTime).getTime() : 0
+);
+
+/**
+ * Group files into Today / This week / Earlier, most recent first
+ * @param {Array} files - Drive files
+ * @returns {Array} - [{ id, label, files }], without empty groups
+ */
+export const groupByRecency = (files) => {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Calendar days, so a daylight saving change doesn't move the boundary
+  const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6).getTime();
+
+  const groups = [
+    { id: 'today', label: 'Today', files: [] },
+    { id: 'week', label: 'This week', files: [] },
+    { id: 'earlier', label: 'Earlier', files: [] }
+  ];
+
+  [...files]
+    .sort((a, b) => getRecencyTime(b) - getRecencyTime(a))
+    .forEach((file) => {
+      const time = getRecencyTime(file);
+      const group = time >= today.getTime() ? groups[0] : time >= weekStart ? groups[1] : groups[2];
+      group.files.push(file);
+    });
+
+  return groups.filter(group => group.files.length > 0);
+};
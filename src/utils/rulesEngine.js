@@ -0,0 +1,426 @@
+import {
+  validateEmail,
+  sanitizeEmail,
+  validateDriveName,
+  logger,
+  getUserFriendlyError,
+  driveRateLimiter
+} from './security';
+import {
+  createFolderPath,
+  shareFile,
+  isGoogleWorkspaceFile,
+  SHARE_ROLES,
+  ROOT_FOLDER_ID
+} from './driveApi';
+
+const RULES_STORAGE_KEY = 'clouddesk.driveRules';
+const MAX_RULES = 50;
+
+/**
+ * Condition fields a rule can test, with their operators
+ */
+export const CONDITION_FIELDS = {
+  name: {
+    label: 'Name',
+    operators: { matches: 'matches regex' },
+    placeholder: '^Invoice'
+  },
+  extension: {
+    label: 'Extension',
+    operators: { is: 'is one of' },
+    placeholder: 'pdf, docx'
+  },
+  mimeType: {
+    label: 'MIME type',
+    operators: { is: 'is', contains: 'contains' },
+    placeholder: 'image/'
+  },
+  owner: {
+    label: 'Owner',
+    operators: { is: 'is' },
+    placeholder: 'name@example.com'
+  },
+  size: {
+    label: 'Size (MB)',
+    operators: { greaterThan: 'greater than', lessThan: 'less than' },
+    placeholder: '10'
+  },
+  modified: {
+    label: 'Modified',
+    operators: { olderThan: 'more than N days ago', newerThan: 'within N days' },
+    placeholder: '30'
+  }
+};
+
+/**
+ * Actions a rule can run on a matching file
+ */
+export const ACTION_TYPES = {
+  move: { label: 'Move to folder', placeholder: 'Invoices/{year}' },
+  rename: { label: 'Rename to', placeholder: '{date}-{name}' },
+  star: { label: 'Star' },
+  share: { label: 'Share with', placeholder: 'name@example.com' }
+};
+
+/**
+ * Create an empty rule
+ * @returns {Object} - New rule
+ */
+export const createRule = () => ({
+  id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: '',
+  enabled: true,
+  match: 'all',
+  conditions: [{ field: 'name', operator: 'matches', value: '' }],
+  actions: [{ type: 'move', value: '' }]
+});
+
+/**
+ * Load saved rules from local storage
+ * @returns {Array} - Saved rules in order
+ */
+export const loadRules = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.slice(0, MAX_RULES) : [];
+  } catch (error) {
+    logger.error('Failed to load rules', error);
+    return [];
+  }
+};
+
+/**
+ * Save rules to local storage
+ * @param {Array} rules - Rules in order
+ */
+export const saveRules = (rules) => {
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules.slice(0, MAX_RULES)));
+  } catch (error) {
+    logger.error('Failed to save rules', error);
+  }
+};
+
+/**
+ * Validate a rule before saving it
+ * @param {Object} rule - Rule to validate
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+export const validateRule = (rule) => {
+  if (!rule.name?.trim()) return 'Give the rule a name';
+  if (!rule.conditions?.length) return 'Add at least one condition';
+  if (!rule.actions?.length) return 'Add at least one action';
+
+  for (const condition of rule.conditions) {
+    const field = CONDITION_FIELDS[condition.field];
+    const value = String(condition.value ?? '').trim();
+
+    if (!field || !field.operators[condition.operator]) return 'Unknown condition';
+    if (!value) return `Enter a value for "${field.label}"`;
+
+    if (condition.field === 'name') {
+      if (value.length > 200) return 'Name pattern is too long';
+      try {
+        new RegExp(value, 'i');
+      } catch {
+        return `Invalid regex: ${value}`;
+      }
+    }
+
+    if (['size', 'modified'].includes(condition.field)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) return `"${field.label}" must be a positive number`;
+    }
+  }
+
+  for (const action of rule.actions) {
+    const type = ACTION_TYPES[action.type];
+    const value = String(action.value ?? '').trim();
+
+    if (!type) return 'Unknown action';
+    if (action.type !== 'star' && !value) return `Enter a value for "${type.label}"`;
+    if (action.type === 'share') {
+      if (!validateEmail(value)) return `Invalid email address: ${value}`;
+      if (!SHARE_ROLES.includes(action.role || 'reader')) return 'Invalid share role';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Split a file name into base name and extension
+ * Google Docs/Sheets/Slides have no extension
+ * @param {Object} file - Drive file
+ * @returns {Object} - { base, ext }
+ */
+const splitName = (file) => {
+  const name = file.name || '';
+  const dot = name.lastIndexOf('.');
+
+  if (isGoogleWorkspaceFile(file.mimeType) || dot <= 0) {
+    return { base: name, ext: '' };
+  }
+  return { base: name.slice(0, dot), ext: name.slice(dot + 1) };
+};
+
+/**
+ * Fill a name template such as '{date}-{name}' for a file
+ * Tokens: {name}, {ext}, {date}, {year}, {month}, {day}, plus any extra values
+ * @param {string} template - Template string
+ * @param {Object} file - Drive file
+ * @param {Object} extra - Additional token values, e.g. { n: 1 }
+ * @returns {string} - Rendered string
+ */
+export const renderNameTemplate = (template, file, extra = {}) => {
+  const { base, ext } = splitName(file);
+  const modified = file.modifiedTime ? new Date(file.modifiedTime) : new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+
+  const tokens = {
+    name: base,
+    ext,
+    year: String(modified.getFullYear()),
+    month: pad(modified.getMonth() + 1),
+    day: pad(modified.getDate()),
+    date: `${modified.getFullYear()}-${pad(modified.getMonth() + 1)}-${pad(modified.getDate())}`,
+    ...extra
+  };
+
+  return template.replace(/\{(\w+)\}/g, (token, key) => (
+    Object.prototype.hasOwnProperty.call(tokens, key) ? String(tokens[key]) : token
+  ));
+};
+
+/**
+ * Build the new name for a rename template, keeping the extension unless
+ * the template places {ext} itself
+ * @param {string} template - Template string
+ * @param {Object} file - Drive file
+ * @param {Object} extra - Additional token values
+ * @returns {string} - File name, or an empty string if Drive wouldn't accept it
+ */
+export const renderFileName = (template, file, extra) => {
+  const { ext } = splitName(file);
+  const rendered = renderNameTemplate(template, file, extra).trim();
+  const withExt = ext && !template.includes('{ext}') ? `${rendered}.${ext}` : rendered;
+  const { valid, name } = validateDriveName(withExt);
+  return valid ? name : '';
+};
+
+/**
+ * Preview a batch rename
+ * {n} is the file's position, starting at `start` and zero-padded to the same width
+ * for every file so the new names sort correctly.
+ * @param {Array<Object>} files - Drive files, in numbering order
+ * @param {string} template - Template such as '{date}-{name}' or 'Scan {n}'
+ * @param {number} start - First number
+ * @returns {Array<Object>} - [{ file, name, changed, conflict }]
+ */
+export const planBatchRename = (files, template, start = 1) => {
+  const width = String(start + files.length - 1).length;
+  const renames = files.map((file, index) => {
+    const name = renderFileName(template, file, { n: String(start + index).padStart(width, '0') });
+    return { file, name, changed: Boolean(name) && name !== file.name };
+  });
+
+  // Drive allows duplicate names, but they're almost always a template mistake
+  const counts = new Map();
+  renames.forEach(({ name }) => counts.set(name, (counts.get(name) || 0) + 1));
+  return renames.map(rename => ({ ...rename, conflict: counts.get(rename.name) > 1 }));
+};
+
+const regexCache = new Map();
+
+const getRegex = (pattern) => {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return regexCache.get(pattern);
+};
+
+/**
+ * Test a single condition against a file
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} file - Drive file
+ * @returns {boolean} - True if the file matches
+ */
+const testCondition = (condition, file) => {
+  const value = String(condition.value ?? '').trim();
+
+  switch (condition.field) {
+    case 'name':
+      try {
+        return getRegex(value).test(file.name || '');
+      } catch {
+        return false;
+      }
+    case 'extension': {
+      const extensions = value.toLowerCase().split(',').map(ext => ext.trim().replace(/^\./, '')).filter(Boolean);
+      return extensions.includes(splitName(file).ext.toLowerCase());
+    }
+    case 'mimeType':
+      return condition.operator === 'contains'
+        ? (file.mimeType || '').includes(value)
+        : file.mimeType === value;
+    case 'owner':
+      return (file.owners || []).some(owner => owner.emailAddress?.toLowerCase() === value.toLowerCase());
+    case 'size': {
+      // Google Docs have no size and never match size conditions
+      if (file.size === undefined) return false;
+      const bytes = Number(file.size);
+      const limit = Number(value) * 1024 * 1024;
+      return condition.operator === 'greaterThan' ? bytes > limit : bytes < limit;
+    }
+    case 'modified': {
+      if (!file.modifiedTime) return false;
+      const ageDays = (Date.now() - new Date(file.modifiedTime).getTime()) / (24 * 60 * 60 * 1000);
+      return condition.operator === 'olderThan' ? ageDays > Number(value) : ageDays <= Number(value);
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a rule matches a file
+ * @param {Object} rule - Rule to evaluate
+ * @param {Object} file - Drive file
+ * @returns {boolean} - True if the rule applies
+ */
+export const ruleMatches = (rule, file) => {
+  if (!rule.enabled || !rule.conditions?.length) return false;
+  return rule.match === 'any'
+    ? rule.conditions.some(condition => testCondition(condition, file))
+    : rule.conditions.every(condition => testCondition(condition, file));
+};
+
+/**
+ * Match files against ordered rules; the first matching rule wins
+ * @param {Array} rules - Rules in priority order
+ * @param {Array} files - Drive files
+ * @returns {Array} - [{ file, rule }] for every file a rule applies to
+ */
+export const matchRules = (rules, files) => {
+  const active = rules.filter(rule => rule.enabled && !validateRule(rule));
+
+  return files.reduce((matches, file) => {
+    const rule = active.find(candidate => ruleMatches(candidate, file));
+    if (rule) matches.push({ file, rule });
+    return matches;
+  }, []);
+};
+
+/**
+ * Describe what an action will do to a file, for previews
+ * @param {Object} action - Rule action
+ * @param {Object} file - Drive file
+ * @returns {string} - Human readable description
+ */
+export const describeAction = (action, file) => {
+  switch (action.type) {
+    case 'move':
+      return `Move to ${renderNameTemplate(action.value, file)}`;
+    case 'rename':
+      return `Rename to ${renderFileName(action.value, file) || '(invalid name)'}`;
+    case 'star':
+      return 'Star';
+    case 'share':
+      return `Share with ${action.value} (${action.role || 'reader'})`;
+    default:
+      return action.type;
+  }
+};
+
+/**
+ * Run one action against a file
+ * @param {Object} action - Rule action
+ * @param {Object} file - Drive file (updated in place with new name/parents)
+ * @param {Map} folderCache - Rendered folder path → folder ID
+ */
+const runAction = async (action, file, folderCache) => {
+  await driveRateLimiter.acquire('rules');
+
+  switch (action.type) {
+    case 'move': {
+      const path = renderNameTemplate(action.value, file);
+      if (!folderCache.has(path)) {
+        const { folder } = await createFolderPath(path, ROOT_FOLDER_ID);
+        folderCache.set(path, folder.id);
+      }
+      const folderId = folderCache.get(path);
+      if (file.parents?.length === 1 && file.parents[0] === folderId) return;
+
+      const response = await window.gapi.client.drive.files.update({
+        fileId: file.id,
+        addParents: folderId,
+        removeParents: (file.parents || []).join(',') || undefined,
+        fields: 'id, parents'
+      });
+      file.parents = response.result.parents || [folderId];
+      return;
+    }
+    case 'rename': {
+      const name = renderFileName(action.value, file);
+      if (!name) {
+        throw new Error('The rename template gives an empty or too long name');
+      }
+      if (name === file.name) return;
+
+      await window.gapi.client.drive.files.update({
+        fileId: file.id,
+        resource: { name },
+        fields: 'id, name'
+      });
+      file.name = name;
+      return;
+    }
+    case 'star':
+      if (file.starred) return;
+      await window.gapi.client.drive.files.update({
+        fileId: file.id,
+        resource: { starred: true },
+        fields: 'id, starred'
+      });
+      file.starred = true;
+      return;
+    case 'share':
+      await shareFile(file.id, sanitizeEmail(action.value), action.role || 'reader');
+      return;
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+};
+
+/**
+ * Apply rules to files
+ * @param {Array} matches - Output of matchRules
+ * @param {Function} onProgress - Called with { completed, total } after each file
+ * @returns {Promise<Object>} - { applied, errors, total, failed: [{ id, name, error }] }
+ */
+export const applyRules = async (matches, onProgress) => {
+  const folderCache = new Map();
+  const failed = [];
+  let applied = 0;
+
+  for (let i = 0; i < matches.length; i++) {
+    const { rule } = matches[i];
+    const file = { ...matches[i].file };
+
+    try {
+      for (const action of rule.actions) {
+        await runAction(action, file, folderCache);
+      }
+      applied++;
+    } catch (error) {
+      logger.error(`Rule "${rule.name}" failed for ${file.name}`, error);
+      failed.push({ id: file.id, name: file.name, error: getUserFriendlyError(error, 'Rule') });
+    }
+
+    onProgress?.({ completed: i + 1, total: matches.length });
+  }
+
+  logger.debug(`Rules applied: ${applied} files, ${failed.length} errors`);
+  return { applied, errors: failed.length, total: matches.length, failed };
+};
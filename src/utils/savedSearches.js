@@ -0,0 +1,103 @@
+import { logger, validateLength } from './security';
+import { crawlFiles } from './driveApi';
+import { countEmails } from './gmailApi';
+import { buildDriveSearchQuery, matchesSizeFilter } from './driveFilters';
+import { buildSectionQuery } from './gmailQuery';
+import { loadRecentWindow } from './recentFiles';
+
+const STORAGE_KEY_PREFIX = 'clouddesk.savedSearches.';
+const MAX_SAVED_SEARCHES = 30;
+export const MAX_SEARCH_NAME_LENGTH = 60;
+
+// Drive has no count endpoint, so counts stop here and show as "1000+"
+export const DRIVE_COUNT_LIMIT = 1000;
+
+const storageKey = (userEmail) => `${STORAGE_KEY_PREFIX}${userEmail.toLowerCase()}`;
+
+/**
+ * Load a user's saved searches from local storage
+ * @param {string} userEmail - Signed-in user
+ * @returns {Array} - Saved searches in order
+ */
+export const loadSavedSearches = (userEmail) => {
+  if (!userEmail) return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(userEmail)) || '[]');
+    return Array.isArray(stored) ? stored.slice(0, MAX_SAVED_SEARCHES) : [];
+  } catch (error) {
+    logger.error('Failed to load saved searches', error);
+    return [];
+  }
+};
+
+/**
+ * Save a user's searches to local storage
+ * @param {string} userEmail - Signed-in user
+ * @param {Array} searches - Saved searches in order
+ */
+export const storeSavedSearches = (userEmail, searches) => {
+  if (!userEmail) return;
+  try {
+    localStorage.setItem(storageKey(userEmail), JSON.stringify(searches.slice(0, MAX_SAVED_SEARCHES)));
+  } catch (error) {
+    logger.error('Failed to save searches', error);
+  }
+};
+
+/**
+ * Create a saved search
+ * @param {Object} search - { tab, name, section, query, filters }
+ * @returns {Object} - Saved search with an id
+ */
+export const createSavedSearch = ({ tab, name, section, query = '', filters = {} }) => ({
+  id: `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  tab,
+  name: name.trim(),
+  section,
+  query,
+  filters,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Validate a saved search name
+ * @param {string} name - Name to check
+ * @param {Array} searches - Existing saved searches for the same tab
+ * @returns {string|null} - Error message, or null if the name is fine
+ */
+export const validateSearchName = (name, searches = []) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Please enter a name';
+
+  const { valid, message } = validateLength(trimmed, MAX_SEARCH_NAME_LENGTH, 'Name');
+  if (!valid) return message;
+
+  if (searches.some(search => search.name.toLowerCase() === trimmed.toLowerCase())) {
+    return 'A saved search with this name already exists';
+  }
+  if (searches.length >= MAX_SAVED_SEARCHES) {
+    return `You can save up to ${MAX_SAVED_SEARCHES} searches`;
+  }
+  return null;
+};
+
+/**
+ * Count what a saved search currently matches
+ * @param {Object} search - Saved search
+ * @returns {Promise<Object>} - { count, more } where more means the count is a lower bound
+ */
+export const countSavedSearch = async (search) => {
+  if (search.tab === 'gmail') {
+    const count = await countEmails(buildSectionQuery(search.section, search.query));
+    return { count, more: false };
+  }
+
+  const query = buildDriveSearchQuery({
+    section: search.section,
+    text: search.query,
+    filters: search.filters,
+    recentDays: loadRecentWindow()
+  });
+  const { files, truncated } = await crawlFiles(query, 'id, size', { limit: DRIVE_COUNT_LIMIT });
+  return { count: files.filter(file => matchesSizeFilter(file, search.filters?.size)).length, more: truncated };
+};
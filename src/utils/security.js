@@ -135,42 +135,6 @@ export const sanitizeEmailId = (emailId) => {
 // QUERY SANITIZATION
 // ============================================================================
 
-/**
- * Sanitizes search query for Google Drive API
- * @param {string} query - Search query to sanitize
- * @returns {string} - Sanitized query
- */
-export const sanitizeDriveQuery = (query) => {
-  if (!query || typeof query !== 'string') {
-    return '';
-  }
-
-  let sanitized = query.trim();
-
-  // Limit length to prevent abuse
-  if (sanitized.length > 1000) {
-    sanitized = sanitized.substring(0, 1000);
-  }
-
-  // Escape single quotes for Drive API (Drive uses single quotes in queries)
-  sanitized = sanitized.replace(/'/g, "\\'");
-
-  // Remove potential SQL-like injection attempts (even though Drive API is safe)
-  const dangerousPatterns = [
-    /--/g,           // SQL comments
-    /\/\*/g,         // Multi-line comments start
-    /\*\//g,         // Multi-line comments end
-    /;[\s]*drop/gi,  // Drop commands
-    /;[\s]*delete/gi // Delete commands
-  ];
-
-  dangerousPatterns.forEach(pattern => {
-    sanitized = sanitized.replace(pattern, '');
-  });
-
-  return sanitized;
-};
-
 /**
  * Valid Gmail search operators
  */
@@ -182,58 +146,71 @@ const GMAIL_VALID_OPERATORS = [
   'list:', 'rfc822msgid:'
 ];
 
+// Characters that have no meaning in Gmail search and are never allowed
+const GMAIL_FORBIDDEN_CHARS = /[<>{}\\]/;
+
 /**
- * Sanitizes search query for Gmail API with whitelist-based validation
- * @param {string} query - Search query to sanitize
- * @returns {string} - Sanitized query
+ * Splits a Gmail search query into tokens and checks each against the whitelist
+ * @param {string} query - Search query to parse
+ * @returns {Object} - { query, tokens, rejected }; query holds only the valid tokens,
+ *   each token is { raw, operator, value, negated, valid }
  */
-export const sanitizeGmailQuery = (query) => {
+export const parseGmailQuery = (query) => {
   if (!query || typeof query !== 'string') {
-    return '';
+    return { query: '', tokens: [], rejected: [] };
   }
 
-  let sanitized = query.trim();
-
   // Limit length to prevent abuse
-  if (sanitized.length > 1000) {
-    sanitized = sanitized.substring(0, 1000);
-  }
-
-  // Remove potentially dangerous characters
-  sanitized = sanitized.replace(/[<>{}\\]/g, '');
-
-  // Split into tokens and validate each
-  const tokens = sanitized.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
-
-  const validatedTokens = tokens.filter(token => {
-    const lowerToken = token.toLowerCase();
-
-    // Allow boolean operators
-    if (['and', 'or', 'not', '-'].includes(lowerToken)) {
-      return true;
-    }
-
-    // Allow quoted phrases (search terms)
-    if (token.startsWith('"') && token.endsWith('"')) {
-      return true;
-    }
-
-    // Allow valid Gmail operators
-    if (GMAIL_VALID_OPERATORS.some(op => lowerToken.startsWith(op))) {
-      return true;
-    }
-
-    // Allow plain search terms (alphanumeric, common punctuation)
-    if (/^[a-zA-Z0-9@._-]+$/.test(token)) {
-      return true;
+  const trimmed = query.trim().substring(0, 1000);
+
+  const tokens = (trimmed.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map((raw) => {
+    const lowerToken = raw.toLowerCase();
+    // A leading "-" negates an operator or term
+    const negated = raw.length > 1 && raw.startsWith('-');
+    const bare = negated ? lowerToken.slice(1) : lowerToken;
+    const operator = GMAIL_VALID_OPERATORS.find(op => bare.startsWith(op));
+
+    let valid = false;
+    if (GMAIL_FORBIDDEN_CHARS.test(raw)) {
+      valid = false;
+    } else if (['and', 'or', 'not', '-'].includes(lowerToken)) {
+      // Boolean operators
+      valid = true;
+    } else if (bare.startsWith('"') && bare.endsWith('"') && bare.length > 1) {
+      // Quoted phrases (search terms)
+      valid = true;
+    } else if (operator) {
+      // Valid Gmail operators, with a value
+      valid = bare.length > operator.length;
+    } else {
+      // Plain search terms (alphanumeric, common punctuation)
+      valid = /^[a-zA-Z0-9@._-]+$/.test(raw);
     }
 
-    return false;
+    return {
+      raw,
+      operator: operator ? operator.slice(0, -1) : null,
+      value: operator ? raw.slice(raw.indexOf(':') + 1).replace(/^"|"$/g, '') : raw,
+      negated,
+      valid
+    };
   });
 
-  return validatedTokens.join(' ');
+  return {
+    query: tokens.filter(token => token.valid).map(token => token.raw).join(' '),
+    tokens,
+    rejected: tokens.filter(token => !token.valid).map(token => token.raw)
+  };
 };
 
+/**
+ * Sanitizes search query for Gmail API with whitelist-based validation
+ * Tokens that fail validation are dropped; use parseGmailQuery to report them.
+ * @param {string} query - Search query to sanitize
+ * @returns {string} - Sanitized query
+ */
+export const sanitizeGmailQuery = (query) => parseGmailQuery(query).query;
+
 /**
  * Sanitizes filename for download
  * @param {string} filename - Filename to sanitize
@@ -350,6 +327,19 @@ class RateLimiter {
     return Math.max(0, resetTime - Date.now());
   }
 
+  /**
+   * Wait until an operation is allowed under the rate limit, then record it
+   * @param {string} key - Operation key
+   * @returns {Promise<void>}
+   */
+  async acquire(key) {
+    while (!this.isAllowed(key)) {
+      // Sleep until the oldest request leaves the window instead of polling
+      const wait = Math.max(this.getTimeUntilReset(key), 10);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
   /**
    * Clear all rate limit data
    */
@@ -537,6 +527,18 @@ export const verifyOAuthState = (state) => {
   }
 };
 
+/**
+ * Get the current OAuth access token for direct REST calls (uploads, downloads)
+ * @returns {string} - Access token
+ */
+export const getAccessToken = () => {
+  const token = window.gapi?.client?.getToken();
+  if (!token?.access_token) {
+    throw Object.assign(new Error('Not signed in'), { status: 401 });
+  }
+  return token.access_token;
+};
+
 // ============================================================================
 // OPERATION LIMITS
 // ============================================================================
@@ -576,6 +578,9 @@ export const checkBulkOperationLimit = (itemCount, maxItems = 1000) => {
 // INPUT LENGTH VALIDATION
 // ============================================================================
 
+// Drive itself allows longer names, but they don't survive a download to disk
+const MAX_DRIVE_NAME_LENGTH = 255;
+
 /**
  * Validate string length
  * @param {string} input - Input to validate
@@ -604,6 +609,23 @@ export const validateLength = (input, maxLength, fieldName = 'Input') => {
   return { valid: true };
 };
 
+/**
+ * Validate a file or folder name for Google Drive
+ * Unlike sanitizeFilename, nothing is stripped: Drive accepts characters such as
+ * ':' and '/' that local filesystems don't, so only the surrounding whitespace goes.
+ * @param {string} name - Name to validate
+ * @param {string} fieldName - Field name for error message
+ * @returns {object} - { valid: boolean, name?: string, message?: string }
+ */
+export const validateDriveName = (name, fieldName = 'Name') => {
+  const validation = validateLength(name, MAX_DRIVE_NAME_LENGTH, fieldName);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return { valid: true, name: name.trim() };
+};
+
 // ============================================================================
 // MEMORY CLEANUP
 // ============================================================================
@@ -626,8 +648,8 @@ export default {
   sanitizeEmail,
   isValidGoogleUrl,
   sanitizeEmailId,
-  sanitizeDriveQuery,
   sanitizeGmailQuery,
+  parseGmailQuery,
   sanitizeFilename,
   validateNumericInput,
   driveRateLimiter,
@@ -638,7 +660,9 @@ export default {
   generateStateParameter,
   storeOAuthState,
   verifyOAuthState,
+  getAccessToken,
   checkBulkOperationLimit,
   validateLength,
+  validateDriveName,
   clearSensitiveData
 };
@@ -0,0 +1,153 @@
+import { logger, getUserFriendlyError } from './security';
+import { crawlFiles, FOLDER_MIME_TYPE } from './driveApi';
+import { and, term, inCollection } from './driveQuery';
+
+const DEFAULT_QUOTA = 15 * 1024 * 1024 * 1024; // 15GB
+const MAX_FOLDER_DEPTH = 100;
+
+// Checked in order; the first matching category wins
+export const STORAGE_CATEGORIES = [
+  { key: 'images', label: 'Images', color: '#8B5CF6', matches: mime => mime.startsWith('image/') },
+  { key: 'videos', label: 'Videos', color: '#EC4899', matches: mime => mime.startsWith('video/') },
+  { key: 'audio', label: 'Audio', color: '#06B6D4', matches: mime => mime.startsWith('audio/') },
+  { key: 'pdf', label: 'PDFs', color: '#EF4444', matches: mime => mime === 'application/pdf' },
+  { key: 'google', label: 'Google Docs, Sheets & Slides', color: '#3B82F6', matches: mime => mime.startsWith('application/vnd.google-apps.') },
+  {
+    key: 'office',
+    label: 'Office documents',
+    color: '#10B981',
+    matches: mime => mime.startsWith('application/vnd.openxmlformats-officedocument.') || mime.startsWith('application/vnd.ms-') || mime === 'application/msword'
+  },
+  {
+    key: 'archives',
+    label: 'Archives',
+    color: '#78716C',
+    matches: mime => /zip|rar|7z|tar|gzip/.test(mime)
+  },
+  { key: 'text', label: 'Text & code', color: '#F59E0B', matches: mime => mime.startsWith('text/') || mime === 'application/json' },
+  { key: 'other', label: 'Other', color: '#9CA3AF', matches: () => true }
+];
+
+/**
+ * Get the account storage quota, split by where it is used
+ * @returns {Promise<Object>} - { used, total, drive, trash, other } in bytes
+ */
+export const getStorageQuota = async () => {
+  const response = await window.gapi.client.drive.about.get({
+    fields: 'storageQuota'
+  });
+  const quota = response.result.storageQuota || {};
+  const used = parseInt(quota.usage) || 0;
+  const drive = parseInt(quota.usageInDrive) || 0;
+  const trash = parseInt(quota.usageInDriveTrash) || 0;
+
+  return {
+    used,
+    // Accounts with unlimited storage have no limit
+    total: parseInt(quota.limit) || DEFAULT_QUOTA,
+    unlimited: !quota.limit,
+    // usageInDrive includes the trash
+    drive: Math.max(0, drive - trash),
+    trash,
+    // Gmail and Google Photos
+    other: Math.max(0, used - drive)
+  };
+};
+
+const getCategory = (mimeType = '') => STORAGE_CATEGORIES.find(category => category.matches(mimeType));
+
+const toSortedList = (map) => Object.values(map).sort((a, b) => b.bytes - a.bytes);
+
+/**
+ * Crawl Drive and report what is using storage
+ * Only files the user owns count against their quota, so other files are skipped.
+ * @param {Object} options - Crawl options
+ * @param {number} options.limit - Maximum number of files to crawl
+ * @param {number} options.largestCount - Number of largest files to return
+ * @param {Function} options.onProgress - Called with { phase, scanned }
+ * @param {AbortSignal} options.signal - Cancels the crawl
+ * @returns {Promise<Object>} - { totalBytes, fileCount, largestFiles, byType, byYear, folderTree, truncated }
+ */
+export const analyzeStorage = async ({ limit = 50000, largestCount = 50, onProgress, signal } = {}) => {
+  try {
+    const rootResponse = await window.gapi.client.drive.files.get({ fileId: 'root', fields: 'id, name' });
+    const rootId = rootResponse.result.id;
+
+    const folderResult = await crawlFiles(
+      and(term('mimeType', '=', FOLDER_MIME_TYPE), term('trashed', '=', false)),
+      'id, name, parents',
+      { limit, signal, onPage: scanned => onProgress?.({ phase: 'folders', scanned }) }
+    );
+    const fileResult = await crawlFiles(
+      and(term('mimeType', '!=', FOLDER_MIME_TYPE), term('trashed', '=', false), inCollection('me', 'owners')),
+      'id, name, mimeType, parents, size, quotaBytesUsed, createdTime, modifiedTime, webViewLink',
+      { limit, signal, onPage: scanned => onProgress?.({ phase: 'files', scanned }) }
+    );
+
+    // Folder tree rooted at My Drive; folders outside it (shared with me) hang off the root too
+    const nodes = { [rootId]: { id: rootId, name: 'My Drive', bytes: 0, fileBytes: 0, fileCount: 0, children: [] } };
+    folderResult.files.forEach((folder) => {
+      nodes[folder.id] = { id: folder.id, name: folder.name, bytes: 0, fileBytes: 0, fileCount: 0, children: [] };
+    });
+    folderResult.files.forEach((folder) => {
+      const parent = nodes[folder.parents?.[0]] || nodes[rootId];
+      if (parent !== nodes[folder.id]) {
+        parent.children.push(nodes[folder.id]);
+        nodes[folder.id].parent = parent;
+      }
+    });
+
+    const byType = {};
+    const byYear = {};
+    let totalBytes = 0;
+
+    const files = fileResult.files.map((file) => {
+      const bytes = Number(file.quotaBytesUsed || file.size || 0);
+      totalBytes += bytes;
+
+      const category = getCategory(file.mimeType);
+      byType[category.key] = byType[category.key] || { key: category.key, label: category.label, color: category.color, bytes: 0, count: 0 };
+      byType[category.key].bytes += bytes;
+      byType[category.key].count += 1;
+
+      const year = new Date(file.createdTime || file.modifiedTime).getFullYear() || 'Unknown';
+      byYear[year] = byYear[year] || { year, bytes: 0, count: 0 };
+      byYear[year].bytes += bytes;
+      byYear[year].count += 1;
+
+      // Add the size to the containing folder and every ancestor
+      let node = nodes[file.parents?.[0]] || nodes[rootId];
+      node.fileBytes += bytes;
+      node.fileCount += 1;
+      for (let depth = 0; node && depth < MAX_FOLDER_DEPTH; depth++) {
+        node.bytes += bytes;
+        node = node.parent;
+      }
+
+      return { ...file, bytes };
+    });
+
+    // Drop parent links so the tree can be rendered and compared safely
+    Object.values(nodes).forEach((node) => {
+      delete node.parent;
+      node.children.sort((a, b) => b.bytes - a.bytes);
+    });
+
+    const result = {
+      totalBytes,
+      fileCount: files.length,
+      largestFiles: files.sort((a, b) => b.bytes - a.bytes).slice(0, largestCount),
+      byType: toSortedList(byType),
+      byYear: Object.values(byYear).sort((a, b) => String(b.year).localeCompare(String(a.year))),
+      folderTree: nodes[rootId],
+      truncated: folderResult.truncated || fileResult.truncated
+    };
+
+    logger.debug(`Analyzed ${files.length} files (${totalBytes} bytes)`);
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    logger.error('Error analyzing storage', error);
+    throw new Error(getUserFriendlyError(error, 'Storage analysis'));
+  }
+};
@@ -190,4 +190,13 @@ export const shortcuts = {
   delete: { key: 'Delete', label: 'Del' },
   refresh: { key: 'r', ctrl: true, label: '⌘R' },
   newFolder: { key: 'n', ctrl: true, shift: true, label: '⌘⇧N' },
+  rename: { key: 'F2', label: 'F2' },
+};
+
+// Check a keyboard event against a shortcut (ctrl also matches ⌘ on macOS)
+export const matchesShortcut = (event, shortcut) => {
+  if (!shortcut || event.key?.toLowerCase() !== shortcut.key.toLowerCase()) return false;
+  return Boolean(shortcut.ctrl) === (event.ctrlKey || event.metaKey)
+    && Boolean(shortcut.shift) === event.shiftKey
+    && !event.altKey;
 };
@@ -0,0 +1,305 @@
+import { sanitizeFilename, isValidGoogleUrl, getAccessToken, logger, getUserFriendlyError } from './security';
+
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&fields=id,name,mimeType,size,parents,webViewLink';
+
+// Chunks must be a multiple of 256 KiB (except the last one)
+const CHUNK_UNIT = 256 * 1024;
+export const DEFAULT_CHUNK_SIZE = 20 * CHUNK_UNIT; // 5 MiB
+
+const MAX_AUTO_RETRIES = 5;
+const RETRYABLE_STATUSES = [0, 408, 429, 500, 502, 503, 504];
+
+/**
+ * Upload states reported through onStateChange
+ */
+export const UPLOAD_STATES = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  ERROR: 'error',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+};
+
+const createError = (message, extra = {}) => Object.assign(new Error(message), extra);
+
+/**
+ * Resumable, chunked upload of a single file to Google Drive
+ * Supports pause/resume and retries transient failures with backoff
+ */
+export class ResumableUpload {
+  constructor(file, { parentId, chunkSize = DEFAULT_CHUNK_SIZE, onProgress, onStateChange, onComplete } = {}) {
+    this.file = file;
+    this.parentId = parentId;
+    this.chunkSize = Math.max(CHUNK_UNIT, Math.floor(chunkSize / CHUNK_UNIT) * CHUNK_UNIT);
+    this.onProgress = onProgress;
+    this.onStateChange = onStateChange;
+    this.onComplete = onComplete;
+
+    this.sessionUrl = null;
+    this.offset = 0;
+    this.state = UPLOAD_STATES.QUEUED;
+    this.error = null;
+    this.result = null;
+    this.xhr = null;
+    this.runId = 0;
+  }
+
+  setState(state, error = null) {
+    this.state = state;
+    this.error = error;
+    this.onStateChange?.(state, error);
+  }
+
+  /**
+   * Send a request with XMLHttpRequest so upload progress can be reported
+   */
+  send({ method, url, headers = {}, body = null, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      this.xhr = xhr;
+
+      xhr.open(method, url);
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      if (onUploadProgress) {
+        xhr.upload.onprogress = (e) => onUploadProgress(e.loaded);
+      }
+
+      xhr.onload = () => {
+        this.xhr = null;
+        resolve({
+          status: xhr.status,
+          getHeader: (name) => xhr.getResponseHeader(name),
+          body: xhr.responseText
+        });
+      };
+      xhr.onerror = () => {
+        this.xhr = null;
+        reject(createError('Network error during upload', { status: 0 }));
+      };
+      xhr.onabort = () => {
+        this.xhr = null;
+        reject(createError('Upload aborted', { aborted: true }));
+      };
+
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Create the upload session and remember its URL
+   */
+  async createSession() {
+    const metadata = {
+      name: sanitizeFilename(this.file.name),
+      mimeType: this.file.type || undefined,
+      parents: this.parentId ? [this.parentId] : undefined
+    };
+
+    const response = await this.send({
+      method: 'POST',
+      url: UPLOAD_URL,
+      headers: {
+        Authorization: `Bearer ${getAccessToken()}`,
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': this.file.type || 'application/octet-stream',
+        'X-Upload-Content-Length': String(this.file.size)
+      },
+      body: JSON.stringify(metadata)
+    });
+
+    const location = response.getHeader('Location');
+    if (response.status !== 200 || !location) {
+      throw createError('Could not start upload', { status: response.status });
+    }
+
+    // Never send the access token anywhere but Google
+    if (!isValidGoogleUrl(location)) {
+      throw createError('Invalid upload session URL');
+    }
+
+    this.sessionUrl = location;
+    this.offset = 0;
+  }
+
+  /**
+   * Ask Drive how many bytes of an interrupted session it already has
+   * @returns {Promise<boolean>} - True if the upload had already finished
+   */
+  async syncOffset() {
+    const response = await this.send({
+      method: 'PUT',
+      url: this.sessionUrl,
+      headers: {
+        Authorization: `Bearer ${getAccessToken()}`,
+        'Content-Range': `bytes */${this.file.size}`
+      }
+    });
+
+    if (response.status === 200 || response.status === 201) {
+      this.result = JSON.parse(response.body || '{}');
+      return true;
+    }
+
+    if (response.status === 404 || response.status === 410) {
+      // Session expired; start over
+      this.sessionUrl = null;
+      this.offset = 0;
+      return false;
+    }
+
+    if (response.status !== 308) {
+      throw createError('Could not resume upload', { status: response.status });
+    }
+
+    const range = response.getHeader('Range');
+    this.offset = range ? parseInt(range.split('-')[1], 10) + 1 : 0;
+    return false;
+  }
+
+  /**
+   * Upload the next chunk
+   * @returns {Promise<boolean>} - True if the upload finished
+   */
+  async uploadChunk() {
+    const total = this.file.size;
+    const end = Math.min(this.offset + this.chunkSize, total);
+    const chunk = this.file.slice(this.offset, end);
+    const start = this.offset;
+
+    const headers = { Authorization: `Bearer ${getAccessToken()}` };
+    if (total > 0) {
+      headers['Content-Range'] = `bytes ${start}-${end - 1}/${total}`;
+    }
+
+    const response = await this.send({
+      method: 'PUT',
+      url: this.sessionUrl,
+      headers,
+      body: chunk,
+      onUploadProgress: (loaded) => this.onProgress?.(start + loaded, total)
+    });
+
+    if (response.status === 200 || response.status === 201) {
+      this.offset = total;
+      this.result = JSON.parse(response.body || '{}');
+      return true;
+    }
+
+    if (response.status === 308) {
+      const range = response.getHeader('Range');
+      this.offset = range ? parseInt(range.split('-')[1], 10) + 1 : 0;
+      this.onProgress?.(this.offset, total);
+      return false;
+    }
+
+    if (response.status === 404 || response.status === 410) {
+      this.sessionUrl = null;
+      this.offset = 0;
+    }
+
+    throw createError('Chunk upload failed', { status: response.status });
+  }
+
+  /**
+   * Start or resume the upload
+   * @returns {Promise<Object|null>} - Created file, or null if paused/cancelled/failed
+   */
+  async start() {
+    if ([UPLOAD_STATES.UPLOADING, UPLOAD_STATES.DONE, UPLOAD_STATES.CANCELLED].includes(this.state)) {
+      return this.result;
+    }
+
+    this.setState(UPLOAD_STATES.UPLOADING);
+    // A pause/resume during a retry delay must not leave two loops running
+    const runId = ++this.runId;
+    const isActive = () => this.runId === runId && this.state === UPLOAD_STATES.UPLOADING;
+    let attempts = 0;
+
+    while (isActive()) {
+      try {
+        let finished = false;
+
+        if (!this.sessionUrl) {
+          await this.createSession();
+        } else {
+          finished = await this.syncOffset();
+        }
+
+        while (!finished && isActive()) {
+          if (!this.sessionUrl) break; // Session was lost; create a new one
+          finished = await this.uploadChunk();
+          attempts = 0;
+        }
+
+        if (finished && this.runId === runId) {
+          logger.debug(`Upload complete: ${this.file.name}`);
+          this.onProgress?.(this.file.size, this.file.size);
+          this.setState(UPLOAD_STATES.DONE);
+          this.onComplete?.(this.result);
+          return this.result;
+        }
+      } catch (error) {
+        // Paused or cancelled by the user
+        if (error.aborted || !isActive()) {
+          return null;
+        }
+
+        attempts++;
+        if (RETRYABLE_STATUSES.includes(error.status) && attempts <= MAX_AUTO_RETRIES) {
+          const delay = Math.min(1000 * 2 ** (attempts - 1), 16000);
+          logger.debug(`Upload of ${this.file.name} failed, retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        logger.error(`Upload failed: ${this.file.name}`, error);
+        this.setState(UPLOAD_STATES.ERROR, getUserFriendlyError(error, 'Upload'));
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pause the upload; the session is kept so it can resume later
+   */
+  pause() {
+    if (this.state !== UPLOAD_STATES.UPLOADING && this.state !== UPLOAD_STATES.QUEUED) return;
+    this.setState(UPLOAD_STATES.PAUSED);
+    this.xhr?.abort();
+  }
+
+  /**
+   * Put a paused or failed upload back in the queue
+   */
+  requeue() {
+    if (this.state === UPLOAD_STATES.PAUSED || this.state === UPLOAD_STATES.ERROR) {
+      this.setState(UPLOAD_STATES.QUEUED);
+    }
+  }
+
+  /**
+   * Cancel the upload and discard the session
+   */
+  cancel() {
+    if (this.state === UPLOAD_STATES.DONE) return;
+    this.setState(UPLOAD_STATES.CANCELLED);
+    this.xhr?.abort();
+
+    if (this.sessionUrl) {
+      // Best effort: tell Drive to drop the partial upload
+      try {
+        fetch(this.sessionUrl, {
+          method: 'DELETE',
+          headers: { Authorization: `Bearer ${getAccessToken()}` }
+        }).catch(() => {});
+      } catch (error) {
+        logger.error('Failed to cancel upload session', error);
+      }
+      this.sessionUrl = null;
+    }
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Minimal ZIP writer (stored entries, no compression)
+ * Most Drive content (PDFs, Office files, images, video) is already compressed,
+ * so storing keeps archives fast to build without a compression library.
+ */
+
+// Classic ZIP fields are 32-bit; larger archives would need ZIP64
+export const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+// Fixed header sizes, before the file name
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS date/time as stored in ZIP headers
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+const encoder = new TextEncoder();
+
+export class ZipArchive {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.centralSize = 0;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Path inside the archive, using '/' separators
+   * @param {Blob} blob - File content
+   * @param {Date} modified - Modification time
+   * @returns {Promise<void>}
+   */
+  async addFile(path, blob, modified = new Date()) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const name = encoder.encode(path);
+    const crc = crc32(bytes);
+    const { time, date } = toDosDateTime(modified);
+
+    // The whole file, including the central directory written at the end, has to fit in 32 bits
+    const localSize = LOCAL_HEADER_SIZE + name.length + bytes.length;
+    const centralSize = this.centralSize + CENTRAL_HEADER_SIZE + name.length;
+    if (this.offset + localSize + centralSize + END_RECORD_SIZE > MAX_ZIP_SIZE) {
+      // Skipping this file won't make the archive fit, so callers should stop
+      throw Object.assign(new Error('Archive is larger than 4 GB. Please download fewer files at once.'), { fatal: true });
+    }
+
+    const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    header.setUint32(0, 0x04034B50, true); // Local file header signature
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+
+    this.parts.push(header.buffer, name, blob);
+    this.entries.push({ name, crc, size: bytes.length, time, date, offset: this.offset });
+    this.offset += localSize;
+    this.centralSize = centralSize;
+  }
+
+  /**
+   * Finish the archive
+   * @returns {Blob} - ZIP file
+   */
+  toBlob() {
+    const central = [];
+    let centralSize = 0;
+
+    this.entries.forEach((entry) => {
+      const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+      header.setUint32(0, 0x02014B50, true); // Central directory signature
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true); // Version needed
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, entry.time, true);
+      header.setUint16(14, entry.date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.size, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint32(42, entry.offset, true);
+
+      central.push(header.buffer, entry.name);
+      centralSize += CENTRAL_HEADER_SIZE + entry.name.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(END_RECORD_SIZE));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+}